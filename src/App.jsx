@@ -1,11 +1,24 @@
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useMemo } from 'react';
 import Auth from './components/Auth.jsx';
 import ModelList from './components/ModelList.jsx';
 import Chat from './components/Chat.jsx';
 import Settings from './components/Settings.jsx';
 import UsageDashboard from './components/UsageDashboard.jsx';
-import { getCopilotSubscription, getCopilotToken } from './api/github.js';
+import QuotaAlertBanner from './components/QuotaAlertBanner.jsx';
+import { getBillingPremiumRequestUsage, getCopilotSubscription, getCopilotToken } from './api/github.js';
 import { fetchModels, hasUnlimitedQuotas } from './api/copilot.js';
+import { forecastQuota, resolveQuota } from './utils/quota.js';
+import { readModelCache } from './utils/modelCache.js';
+import {
+  currentAlertState,
+  evaluateAlerts,
+  loadAlertSettings,
+  loadAlertState,
+  notifyNewAlerts,
+  saveAlertSettings,
+  saveAlertState,
+} from './utils/budgetAlerts.js';
+import { BILLING_PAT_KEY } from './constants.js';
 import './index.css';
 
 const STORAGE_KEY = 'copilot_app_auth';
@@ -37,17 +50,25 @@ function saveAuth(auth, persist = loadPersist()) {
   storage.setItem(STORAGE_KEY, JSON.stringify(rest));
 }
 
-// Compact quota button shown in the nav bar
-function UsageButton({ copilotTokenData, billingAmount, expanded, onClick }) {
+// Compact quota button shown in the nav bar; turns amber / red as alert thresholds are reached
+function UsageButton({ copilotTokenData, billingAmount, alertLevel, quotaPct, expanded, onClick }) {
   let icon = '📊';
   let text = '额度';
   let extra = '';
 
   const overageUsd = billingAmount ?? 0;
-  if (overageUsd > 0) {
+  if (alertLevel === 'critical') {
+    icon = '⛔';
+    text = quotaPct != null ? `${Math.round(quotaPct)}%` : '预算';
+    extra = ' nav-usage-critical';
+  } else if (overageUsd > 0) {
     icon = '💰️';
     text = '计费';
     extra = ' nav-usage-over';
+  } else if (alertLevel === 'warn') {
+    icon = '⚠️';
+    text = quotaPct != null ? `${Math.round(quotaPct)}%` : '额度';
+    extra = ' nav-usage-warn';
   } else if (hasUnlimitedQuotas(copilotTokenData?.unlimited_user_quotas)) {
     icon = '✦';
     text = '无限';
@@ -81,13 +102,16 @@ export default function App() {
   const [copilotToken, setCopilotToken] = useState(null);
   const [copilotTokenData, setCopilotTokenData] = useState(null);
   const [billingAmount, setBillingAmount] = useState(null);
-  const [models, setModels] = useState([]);
+  // Seeded from the persisted model list so Chat has models before /models answers
+  const [models, setModels] = useState(() => readModelCache(loadAuth()?.user?.login)?.models || []);
   const [selectedModel, setSelectedModel] = useState(null);
   const [tab, setTab] = useState('models');
   const [tokenError, setTokenError] = useState('');
   const [initializing, setInitializing] = useState(true);
   const [showDashboard, setShowDashboard] = useState(false);
   const [persistLogin, setPersistLogin] = useState(() => loadPersist());
+  const [alertSettings, setAlertSettings] = useState(loadAlertSettings);
+  const [alertState, setAlertState] = useState(loadAlertState);
 
   // On mount: restore saved auth and refresh copilot token
   useEffect(() => {
@@ -189,6 +213,14 @@ export default function App() {
     saveAuth(null);
   }, []);
 
+  // Catalog source or overrides changed in Settings: rebuild the model list from it
+  const handleCatalogChange = useCallback(() => {
+    if (!copilotToken) return;
+    fetchModels(copilotToken, { forceRefresh: true })
+      .then(setModels)
+      .catch((err) => console.warn('[CopilotApp] Failed to reload models after a catalog change:', err));
+  }, [copilotToken]);
+
   const handleTogglePersist = useCallback((val) => {
     if (val) {
       localStorage.setItem(PERSIST_KEY, 'true');
@@ -212,6 +244,51 @@ export default function App() {
     setBillingAmount(totalBilledAmount);
   }, []);
 
+  // Load this month's billed overage at startup (when a billing PAT is saved) so budget
+  // alerts work without opening the dashboard first
+  const username = auth?.user?.login;
+  useEffect(() => {
+    if (!username || !copilotToken) return;
+    let billingToken = '';
+    try { billingToken = localStorage.getItem(BILLING_PAT_KEY) || ''; } catch { /* storage unavailable */ }
+    if (!billingToken) return;
+    getBillingPremiumRequestUsage(username, billingToken)
+      .then(handleBillingDataUpdate)
+      .catch((err) => console.warn('[CopilotApp] Failed to load billing usage for budget alerts:', err));
+  }, [username, copilotToken, handleBillingDataUpdate]);
+
+  const quota = useMemo(
+    () => resolveQuota(copilotTokenData, auth?.copilotSubscription),
+    [copilotTokenData, auth?.copilotSubscription],
+  );
+  const { level: alertLevel, alerts } = useMemo(() => evaluateAlerts({
+    quotaUsed: quota.quotaUsed,
+    quotaTotal: quota.quotaTotal,
+    billingAmount,
+    forecast: forecastQuota(quota.quotaUsed, quota.quotaTotal),
+    settings: alertSettings,
+  }), [quota, billingAmount, alertSettings]);
+  // Dismissals from an earlier month no longer apply, even if the app stayed open
+  const { dismissed } = currentAlertState(alertState);
+  const visibleAlerts = alerts.filter((a) => !dismissed.includes(a.id));
+
+  useEffect(() => {
+    if (alertSettings.notify) notifyNewAlerts(alerts);
+  }, [alerts, alertSettings.notify]);
+
+  const handleAlertSettingsChange = useCallback((next) => {
+    saveAlertSettings(next);
+    setAlertSettings(next);
+  }, []);
+
+  const dismissAlert = useCallback((id) => {
+    // Re-read so a month rollover (or another tab) is picked up
+    const state = loadAlertState();
+    const next = { ...state, dismissed: [...state.dismissed, id] };
+    saveAlertState(next);
+    setAlertState(next);
+  }, []);
+
   if (initializing) {
     return (
       <div className="app-loading">
@@ -255,7 +332,14 @@ export default function App() {
           ))}
         </div>
         <div className="nav-right">
-          <UsageButton copilotTokenData={copilotTokenData} billingAmount={billingAmount} expanded={showDashboard} onClick={() => setShowDashboard((v) => !v)} />
+          <UsageButton
+            copilotTokenData={copilotTokenData}
+            billingAmount={billingAmount}
+            alertLevel={alertLevel}
+            quotaPct={quota.pct}
+            expanded={showDashboard}
+            onClick={() => setShowDashboard((v) => !v)}
+          />
           <div className="nav-user">
             {auth.user?.avatar_url && (
               <img src={auth.user.avatar_url} alt="avatar" className="nav-avatar" />
@@ -265,12 +349,17 @@ export default function App() {
         </div>
       </nav>
 
+      <QuotaAlertBanner alerts={visibleAlerts} onDismiss={dismissAlert} onOpenDashboard={() => setShowDashboard(true)} />
+
       {/* Usage dashboard popup */}
       {showDashboard && (
         <UsageDashboard
           username={auth.user?.login}
           copilotTokenData={copilotTokenData}
           copilotSubscription={auth.copilotSubscription}
+          models={models}
+          alertSettings={alertSettings}
+          onAlertSettingsChange={handleAlertSettingsChange}
           onBillingDataUpdate={handleBillingDataUpdate}
           onClose={() => setShowDashboard(false)}
         />
@@ -281,6 +370,7 @@ export default function App() {
         {tab === 'models' && (
           <ModelList
             copilotToken={copilotToken}
+            username={auth.user?.login}
             selectedModelId={selectedModel?.id}
             onSelectModel={(m) => { setSelectedModel(m); setTab('chat'); }}
           />
@@ -296,10 +386,12 @@ export default function App() {
         {tab === 'settings' && (
           <Settings
             auth={auth}
+            models={models}
             onUpdateAuth={handleUpdateAuth}
             onSignOut={handleSignOut}
             persistLogin={persistLogin}
             onTogglePersist={handleTogglePersist}
+            onCatalogChange={handleCatalogChange}
           />
         )}
       </div>
@@ -11,9 +11,10 @@ const BRAVE_SEARCH_ENDPOINT = '/brave-search';
  * @param {string} apiKey - Brave Search API subscription token
  * @param {string} query - Search query
  * @param {number} count - Number of results to return (default 5, max 20)
+ * @param {AbortSignal} [signal] - cancels the request
  * @returns {Promise<string>} Formatted search results as markdown text
  */
-export async function braveSearch(apiKey, query, count = 5) {
+export async function braveSearch(apiKey, query, count = 5, signal) {
   if (!apiKey?.trim()) {
     throw new Error('Brave Search API key is required');
   }
@@ -24,6 +25,7 @@ export async function braveSearch(apiKey, query, count = 5) {
       'X-Subscription-Token': apiKey,
       'Accept': 'application/json',
     },
+    signal,
   });
 
   if (!response.ok) {
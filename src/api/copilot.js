@@ -3,61 +3,24 @@
  * OpenAI-compatible API endpoints served by GitHub Copilot
  * @see https://api.githubcopilot.com
  */
+import { readSSEStream } from './sse.js';
+import { responseError, withRetry } from './retry.js';
+import { buildResponsesBody, createResponsesAccumulator } from './responses.js';
+import { refreshRemoteCatalog, resolveCatalog } from '../utils/modelCatalog.js';
 
 const COPILOT_API = '/copilot-api';
 
-// Static fallback tier and multiplier info.
-// For multiplier / freeMultiplier these entries are used when the live models API
-// does not supply billing.multiplier / billing.free_multiplier.
-// For tier, MODEL_META.tier takes precedence over the API's is_free_for_copilot_pro
-// flag (but NOT over billing.is_premium or policy.is_premium). This lets us
-// explicitly classify models (e.g. gpt-5.4 = premium) even when the API returns
-// an incorrect is_free_for_copilot_pro value.
-// Full tier precedence: billing.is_premium > policy.is_premium > MODEL_META.tier
+// Fallback tier, multiplier and display name per model id come from the model catalog
+// (bundled JSON, a URL or file, plus per-model overrides); see utils/modelCatalog.js.
+// Full tier precedence: billing.is_premium > policy.is_premium > catalog tier
 //   > policy.is_free_for_copilot_pro > default 'standard'.
 // Click "🔄 同步模型" in the UI to always get the latest live data.
 //
 // multiplier — premium request cost per use on a paid plan (0 = included / unlimited)
-// freeMultiplier is intentionally omitted here: the Copilot Free multiplier defaults to 1
-//   for every accessible model (per the docs), so fetchModels() defaults to 1 without
+// freeMultiplier is normally omitted from the catalog: the Copilot Free multiplier defaults
+//   to 1 for every accessible model (per the docs), so fetchModels() defaults to 1 without
 //   needing per-entry overrides.
 //   See: https://docs.github.com/en/copilot/concepts/billing/copilot-requests#model-multipliers
-const MODEL_META = {
-  // ── OpenAI ────────────────────────────────────────────────────────────
-  'gpt-4o':                        { tier: 'standard', multiplier: 0    },
-  'gpt-4.1':                       { tier: 'standard', multiplier: 0    },
-  'gpt-5-mini':                    { tier: 'standard', multiplier: 0    },
-  'gpt-5.1':                       { tier: 'premium',  multiplier: 1    },
-  'gpt-5.1-codex':                 { tier: 'premium',  multiplier: 1    },
-  'gpt-5.1-codex-max':             { tier: 'premium',  multiplier: 1    },
-  'gpt-5.1-codex-mini':            { tier: 'premium',  multiplier: 0.33 },
-  'gpt-5.2':                       { tier: 'premium',  multiplier: 1    },
-  'gpt-5.2-codex':                 { tier: 'premium',  multiplier: 1    },
-  'gpt-5.3-codex':                 { tier: 'premium',  multiplier: 1    },
-  'gpt-5.4':                       { tier: 'premium',  multiplier: 1    },
-  'gpt-5.4-mini':                  { tier: 'premium',  multiplier: 0.33 },
-  // ── Anthropic Claude ──────────────────────────────────────────────────
-  'claude-haiku-4.5':              { tier: 'premium',  multiplier: 0.33 },
-  'claude-opus-4.5':               { tier: 'premium',  multiplier: 3    },
-  'claude-opus-4.6':               { tier: 'premium',  multiplier: 3    },
-  'claude-opus-4.6-fast':          { tier: 'premium',  multiplier: 30 },
-  'claude-sonnet-4':               { tier: 'premium',  multiplier: 1    },
-  'claude-sonnet-4.5':             { tier: 'premium',  multiplier: 1    },
-  'claude-sonnet-4.6':             { tier: 'premium',  multiplier: 1    },
-  // ── Google Gemini ─────────────────────────────────────────────────────
-  'gemini-2.5-pro':                { tier: 'premium',  multiplier: 1    },
-  'gemini-3-flash':                { tier: 'premium',  multiplier: 0.33 },
-  'gemini-3-flash-preview':        { tier: 'premium',  multiplier: 0.33 },
-  'gemini-3-pro':                  { tier: 'premium',  multiplier: 1    },
-  'gemini-3-pro-preview':          { tier: 'premium',  multiplier: 1    },
-  'gemini-3.1-pro':                { tier: 'premium',  multiplier: 1    },
-  'gemini-3.1-pro-preview':        { tier: 'premium',  multiplier: 1    },
-  // ── xAI Grok ──────────────────────────────────────────────────────────
-  'grok-code-fast-1':              { tier: 'premium',  multiplier: 0.25 },
-  // ── Other / GitHub ────────────────────────────────────────────────────
-  'raptor-mini':                   { tier: 'standard', multiplier: 0    },
-  'raptor-mini-preview':           { tier: 'standard', multiplier: 0    },
-};
 
 // Module-level in-memory cache for fetchModels results
 let _modelCache = null;
@@ -75,8 +38,11 @@ const PROVIDER_COLORS = {
 
 /**
  * Build request headers for Copilot API calls
+ * @param {string} copilotToken
+ * @param {object} [options]
+ * @param {boolean} [options.vision] - the request carries image content parts
  */
-function buildHeaders(copilotToken) {
+function buildHeaders(copilotToken, { vision = false } = {}) {
   return {
     Authorization: `Bearer ${copilotToken}`,
     'Content-Type': 'application/json',
@@ -84,9 +50,18 @@ function buildHeaders(copilotToken) {
     'Editor-Version': 'CopilotApp/1.0',
     'Editor-Plugin-Version': 'CopilotApp/1.0',
     'OpenAI-Intent': 'conversation-general',
+    // Copilot rejects image_url content parts unless the request is flagged as a vision request
+    ...(vision ? { 'Copilot-Vision-Request': 'true' } : {}),
   };
 }
 
+/** True when any message uses array content containing an image_url part */
+function hasImageContent(messages) {
+  return messages.some(
+    (m) => Array.isArray(m.content) && m.content.some((part) => part?.type === 'image_url'),
+  );
+}
+
 /**
  * Fetch available Copilot models
  * @param {string} copilotToken
@@ -127,23 +102,30 @@ export async function fetchModels(copilotToken, options = {}) {
       console.log('[CopilotApp] Raw models API response:', data);
       const models = data.data || data.models || data || [];
 
+      // A stale URL catalog is refreshed first; on failure the cached copy is used
+      await refreshRemoteCatalog().catch((err) => {
+        console.warn('[CopilotApp] Failed to refresh the model catalog, using the cached copy:', err);
+      });
+      const catalog = resolveCatalog().models;
+
       const result = models.map((model) => {
         // Skip models that are not explicitly available in the model picker
         if (model.model_picker_enabled !== true) return null;
 
         // Field mapping from API response to display model (including fallbacks):
         // - Display: id            ← API: model.id, falling back to model.name
-        // - Display: name          ← API: model.name, falling back to id
+        // - Display: name          ← catalog name, then API: model.name, falling back to id
         // - Display: provider      ← API: model.vendor, falling back to guessProvider(id)
         // - Display: contextWindow ← API: model.capabilities.limits.max_context_window_tokens,
         //                             falling back to model.context_window
+        // - Display: maxOutputTokens, toolCalls, vision, … ← API: model.capabilities (see parseCapabilities)
         const id = model.id || model.name || '';
-        const meta = MODEL_META[id] || {};
+        const meta = catalog[id] || {};
 
         const provider = model.vendor || guessProvider(id);
 
         // Multiplier: prefer the live API billing field so any future adjustments from GitHub
-        // are automatically reflected. MODEL_META acts as a fallback for models the API
+        // are automatically reflected. The catalog acts as a fallback for models the API
         // doesn't yet supply billing data for.
         const multiplier = model.billing?.multiplier ?? meta.multiplier ?? null;
 
@@ -153,9 +135,9 @@ export async function fetchModels(copilotToken, options = {}) {
         const freeMultiplier = model.billing?.free_multiplier ?? meta.freeMultiplier ?? 1;
 
         // Tier: if multiplier is 0 the model is free/unlimited → standard.
-        // Otherwise prefer billing.is_premium / policy flags, then MODEL_META tier,
+        // Otherwise prefer billing.is_premium / policy flags, then the catalog tier,
         // then is_free_for_copilot_pro as a last resort before the default.
-        // MODEL_META takes precedence over is_free_for_copilot_pro so that
+        // The catalog takes precedence over is_free_for_copilot_pro so that
         // explicitly classified models (e.g. gpt-5.4 = premium) are not
         // misclassified when the API returns an incorrect flag.
         let tier;
@@ -183,7 +165,7 @@ export async function fetchModels(copilotToken, options = {}) {
           ...model,
           _raw: model,
           id,
-          name: model.name || id,
+          name: meta.name || model.name || id,
           tier,
           multiplier,
           freeMultiplier,
@@ -192,6 +174,7 @@ export async function fetchModels(copilotToken, options = {}) {
             model.capabilities?.limits?.max_context_window_tokens ||
             model.context_window ||
             null,
+          ...parseCapabilities(model),
           provider,
           providerColor: PROVIDER_COLORS[provider] || '#6b7280',
         };
@@ -319,6 +302,48 @@ export function hasUnlimitedQuotas(unlimitedQuotas) {
   return Boolean(unlimitedQuotas);
 }
 
+/**
+ * @typedef {object} ModelCapabilities
+ * @property {number|null} maxOutputTokens - largest `max_tokens` the model accepts
+ * @property {number|null} maxPromptTokens
+ * @property {boolean} toolCalls
+ * @property {boolean} parallelToolCalls
+ * @property {boolean} vision - accepts image input
+ * @property {boolean} streaming
+ * @property {boolean} structuredOutputs - accepts a JSON Schema `response_format`
+ * @property {boolean} reasoning - reasoning / thinking model
+ * @property {string[]} reasoningEfforts - accepted `reasoning_effort` levels
+ * @property {string[]} supportedEndpoints - e.g. ["/chat/completions", "/responses"]; empty when not advertised
+ */
+
+/**
+ * Normalize the API's `capabilities` block (and `supported_endpoints`) into typed fields.
+ * Flags the API leaves out are false, except streaming, which every chat model has unless
+ * it says otherwise.
+ * @param {object} model - raw model from the models API
+ * @returns {ModelCapabilities}
+ */
+function parseCapabilities(model) {
+  const limits = model.capabilities?.limits || {};
+  const supports = model.capabilities?.supports || {};
+  const positive = (n) => (Number.isFinite(n) && n > 0 ? n : null);
+  const reasoningEfforts = Array.isArray(supports.reasoning_effort) ? supports.reasoning_effort : [];
+  return {
+    maxOutputTokens: positive(limits.max_output_tokens),
+    maxPromptTokens: positive(limits.max_prompt_tokens),
+    toolCalls: Boolean(supports.tool_calls),
+    parallelToolCalls: Boolean(supports.tool_calls && supports.parallel_tool_calls),
+    vision: Boolean(supports.vision),
+    streaming: supports.streaming !== false,
+    structuredOutputs: Boolean(supports.structured_outputs),
+    reasoning: reasoningEfforts.length > 0
+      || supports.max_thinking_budget != null
+      || Boolean(supports.adaptive_thinking),
+    reasoningEfforts,
+    supportedEndpoints: Array.isArray(model.supported_endpoints) ? model.supported_endpoints : [],
+  };
+}
+
 /**
  * Guess provider from model ID string (fallback when vendor field is absent)
  */
@@ -337,32 +362,34 @@ function guessProvider(modelId) {
  * Send a chat completion request (non-streaming)
  * @param {string} copilotToken
  * @param {string} modelId
- * @param {Array<{role: string, content: string}>} messages
- * @param {object} options - temperature, max_tokens, etc.
+ * @param {Array<{role: string, content: string|Array}>} messages - content may be an array of
+ *   OpenAI-style `text` / `image_url` parts for vision models
+ * @param {object} options - temperature, maxTokens, signal (AbortSignal), retry (policy for
+ *   withRetry) and onRetry; any other keys are passed through as request body fields
  * @returns {Promise<{content: string, usage: object, model: string, finish_reason: string}>}
  */
 export async function sendChatMessage(copilotToken, modelId, messages, options = {}) {
+  const { temperature, maxTokens, signal, retry, onRetry, ...extra } = options;
   const body = {
     model: modelId,
     messages,
-    temperature: options.temperature ?? 0.7,
-    max_tokens: options.maxTokens ?? 4096,
+    temperature: temperature ?? 0.7,
+    max_tokens: maxTokens ?? 4096,
     stream: false,
-    ...options,
+    ...extra,
   };
 
-  const response = await fetch(`${COPILOT_API}/chat/completions`, {
-    method: 'POST',
-    headers: buildHeaders(copilotToken),
-    body: JSON.stringify(body),
-  });
-
-  if (!response.ok) {
-    const errData = await response.json().catch(() => ({}));
-    throw new Error(errData.error?.message || `API error: ${response.status} ${response.statusText}`);
-  }
+  const data = await withRetry(async () => {
+    const response = await fetch(`${COPILOT_API}/chat/completions`, {
+      method: 'POST',
+      headers: buildHeaders(copilotToken, { vision: hasImageContent(messages) }),
+      body: JSON.stringify(body),
+      signal,
+    });
+    if (!response.ok) throw await responseError(response);
+    return response.json();
+  }, { ...retry, signal, onRetry });
 
-  const data = await response.json();
   const choice = data.choices?.[0];
   return {
     content: choice?.message?.content || '',
@@ -373,87 +400,207 @@ export async function sendChatMessage(copilotToken, modelId, messages, options =
 }
 
 /**
- * Send a streaming chat completion request
+ * Send a streaming chat completion request. Failed requests are retried per `options.retry`
+ * as long as nothing has been streamed to `onChunk` yet.
  * @param {string} copilotToken
  * @param {string} modelId
- * @param {Array} messages
+ * @param {Array} messages - content may be a string or an array of `text` / `image_url` parts
  * @param {function} onChunk - callback(text: string)
  * @param {AbortSignal} signal
- * @param {object} options
+ * @param {object} options - temperature, maxTokens, tools, toolChoice (default "auto"), retry (policy
+ *   for withRetry) and onRetry; any other keys (top_p, stop, seed, n, …) are passed through as request body fields
+ * @returns {Promise<{usage: object, toolCalls: Array|null, finishReason: string|null, model: string,
+ *   retryMs: number|null, timing: {ttftMs: number|null, durationMs: number},
+ *   alternatives: Array<{content: string, finishReason: string|null}>}>} `model` is the model
+ *   that actually served the request; `timing` covers the successful attempt only; with `n` > 1
+ *   only the first choice is streamed and the others are returned as `alternatives`. Rejects
+ *   with the API's message when the stream carries an error event
  */
 export async function sendChatMessageStream(copilotToken, modelId, messages, onChunk, signal, options = {}) {
+  const { temperature, maxTokens, tools, toolChoice, retry, onRetry, ...extra } = options;
   const body = {
     model: modelId,
     messages,
-    temperature: options.temperature ?? 0.7,
-    max_tokens: options.maxTokens ?? 4096,
+    temperature: temperature ?? 0.7,
+    max_tokens: maxTokens ?? 4096,
+    ...extra,
     stream: true,
+    // Ask for a final chunk carrying token usage
+    stream_options: { include_usage: true },
   };
 
-  if (options.tools?.length) {
-    body.tools = options.tools;
-    body.tool_choice = 'auto';
-  }
-
-  const response = await fetch(`${COPILOT_API}/chat/completions`, {
-    method: 'POST',
-    headers: buildHeaders(copilotToken),
-    body: JSON.stringify(body),
-    signal,
-  });
-
-  if (!response.ok) {
-    const errData = await response.json().catch(() => ({}));
-    throw new Error(errData.error?.message || `API error: ${response.status} ${response.statusText}`);
+  if (tools?.length) {
+    body.tools = tools;
+    body.tool_choice = toolChoice ?? 'auto';
   }
 
-  const reader = response.body.getReader();
-  const decoder = new TextDecoder();
-  let usage = {};
-  // Accumulate streaming tool_call deltas: index → { id, type, function: { name, arguments } }
-  const toolCallMap = {};
+  // Once text reached the caller a retry would duplicate it
+  let streamed = false;
+
+  const attempt = async () => {
+    const started = performance.now();
+    let ttftMs = null;
+    const response = await fetch(`${COPILOT_API}/chat/completions`, {
+      method: 'POST',
+      headers: buildHeaders(copilotToken, { vision: hasImageContent(messages) }),
+      body: JSON.stringify(body),
+      signal,
+    });
 
-  while (true) {
-    const { done, value } = await reader.read();
-    if (done) break;
+    if (!response.ok) throw await responseError(response);
 
-    const chunk = decoder.decode(value, { stream: true });
-    const lines = chunk.split('\n');
+    let usage = {};
+    let finishReason = null;
+    let servedModel = null;
+    // Accumulate streaming tool_call deltas: index → { id, type, function: { name, arguments } }
+    const toolCallMap = {};
+    // Choices other than the first (n > 1): index → { content, finishReason }
+    const alternativeMap = {};
 
-    for (const line of lines) {
-      if (!line.startsWith('data: ')) continue;
-      const payload = line.slice(6).trim();
-      if (payload === '[DONE]') break;
+    const { retryMs } = await readSSEStream(response.body, ({ event, data }) => {
+      if (data === '[DONE]') return false;
 
+      let parsed;
       try {
-        const parsed = JSON.parse(payload);
-        const delta = parsed.choices?.[0]?.delta;
-        if (delta?.content) {
-          onChunk(delta.content);
-        }
-        if (delta?.tool_calls) {
-          for (const tc of delta.tool_calls) {
-            const idx = tc.index ?? 0;
-            if (!toolCallMap[idx]) {
-              toolCallMap[idx] = {
-                id: tc.id || `call_${idx}_${Date.now()}`,
-                type: 'function',
-                function: { name: '', arguments: '' },
-              };
-            }
-            if (tc.id) toolCallMap[idx].id = tc.id;
-            if (tc.type) toolCallMap[idx].type = tc.type;
-            if (tc.function?.name) toolCallMap[idx].function.name += tc.function.name;
-            if (tc.function?.arguments) toolCallMap[idx].function.arguments += tc.function.arguments;
+        parsed = JSON.parse(data);
+      } catch {
+        console.warn('[CopilotApp] Skipping malformed stream event:', data.slice(0, 200));
+        return true;
+      }
+      // Errors after the 200 response arrive as an `error` event or an `{ error }` payload
+      if (event === 'error' || parsed.error) {
+        const err = new Error(parsed.error?.message || parsed.message || 'The stream was interrupted by an API error');
+        err.code = parsed.error?.code || parsed.error?.type || null;
+        err.streamError = true;
+        throw err;
+      }
+
+      if (parsed.model && !servedModel) servedModel = parsed.model;
+      for (const alt of parsed.choices || []) {
+        if (!alt.index) continue;
+        alternativeMap[alt.index] ??= { content: '', finishReason: null };
+        if (alt.delta?.content) alternativeMap[alt.index].content += alt.delta.content;
+        if (alt.finish_reason) alternativeMap[alt.index].finishReason = alt.finish_reason;
+      }
+      const choice = parsed.choices?.find((c) => !c.index);
+      const delta = choice?.delta;
+      if (ttftMs == null && (delta?.content || delta?.tool_calls)) ttftMs = performance.now() - started;
+      if (delta?.content) {
+        streamed = true;
+        onChunk(delta.content);
+      }
+      if (delta?.tool_calls) {
+        for (const tc of delta.tool_calls) {
+          const idx = tc.index ?? 0;
+          if (!toolCallMap[idx]) {
+            toolCallMap[idx] = {
+              id: tc.id || `call_${idx}_${Date.now()}`,
+              type: 'function',
+              function: { name: '', arguments: '' },
+            };
           }
+          if (tc.id) toolCallMap[idx].id = tc.id;
+          if (tc.type) toolCallMap[idx].type = tc.type;
+          if (tc.function?.name) toolCallMap[idx].function.name += tc.function.name;
+          if (tc.function?.arguments) toolCallMap[idx].function.arguments += tc.function.arguments;
         }
-        if (parsed.usage) usage = parsed.usage;
+      }
+      if (choice?.finish_reason) finishReason = choice.finish_reason;
+      if (parsed.usage) usage = parsed.usage;
+      return true;
+    });
+
+    const toolCalls = Object.values(toolCallMap).filter((tc) => tc.function.name);
+    return {
+      usage,
+      toolCalls: toolCalls.length ? toolCalls : null,
+      finishReason,
+      model: servedModel || modelId,
+      retryMs,
+      timing: { ttftMs, durationMs: performance.now() - started },
+      alternatives: Object.keys(alternativeMap).sort((a, b) => a - b).map((i) => alternativeMap[i]),
+    };
+  };
+
+  return withRetry(attempt, { ...retry, signal, onRetry, canRetry: () => !streamed });
+}
+
+/**
+ * Send a streaming request to the Responses API (`/responses`), for models that are not
+ * served through chat completions (see usesResponsesApi). Takes the same arguments as
+ * sendChatMessageStream and resolves to the same shape, plus the response id and the
+ * reasoning summary.
+ * @param {string} copilotToken
+ * @param {string} modelId
+ * @param {Array} messages - chat-completions messages; with `previousResponseId` only the
+ *   messages after that response
+ * @param {function} onChunk - callback(text: string)
+ * @param {AbortSignal} signal
+ * @param {object} options - as for sendChatMessageStream, plus previousResponseId,
+ *   onReasoning (callback(text: string) for reasoning summary deltas) and modelInfo (the
+ *   display model; temperature and top_p are only sent when it supports them)
+ * @returns {Promise<{usage: object, toolCalls: Array|null, finishReason: string|null, model: string,
+ *   retryMs: number|null, timing: {ttftMs: number|null, durationMs: number}, alternatives: Array,
+ *   responseId: string|null, reasoning: string}>}
+ */
+export async function sendResponsesStream(copilotToken, modelId, messages, onChunk, signal, options = {}) {
+  const { retry, onRetry, onReasoning, ...rest } = options;
+  const body = buildResponsesBody(modelId, messages, rest);
+
+  // Once text reached the caller a retry would duplicate it
+  let streamed = false;
+
+  const attempt = async () => {
+    const started = performance.now();
+    let ttftMs = null;
+    const markFirstToken = () => {
+      if (ttftMs == null) ttftMs = performance.now() - started;
+    };
+    const response = await fetch(`${COPILOT_API}/responses`, {
+      method: 'POST',
+      headers: buildHeaders(copilotToken, { vision: hasImageContent(messages) }),
+      body: JSON.stringify(body),
+      signal,
+    });
+
+    if (!response.ok) throw await responseError(response);
+
+    const accumulator = createResponsesAccumulator({
+      onText: (text) => {
+        markFirstToken();
+        streamed = true;
+        onChunk(text);
+      },
+      onReasoning: (text) => {
+        markFirstToken();
+        streamed = true;
+        onReasoning?.(text);
+      },
+    });
+
+    const { retryMs } = await readSSEStream(response.body, ({ event, data }) => {
+      if (data === '[DONE]') return false;
+      let parsed;
+      try {
+        parsed = JSON.parse(data);
       } catch {
-        // ignore malformed chunks
+        console.warn('[CopilotApp] Skipping malformed stream event:', data.slice(0, 200));
+        return true;
       }
-    }
-  }
+      if (parsed.type === 'response.function_call_arguments.delta') markFirstToken();
+      // The event type is in the payload; the SSE `event:` name only repeats it
+      return accumulator.handle({ ...parsed, type: parsed.type || event });
+    });
+
+    const result = accumulator.result();
+    return {
+      ...result,
+      model: result.model || modelId,
+      retryMs,
+      timing: { ttftMs, durationMs: performance.now() - started },
+      alternatives: [],
+    };
+  };
 
-  const toolCalls = Object.values(toolCallMap).filter((tc) => tc.function.name);
-  return { usage, toolCalls: toolCalls.length ? toolCalls : null };
+  return withRetry(attempt, { ...retry, signal, onRetry, canRetry: () => !streamed });
 }
@@ -181,17 +181,22 @@ export async function getCopilotToken(githubToken) {
 }
 
 /**
- * Get Copilot premium request billing usage for the current month
+ * Get Copilot premium request billing usage for one month (the current UTC month by default)
  * @param {string} username - GitHub username
  * @param {string} token - Fine-grained PAT with Plan(read) permission
+ * @param {object} [filters]
+ * @param {number} [filters.year] - defaults to the current UTC year
+ * @param {number} [filters.month] - 1–12, defaults to the current UTC month
+ * @param {number} [filters.day] - 1–31, narrows the result to a single day
+ * @param {string} [filters.model] - model display name as it appears in usageItems
  * @returns {Promise<object>} Premium request usage data with usageItems array
  */
-export async function getBillingPremiumRequestUsage(username, token) {
+export async function getBillingPremiumRequestUsage(username, token, filters = {}) {
   const now = new Date();
-  const params = new URLSearchParams({
-    year: String(now.getUTCFullYear()),
-    month: String(now.getUTCMonth() + 1),
-  });
+  const { year = now.getUTCFullYear(), month = now.getUTCMonth() + 1, day, model } = filters;
+  const params = new URLSearchParams({ year: String(year), month: String(month) });
+  if (day) params.set('day', String(day));
+  if (model) params.set('model', model);
   const response = await fetch(
     `${GITHUB_API_PROXY}/users/${encodeURIComponent(username)}/settings/billing/premium_request/usage?${params}`,
     {
@@ -0,0 +1,218 @@
+/**
+ * Translation between the app's chat-completions shapes and the OpenAI-style Responses
+ * API (`/responses`), which some Copilot models (the gpt-5.x-codex family) are only
+ * served through. Messages, tools and optional parameters are converted to a Responses
+ * request body; stream events are folded back into the result shape of
+ * sendChatMessageStream, so callers don't need to care which endpoint answered.
+ */
+import { supportsSamplingParam } from '../utils/models.js';
+
+/** True when the model advertises `/responses` but not `/chat/completions` */
+export function usesResponsesApi(model) {
+  const endpoints = model?.supportedEndpoints || [];
+  return endpoints.includes('/responses') && !endpoints.includes('/chat/completions');
+}
+
+function toInputContent(content, role) {
+  const textType = role === 'assistant' ? 'output_text' : 'input_text';
+  if (typeof content === 'string') return [{ type: textType, text: content }];
+  return (content || []).map((part) => (
+    part.type === 'image_url'
+      ? { type: 'input_image', image_url: part.image_url?.url, detail: part.image_url?.detail || 'auto' }
+      : { type: textType, text: part.text || '' }
+  ));
+}
+
+/**
+ * Chat messages → Responses `input` items. Assistant tool calls and tool results become
+ * `function_call` / `function_call_output` items.
+ * @param {Array} messages - chat-completions messages
+ * @returns {Array}
+ */
+export function toResponsesInput(messages) {
+  const input = [];
+  for (const msg of messages) {
+    if (msg.role === 'tool') {
+      input.push({ type: 'function_call_output', call_id: msg.tool_call_id, output: String(msg.content ?? '') });
+      continue;
+    }
+    if (msg.content != null && msg.content !== '') {
+      input.push({ role: msg.role, content: toInputContent(msg.content, msg.role) });
+    }
+    for (const tc of msg.tool_calls || []) {
+      input.push({ type: 'function_call', call_id: tc.id, name: tc.function.name, arguments: tc.function.arguments });
+    }
+  }
+  return input;
+}
+
+/** Chat-completions tool definitions → Responses function tools */
+function toResponsesTools(tools) {
+  return tools.map((t) => ({
+    type: 'function',
+    name: t.function.name,
+    description: t.function.description,
+    parameters: t.function.parameters,
+  }));
+}
+
+// Chat-completions fields the Responses API has no equivalent for
+export const RESPONSES_UNSUPPORTED_FIELDS = ['stop', 'seed', 'presence_penalty', 'frequency_penalty', 'n'];
+
+/**
+ * Responses request body.
+ * @param {string} modelId
+ * @param {Array} messages - chat-completions messages (only the new ones when chaining)
+ * @param {object} options - temperature, maxTokens, tools, toolChoice, previousResponseId,
+ *   modelInfo (display model, for the sampling gate) and chat-completions body fields
+ *   (top_p, reasoning_effort, response_format, parallel_tool_calls)
+ * @returns {object}
+ */
+export function buildResponsesBody(modelId, messages, options = {}) {
+  const {
+    temperature, maxTokens, tools, toolChoice, previousResponseId, modelInfo,
+    reasoning_effort: effort, response_format: responseFormat, ...extra
+  } = options;
+  const dropped = RESPONSES_UNSUPPORTED_FIELDS.filter((f) => f in extra);
+  if (dropped.length) console.warn(`[CopilotApp] The Responses API ignores ${dropped.join(', ')}; not sent`);
+  for (const f of dropped) delete extra[f];
+  // Same gate as the chat settings: reasoning models (most of what is served here) and
+  // models that don't advertise sampling reject temperature / top_p
+  if (!supportsSamplingParam(modelInfo, 'top_p')) delete extra.top_p;
+  const sendTemperature = temperature != null && supportsSamplingParam(modelInfo, 'temperature');
+
+  const body = {
+    model: modelId,
+    input: toResponsesInput(messages),
+    max_output_tokens: maxTokens ?? 4096,
+    ...(sendTemperature ? { temperature } : {}),
+    ...extra,
+    // Models that are only served through /responses are reasoning models
+    reasoning: { summary: 'auto', ...(effort ? { effort } : {}) },
+    stream: true,
+  };
+  if (previousResponseId) body.previous_response_id = previousResponseId;
+  if (tools?.length) {
+    body.tools = toResponsesTools(tools);
+    body.tool_choice = toolChoice?.function ? { type: 'function', name: toolChoice.function.name } : (toolChoice ?? 'auto');
+  }
+  if (responseFormat?.type === 'json_schema') {
+    body.text = { format: { type: 'json_schema', ...responseFormat.json_schema } };
+  }
+  return body;
+}
+
+/** Responses usage → chat-completions usage, so ledgers and cost displays keep working */
+export function toChatUsage(usage) {
+  if (!usage) return {};
+  return {
+    prompt_tokens: usage.input_tokens ?? 0,
+    completion_tokens: usage.output_tokens ?? 0,
+    total_tokens: usage.total_tokens ?? (usage.input_tokens ?? 0) + (usage.output_tokens ?? 0),
+    ...(usage.output_tokens_details?.reasoning_tokens != null
+      ? { completion_tokens_details: { reasoning_tokens: usage.output_tokens_details.reasoning_tokens } }
+      : {}),
+  };
+}
+
+const INCOMPLETE_REASONS = { max_output_tokens: 'length', content_filter: 'content_filter' };
+
+/**
+ * Fold Responses stream events into a result.
+ * @param {object} handlers
+ * @param {function(string): void} handlers.onText - output text delta
+ * @param {function(string): void} [handlers.onReasoning] - reasoning summary delta
+ * @returns {{handle: function(object): boolean, result: function(): object}} `handle` returns
+ *   false once the response is finished; it throws when the response failed
+ */
+export function createResponsesAccumulator({ onText, onReasoning }) {
+  let responseId = null;
+  let model = null;
+  let usage = {};
+  let finishReason = null;
+  let reasoning = '';
+  // output_index → function call being streamed
+  const calls = new Map();
+
+  const addReasoning = (text) => {
+    reasoning += text;
+    onReasoning?.(text);
+  };
+
+  const handle = (event) => {
+    switch (event.type) {
+      case 'response.created':
+      case 'response.in_progress':
+        responseId = event.response?.id ?? responseId;
+        model = event.response?.model ?? model;
+        break;
+      case 'response.output_text.delta':
+        if (event.delta) onText(event.delta);
+        break;
+      case 'response.reasoning_summary_part.added':
+        // Separate summary parts read as paragraphs
+        if (reasoning) addReasoning('\n\n');
+        break;
+      case 'response.reasoning_summary_text.delta':
+        if (event.delta) addReasoning(event.delta);
+        break;
+      case 'response.output_item.added':
+      case 'response.output_item.done':
+        if (event.item?.type === 'function_call') {
+          const prev = calls.get(event.output_index);
+          calls.set(event.output_index, {
+            id: event.item.call_id || prev?.id,
+            type: 'function',
+            function: {
+              name: event.item.name || prev?.function.name || '',
+              // The final item carries the complete arguments
+              arguments: event.item.arguments || prev?.function.arguments || '',
+            },
+          });
+        }
+        break;
+      case 'response.function_call_arguments.delta': {
+        const call = calls.get(event.output_index);
+        if (call) call.function.arguments += event.delta || '';
+        break;
+      }
+      case 'response.completed':
+      case 'response.incomplete': {
+        const response = event.response || {};
+        responseId = response.id ?? responseId;
+        model = response.model ?? model;
+        usage = toChatUsage(response.usage);
+        const reason = response.incomplete_details?.reason;
+        finishReason = event.type === 'response.incomplete'
+          ? INCOMPLETE_REASONS[reason] || reason || 'length'
+          : calls.size ? 'tool_calls' : 'stop';
+        return false;
+      }
+      case 'response.failed':
+      case 'error': {
+        const error = event.response?.error || event.error || event;
+        const err = new Error(error.message || 'The response failed');
+        err.code = error.code || null;
+        err.streamError = true;
+        throw err;
+      }
+      default:
+        // Other events (content_part.added, output_text.done, …) carry nothing new
+    }
+    return true;
+  };
+
+  const result = () => {
+    const toolCalls = [...calls.keys()].sort((a, b) => a - b).map((i) => calls.get(i)).filter((tc) => tc.function.name);
+    return {
+      usage,
+      toolCalls: toolCalls.length ? toolCalls : null,
+      finishReason,
+      model,
+      responseId,
+      reasoning,
+    };
+  };
+
+  return { handle, result };
+}
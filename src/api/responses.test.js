@@ -0,0 +1,124 @@
+/**
+ * Tests for the Responses request body: sampling gate, dropped fields and the
+ * chat-completions → Responses translation of messages, tools and structured output.
+ */
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { buildResponsesBody } from './responses.js';
+
+const CODEX = {
+  id: 'gpt-5.1-codex',
+  provider: 'OpenAI',
+  reasoning: true,
+  reasoningEfforts: ['low', 'medium', 'high'],
+  supportedEndpoints: ['/responses'],
+  capabilities: { supports: { reasoning_effort: ['low', 'medium', 'high'], tool_calls: true } },
+};
+const SAMPLING = {
+  id: 'gpt-4.1-responses',
+  provider: 'OpenAI',
+  reasoning: false,
+  supportedEndpoints: ['/responses'],
+  capabilities: { supports: {} },
+};
+
+const USER = [{ role: 'user', content: 'hi' }];
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe('buildResponsesBody', () => {
+  it('leaves out temperature and top_p for reasoning models', () => {
+    const body = buildResponsesBody(CODEX.id, USER, { temperature: 0.7, top_p: 0.9, modelInfo: CODEX });
+    expect(body).not.toHaveProperty('temperature');
+    expect(body).not.toHaveProperty('top_p');
+  });
+
+  it('leaves out temperature and top_p when the model is unknown', () => {
+    const body = buildResponsesBody('mystery', USER, { temperature: 0.7, top_p: 0.9 });
+    expect(body).not.toHaveProperty('temperature');
+    expect(body).not.toHaveProperty('top_p');
+  });
+
+  it('sends temperature and top_p to models that sample', () => {
+    const body = buildResponsesBody(SAMPLING.id, USER, { temperature: 0.2, top_p: 0.9, modelInfo: SAMPLING });
+    expect(body.temperature).toBe(0.2);
+    expect(body.top_p).toBe(0.9);
+  });
+
+  it('lets explicit supports flags override the reasoning default', () => {
+    const model = { ...CODEX, capabilities: { supports: { ...CODEX.capabilities.supports, temperature: true } } };
+    const body = buildResponsesBody(model.id, USER, { temperature: 1, top_p: 0.5, modelInfo: model });
+    expect(body.temperature).toBe(1);
+    expect(body).not.toHaveProperty('top_p');
+
+    const noTemperature = { ...SAMPLING, capabilities: { supports: { temperature: false } } };
+    expect(buildResponsesBody(SAMPLING.id, USER, { temperature: 1, modelInfo: noTemperature })).not.toHaveProperty('temperature');
+  });
+
+  it('never sends the model info itself', () => {
+    expect(buildResponsesBody(CODEX.id, USER, { modelInfo: CODEX })).not.toHaveProperty('modelInfo');
+  });
+
+  it('drops chat-completions fields the Responses API has no equivalent for', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const body = buildResponsesBody(CODEX.id, USER, { stop: ['END'], seed: 1, n: 2, modelInfo: CODEX });
+    for (const field of ['stop', 'seed', 'n']) expect(body).not.toHaveProperty(field);
+    expect(warn).toHaveBeenCalledOnce();
+  });
+
+  it('maps max tokens, reasoning effort and the previous response id', () => {
+    const body = buildResponsesBody(CODEX.id, USER, {
+      maxTokens: 2048,
+      reasoning_effort: 'high',
+      previousResponseId: 'resp_1',
+      modelInfo: CODEX,
+    });
+    expect(body).toMatchObject({
+      model: CODEX.id,
+      max_output_tokens: 2048,
+      reasoning: { summary: 'auto', effort: 'high' },
+      previous_response_id: 'resp_1',
+      stream: true,
+    });
+    expect(buildResponsesBody(CODEX.id, USER).max_output_tokens).toBe(4096);
+  });
+
+  it('turns messages, tool calls and tool results into input items', () => {
+    const body = buildResponsesBody(CODEX.id, [
+      { role: 'system', content: 'Be brief' },
+      { role: 'user', content: [{ type: 'text', text: 'What is this?' }, { type: 'image_url', image_url: { url: 'data:image/png;base64,AAAA' } }] },
+      { role: 'assistant', content: '', tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'web_search', arguments: '{"q":"x"}' } }] },
+      { role: 'tool', tool_call_id: 'call_1', content: 'result' },
+      { role: 'assistant', content: 'Done' },
+    ]);
+    expect(body.input).toEqual([
+      { role: 'system', content: [{ type: 'input_text', text: 'Be brief' }] },
+      {
+        role: 'user',
+        content: [
+          { type: 'input_text', text: 'What is this?' },
+          { type: 'input_image', image_url: 'data:image/png;base64,AAAA', detail: 'auto' },
+        ],
+      },
+      { type: 'function_call', call_id: 'call_1', name: 'web_search', arguments: '{"q":"x"}' },
+      { type: 'function_call_output', call_id: 'call_1', output: 'result' },
+      { role: 'assistant', content: [{ type: 'output_text', text: 'Done' }] },
+    ]);
+  });
+
+  it('converts tools, a forced tool choice and a JSON Schema response format', () => {
+    const parameters = { type: 'object', properties: { q: { type: 'string' } } };
+    const body = buildResponsesBody(CODEX.id, USER, {
+      tools: [{ type: 'function', function: { name: 'web_search', description: 'Search', parameters } }],
+      toolChoice: { type: 'function', function: { name: 'web_search' } },
+      response_format: { type: 'json_schema', json_schema: { name: 'answer', strict: true, schema: parameters } },
+    });
+    expect(body.tools).toEqual([{ type: 'function', name: 'web_search', description: 'Search', parameters }]);
+    expect(body.tool_choice).toEqual({ type: 'function', name: 'web_search' });
+    expect(body.text).toEqual({ format: { type: 'json_schema', name: 'answer', strict: true, schema: parameters } });
+
+    const auto = buildResponsesBody(CODEX.id, USER, { tools: [{ type: 'function', function: { name: 'web_search', parameters } }] });
+    expect(auto.tool_choice).toBe('auto');
+  });
+});
@@ -0,0 +1,140 @@
+/**
+ * Retry policy for Copilot API requests.
+ *
+ * Rate limits (429), server errors (5xx), timeouts and network failures are retried with
+ * exponential backoff and jitter. When the response says how long to wait — `Retry-After`
+ * (seconds or HTTP date), `retry-after-ms`, or the `x-ratelimit-*` reset headers — that
+ * wait is used instead. A wait longer than the policy allows ends the retries so a
+ * fallback model can take over sooner.
+ */
+
+export const DEFAULT_RETRY_POLICY = { maxRetries: 2, maxRetryDelayMs: 30_000 };
+
+const BASE_DELAY_MS = 1000;
+const RETRYABLE_STATUS = new Set([408, 409, 425, 429, 500, 502, 503, 504]);
+
+/** "1.5s", "6m0s", "250ms" (OpenAI-style reset durations) → milliseconds */
+function parseDuration(value) {
+  const re = /(\d+(?:\.\d+)?)(ms|h|m|s)/g;
+  let total = 0;
+  let matched = false;
+  for (const [, amount, unit] of value.matchAll(re)) {
+    matched = true;
+    total += Number(amount) * { ms: 1, s: 1000, m: 60_000, h: 3_600_000 }[unit];
+  }
+  return matched ? total : null;
+}
+
+/**
+ * How long the server asks the client to wait before retrying, or null.
+ * @param {Headers} headers
+ * @returns {number|null} milliseconds
+ */
+export function getRetryAfterMs(headers) {
+  const ms = Number(headers.get('retry-after-ms'));
+  if (ms > 0) return ms;
+
+  const retryAfter = headers.get('retry-after');
+  if (retryAfter) {
+    if (/^\d+(\.\d+)?$/.test(retryAfter.trim())) return Number(retryAfter) * 1000;
+    const date = Date.parse(retryAfter);
+    if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+  }
+
+  if (headers.get('x-ratelimit-remaining') === '0' || headers.get('x-ratelimit-remaining-requests') === '0') {
+    const resetRequests = headers.get('x-ratelimit-reset-requests');
+    if (resetRequests) return parseDuration(resetRequests);
+    // GitHub-style reset: epoch seconds
+    const reset = Number(headers.get('x-ratelimit-reset'));
+    if (reset > 0) return Math.max(0, reset * 1000 - Date.now());
+  }
+  return null;
+}
+
+/**
+ * Error for a non-OK API response, carrying the status and any requested retry delay.
+ * @param {Response} response
+ * @returns {Promise<Error>}
+ */
+export async function responseError(response) {
+  const errData = await response.json().catch(() => ({}));
+  const err = new Error(errData.error?.message || `API error: ${response.status} ${response.statusText}`);
+  err.status = response.status;
+  err.code = errData.error?.code || null;
+  err.retryAfterMs = getRetryAfterMs(response.headers);
+  return err;
+}
+
+/** Whether a failed request is worth repeating */
+export function isRetryableError(err) {
+  if (err?.name === 'AbortError') return false;
+  if (err?.status) return RETRYABLE_STATUS.has(err.status);
+  // fetch rejects with a TypeError on network failures; stream error events are flagged
+  return err instanceof TypeError || err?.streamError === true;
+}
+
+/** Short reason for the UI, e.g. "429 rate limited" or "network error" */
+export function describeApiError(err) {
+  if (err?.status === 429) return '429 rate limited';
+  if (err?.status >= 500) return `${err.status} server error`;
+  if (err?.status) return `${err.status} ${err.message}`;
+  if (err instanceof TypeError) return 'network error';
+  return err?.message || 'unknown error';
+}
+
+function backoffDelay(attempt, maxDelayMs) {
+  const exp = Math.min(maxDelayMs, BASE_DELAY_MS * 2 ** attempt);
+  return Math.round(exp * (0.5 + Math.random() * 0.5));
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new DOMException('Aborted', 'AbortError'));
+      return;
+    }
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new DOMException('Aborted', 'AbortError'));
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Run `attempt` until it succeeds, fails with a non-retryable error or runs out of retries.
+ * @param {function(number): Promise<*>} attempt - called with the attempt number (0-based)
+ * @param {object} [options]
+ * @param {number} [options.maxRetries]
+ * @param {number} [options.maxRetryDelayMs] - longest wait allowed between attempts
+ * @param {AbortSignal} [options.signal]
+ * @param {function({attempt: number, delayMs: number, error: Error}): void} [options.onRetry]
+ * @param {function(Error): boolean} [options.canRetry] - extra veto, e.g. once output was streamed
+ * @returns {Promise<*>} the attempt's result; the last error is rethrown with `attempts` set
+ */
+export async function withRetry(attempt, {
+  maxRetries = DEFAULT_RETRY_POLICY.maxRetries,
+  maxRetryDelayMs = DEFAULT_RETRY_POLICY.maxRetryDelayMs,
+  signal,
+  onRetry,
+  canRetry = () => true,
+} = {}) {
+  for (let n = 0; ; n++) {
+    try {
+      return await attempt(n);
+    } catch (err) {
+      const delayMs = err.retryAfterMs ?? backoffDelay(n, maxRetryDelayMs);
+      if (n >= maxRetries || !isRetryableError(err) || !canRetry(err) || delayMs > maxRetryDelayMs) {
+        err.attempts = n + 1;
+        throw err;
+      }
+      console.warn(`[CopilotApp] Request failed (${describeApiError(err)}), retrying in ${delayMs} ms`);
+      onRetry?.({ attempt: n + 1, delayMs, error: err });
+      await sleep(delayMs, signal);
+    }
+  }
+}
@@ -0,0 +1,130 @@
+/**
+ * Tests for the retry policy: server-requested waits, exponential backoff and its cap,
+ * and which errors are retried.
+ */
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { getRetryAfterMs, isRetryableError, withRetry } from './retry.js';
+
+const NOW = new Date('2026-10-19T12:00:00Z');
+
+function apiError(status, retryAfterMs = null) {
+  return Object.assign(new Error(`API error: ${status}`), { status, retryAfterMs });
+}
+
+/** Run withRetry to completion under fake timers; returns the outcome and the waits it asked for */
+async function runWithRetry(attempt, options = {}) {
+  const delays = [];
+  const promise = withRetry(attempt, { ...options, onRetry: ({ delayMs }) => delays.push(delayMs) });
+  const outcome = promise.then((value) => ({ value }), (error) => ({ error }));
+  await vi.runAllTimersAsync();
+  return { ...(await outcome), delays };
+}
+
+beforeEach(() => {
+  vi.useFakeTimers();
+  vi.setSystemTime(NOW);
+  vi.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+  vi.restoreAllMocks();
+});
+
+describe('getRetryAfterMs', () => {
+  it('reads Retry-After in seconds', () => {
+    expect(getRetryAfterMs(new Headers({ 'retry-after': '7' }))).toBe(7000);
+    expect(getRetryAfterMs(new Headers({ 'retry-after': '1.5' }))).toBe(1500);
+  });
+
+  it('reads Retry-After as an HTTP date', () => {
+    const at = new Date(NOW.getTime() + 12_000).toUTCString();
+    expect(getRetryAfterMs(new Headers({ 'retry-after': at }))).toBe(12_000);
+    // A date in the past means "now"
+    expect(getRetryAfterMs(new Headers({ 'retry-after': 'Mon, 19 Oct 2026 11:00:00 GMT' }))).toBe(0);
+  });
+
+  it('prefers retry-after-ms', () => {
+    expect(getRetryAfterMs(new Headers({ 'retry-after-ms': '250', 'retry-after': '10' }))).toBe(250);
+  });
+
+  it('uses the rate-limit reset headers once the limit is exhausted', () => {
+    expect(getRetryAfterMs(new Headers({ 'x-ratelimit-remaining-requests': '0', 'x-ratelimit-reset-requests': '1m30s' }))).toBe(90_000);
+    const reset = String(NOW.getTime() / 1000 + 20);
+    expect(getRetryAfterMs(new Headers({ 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': reset }))).toBe(20_000);
+    expect(getRetryAfterMs(new Headers({ 'x-ratelimit-remaining': '5', 'x-ratelimit-reset': reset }))).toBeNull();
+  });
+
+  it('returns null without any hint', () => {
+    expect(getRetryAfterMs(new Headers())).toBeNull();
+    expect(getRetryAfterMs(new Headers({ 'retry-after': 'soon' }))).toBeNull();
+  });
+});
+
+describe('isRetryableError', () => {
+  it('retries rate limits, server errors and network failures only', () => {
+    expect(isRetryableError(apiError(429))).toBe(true);
+    expect(isRetryableError(apiError(503))).toBe(true);
+    expect(isRetryableError(new TypeError('Failed to fetch'))).toBe(true);
+    expect(isRetryableError(Object.assign(new Error('overloaded'), { streamError: true }))).toBe(true);
+    expect(isRetryableError(apiError(400))).toBe(false);
+    expect(isRetryableError(apiError(401))).toBe(false);
+    expect(isRetryableError(new DOMException('Aborted', 'AbortError'))).toBe(false);
+  });
+});
+
+describe('withRetry', () => {
+  it('backs off exponentially and caps the wait at maxRetryDelayMs', async () => {
+    // No jitter: the wait is the full exponential step
+    vi.spyOn(Math, 'random').mockReturnValue(1);
+    const attempt = vi.fn().mockRejectedValue(apiError(503));
+    const { error, delays } = await runWithRetry(attempt, { maxRetries: 4, maxRetryDelayMs: 3000 });
+    expect(delays).toEqual([1000, 2000, 3000, 3000]);
+    expect(attempt).toHaveBeenCalledTimes(5);
+    expect(error.attempts).toBe(5);
+  });
+
+  it('adds jitter of up to half the step', async () => {
+    vi.spyOn(Math, 'random').mockReturnValue(0);
+    const { delays } = await runWithRetry(vi.fn().mockRejectedValue(apiError(500)), { maxRetries: 2 });
+    expect(delays).toEqual([500, 1000]);
+  });
+
+  it('waits as long as the server asks and then succeeds', async () => {
+    const attempt = vi.fn()
+      .mockRejectedValueOnce(apiError(429, 4000))
+      .mockResolvedValueOnce('ok');
+    const { value, delays } = await runWithRetry(attempt);
+    expect(value).toBe('ok');
+    expect(delays).toEqual([4000]);
+  });
+
+  it('gives up at once when the server asks for a longer wait than allowed', async () => {
+    const attempt = vi.fn().mockRejectedValue(apiError(429, 60_000));
+    const { error, delays } = await runWithRetry(attempt, { maxRetryDelayMs: 30_000 });
+    expect(delays).toEqual([]);
+    expect(attempt).toHaveBeenCalledOnce();
+    expect(error.attempts).toBe(1);
+  });
+
+  it('does not retry errors that are not retryable or are vetoed', async () => {
+    const badRequest = vi.fn().mockRejectedValue(apiError(400));
+    expect((await runWithRetry(badRequest)).error.status).toBe(400);
+    expect(badRequest).toHaveBeenCalledOnce();
+
+    const vetoed = vi.fn().mockRejectedValue(apiError(503));
+    await runWithRetry(vetoed, { canRetry: () => false });
+    expect(vetoed).toHaveBeenCalledOnce();
+  });
+
+  it('stops waiting when aborted', async () => {
+    const controller = new AbortController();
+    const attempt = vi.fn().mockRejectedValue(apiError(503, 10_000));
+    const promise = withRetry(attempt, { signal: controller.signal });
+    const outcome = promise.catch((err) => err);
+    await vi.advanceTimersByTimeAsync(1000);
+    controller.abort();
+    expect((await outcome).name).toBe('AbortError');
+    expect(attempt).toHaveBeenCalledOnce();
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * Incremental Server-Sent Events parser (WHATWG event-stream format).
+ *
+ * Network reads can end anywhere — mid-line, mid-field, even mid-character — so text is
+ * buffered until a full line is available and events are only dispatched on the blank
+ * line that terminates them. Handles CRLF / LF / CR line endings, comments, multi-line
+ * `data:` fields, `event:`, `id:` and `retry:`.
+ */
+
+/**
+ * @typedef {object} SSEEvent
+ * @property {string} event - event type, "message" when the stream does not name one
+ * @property {string} data - data lines joined with "\n"
+ * @property {string} lastEventId
+ */
+
+/**
+ * Create a parser that calls `onEvent` for every complete event.
+ * @param {function(SSEEvent): void} onEvent
+ * @returns {{feed: function(string): void, end: function(): void, retryMs: function(): number|null}}
+ */
+export function createSSEParser(onEvent) {
+  let buffer = '';
+  let dataLines = [];
+  let eventType = '';
+  let lastEventId = '';
+  let retryMs = null;
+  // A chunk ending in "\r" may be the first half of "\r\n"
+  let pendingCR = false;
+
+  const dispatch = () => {
+    if (dataLines.length) {
+      onEvent({ event: eventType || 'message', data: dataLines.join('\n'), lastEventId });
+    }
+    dataLines = [];
+    eventType = '';
+  };
+
+  const processLine = (line) => {
+    if (line === '') {
+      dispatch();
+      return;
+    }
+    if (line.startsWith(':')) return; // comment / keep-alive
+    const colon = line.indexOf(':');
+    const field = colon === -1 ? line : line.slice(0, colon);
+    let value = colon === -1 ? '' : line.slice(colon + 1);
+    if (value.startsWith(' ')) value = value.slice(1);
+
+    switch (field) {
+      case 'data':
+        dataLines.push(value);
+        break;
+      case 'event':
+        eventType = value;
+        break;
+      case 'id':
+        if (!value.includes('\0')) lastEventId = value;
+        break;
+      case 'retry':
+        if (/^\d+$/.test(value)) retryMs = Number(value);
+        break;
+      default:
+        // Unknown fields are ignored per the spec
+    }
+  };
+
+  const feed = (text) => {
+    if (pendingCR && text.startsWith('\n')) text = text.slice(1);
+    pendingCR = false;
+    buffer += text;
+
+    let start = 0;
+    for (let i = 0; i < buffer.length; i++) {
+      const ch = buffer[i];
+      if (ch !== '\n' && ch !== '\r') continue;
+      processLine(buffer.slice(start, i));
+      if (ch === '\r') {
+        if (i + 1 === buffer.length) pendingCR = true;
+        else if (buffer[i + 1] === '\n') i += 1;
+      }
+      start = i + 1;
+    }
+    buffer = buffer.slice(start);
+  };
+
+  /** End of stream: a final event without its terminating blank line is still dispatched */
+  const end = () => {
+    if (buffer) processLine(buffer);
+    buffer = '';
+    dispatch();
+  };
+
+  return { feed, end, retryMs: () => retryMs };
+}
+
+/**
+ * Read an SSE response body to the end, or until `onEvent` returns false or throws.
+ * @param {ReadableStream<Uint8Array>} body
+ * @param {function(SSEEvent): (boolean|void)} onEvent - return false to stop reading
+ * @returns {Promise<{retryMs: number|null}>} the last `retry:` value the server sent
+ */
+export async function readSSEStream(body, onEvent) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let stopped = false;
+  const parser = createSSEParser((event) => {
+    if (stopped) return;
+    if (onEvent(event) === false) stopped = true;
+  });
+
+  let finished = false;
+  try {
+    while (!stopped) {
+      const { done, value } = await reader.read();
+      if (done) {
+        parser.feed(decoder.decode());
+        parser.end();
+        finished = true;
+        break;
+      }
+      parser.feed(decoder.decode(value, { stream: true }));
+    }
+  } finally {
+    // Stopped early or `onEvent` threw: close the connection instead of leaving it open
+    if (!finished) reader.cancel().catch(() => {});
+  }
+  return { retryMs: parser.retryMs() };
+}
@@ -0,0 +1,194 @@
+/**
+ * Fixture tests for the SSE parser: recorded streams (src/api/__fixtures__/sse) are
+ * replayed with every line-ending style and split at every byte boundary.
+ */
+import { readFileSync } from 'node:fs';
+import { describe, expect, it } from 'vitest';
+import { createSSEParser, readSSEStream } from './sse.js';
+
+const fixture = (name) => readFileSync(new URL(`./__fixtures__/sse/${name}`, import.meta.url), 'utf8');
+
+const LINE_ENDINGS = {
+  LF: (text) => text,
+  CRLF: (text) => text.replace(/\n/g, '\r\n'),
+  CR: (text) => text.replace(/\n/g, '\r'),
+};
+
+const encoder = new TextEncoder();
+
+/**
+ * A response-like body that delivers `chunks` one read at a time. `state.cancelled` is
+ * set when the reader cancels; `endless` keeps the stream open after the last chunk.
+ */
+function bodyOf(chunks, { endless = false } = {}) {
+  const state = { cancelled: false, reads: 0 };
+  const queue = chunks.map((c) => (typeof c === 'string' ? encoder.encode(c) : c));
+  const body = new ReadableStream({
+    pull(controller) {
+      if (queue.length) {
+        state.reads += 1;
+        controller.enqueue(queue.shift());
+      } else if (!endless) {
+        controller.close();
+      }
+      // endless: never resolves more data, like a stalled connection
+    },
+    cancel() {
+      state.cancelled = true;
+    },
+  }, { highWaterMark: 0 });
+  return { body, state };
+}
+
+/** Split bytes at the given offsets */
+function splitAt(bytes, offsets) {
+  const chunks = [];
+  let start = 0;
+  for (const offset of offsets) {
+    chunks.push(bytes.slice(start, offset));
+    start = offset;
+  }
+  chunks.push(bytes.slice(start));
+  return chunks;
+}
+
+async function collect(chunks) {
+  const events = [];
+  const { body } = bodyOf(chunks);
+  const { retryMs } = await readSSEStream(body, (e) => { events.push(e); });
+  return { events, retryMs };
+}
+
+function parseWhole(text) {
+  const events = [];
+  const parser = createSSEParser((e) => events.push(e));
+  parser.feed(text);
+  parser.end();
+  return { events, retryMs: parser.retryMs() };
+}
+
+describe('createSSEParser', () => {
+  it('parses a recorded chat completion stream', () => {
+    const { events } = parseWhole(fixture('chat-completion.sse'));
+    expect(events).toHaveLength(6);
+    expect(events.every((e) => e.event === 'message')).toBe(true);
+    expect(JSON.parse(events[1].data).choices[0].delta.content).toBe('你好');
+    expect(JSON.parse(events[2].data).choices[0].delta.content).toBe(' 👋 café');
+    expect(JSON.parse(events[4].data).usage.total_tokens).toBe(17);
+    expect(events[5].data).toBe('[DONE]');
+  });
+
+  it('handles event, id and retry fields, comments and multi-line data', () => {
+    const { events, retryMs } = parseWhole(fixture('fields.sse'));
+    expect(events).toEqual([
+      { event: 'message_start', data: '{"type":"message_start"}', lastEventId: 'evt-1' },
+      { event: 'message', data: 'first line\nsecond line\n\nthird line without a space', lastEventId: 'evt-1' },
+      { event: 'ping', data: '{}', lastEventId: 'evt-1' },
+      { event: 'message', data: ' leading space kept after the first', lastEventId: 'evt-2' },
+    ]);
+    // The invalid `retry: not-a-number` is ignored
+    expect(retryMs).toBe(3000);
+  });
+
+  it('ignores comment-only blocks and dispatches nothing for them', () => {
+    expect(parseWhole(': just a comment\n\n:another\n\n').events).toEqual([]);
+  });
+
+  it('dispatches a final event that lacks its blank line at end of stream', () => {
+    expect(parseWhole('data: tail').events).toEqual([{ event: 'message', data: 'tail', lastEventId: '' }]);
+  });
+
+  for (const [name, convert] of Object.entries(LINE_ENDINGS)) {
+    it(`gives the same events with ${name} line endings`, () => {
+      for (const file of ['chat-completion.sse', 'fields.sse', 'error-midstream.sse']) {
+        const lf = parseWhole(fixture(file));
+        expect(parseWhole(convert(fixture(file)))).toEqual(lf);
+      }
+    });
+  }
+
+  it('keeps a CR at the end of a chunk from producing an extra blank line', () => {
+    const events = [];
+    const parser = createSSEParser((e) => events.push(e));
+    parser.feed('data: a\r');
+    parser.feed('\ndata: b\r');
+    parser.feed('\n\r');
+    parser.feed('\n');
+    parser.end();
+    expect(events).toEqual([{ event: 'message', data: 'a\nb', lastEventId: '' }]);
+  });
+});
+
+describe('readSSEStream', () => {
+  for (const [name, convert] of Object.entries(LINE_ENDINGS)) {
+    for (const file of ['chat-completion.sse', 'fields.sse']) {
+      it(`${file} (${name}) parses identically when split at any byte`, async () => {
+        const bytes = encoder.encode(convert(fixture(file)));
+        const expected = await collect([bytes]);
+
+        // One split at every position: covers splits inside multi-byte UTF-8 characters
+        // and between CR and LF
+        for (let i = 1; i < bytes.length; i++) {
+          expect(await collect(splitAt(bytes, [i]))).toEqual(expected);
+        }
+        // Byte-by-byte delivery
+        const single = [...bytes].map((_, i) => i + 1).slice(0, -1);
+        expect(await collect(splitAt(bytes, single))).toEqual(expected);
+      });
+    }
+  }
+
+  it('splits inside a multi-byte character without corrupting it', async () => {
+    const bytes = encoder.encode('data: 👋你\n\n');
+    // The emoji is 4 bytes starting at offset 6; split inside it and inside 你
+    const { events } = await collect(splitAt(bytes, [7, 8, 11, 12]));
+    expect(events).toEqual([{ event: 'message', data: '👋你', lastEventId: '' }]);
+  });
+
+  it('stops at the [DONE] sentinel and cancels the reader', async () => {
+    const text = fixture('chat-completion.sse');
+    const upToDone = text.slice(0, text.indexOf('data: [DONE]\n\n') + 14);
+    // Data after the sentinel (never read)
+    const { body, state } = bodyOf([upToDone, 'data: {"late":true}\n\n']);
+    const seen = [];
+    await readSSEStream(body, ({ data }) => {
+      if (data === '[DONE]') return false;
+      seen.push(data);
+      return true;
+    });
+    expect(seen).toHaveLength(5);
+    expect(seen.some((d) => d.includes('late'))).toBe(false);
+    expect(state.cancelled).toBe(true);
+  });
+
+  it('rejects on an error event mid-stream and cancels the reader', async () => {
+    const { body, state } = bodyOf(fixture('error-midstream.sse').split(/(?<=\n\n)/));
+    const content = [];
+    const read = readSSEStream(body, ({ event, data }) => {
+      const parsed = JSON.parse(data);
+      if (event === 'error') throw new Error(parsed.error.message);
+      content.push(parsed.choices[0].delta.content);
+    });
+    await expect(read).rejects.toThrow('upstream overloaded');
+    expect(content).toEqual(['Partial', ' answer']);
+    expect(state.cancelled).toBe(true);
+  });
+
+  it('cancels a stream that is still open when the caller stops early', async () => {
+    const { body, state } = bodyOf(['data: one\n\n', 'data: two\n\n'], { endless: true });
+    const seen = [];
+    await readSSEStream(body, ({ data }) => {
+      seen.push(data);
+      return false;
+    });
+    expect(seen).toEqual(['one']);
+    expect(state.cancelled).toBe(true);
+    expect(state.reads).toBe(1);
+  });
+
+  it('does not cancel a stream that ended normally', async () => {
+    const { body, state } = bodyOf(['data: one\n\n']);
+    await readSSEStream(body, () => true);
+    expect(state.cancelled).toBe(false);
+  });
+});
@@ -0,0 +1,380 @@
+/**
+ * Arena: send one prompt to 2–6 models at once and compare the streamed replies
+ * side by side. Each column reports time to first token, total latency and token
+ * counts; every finished run is stored as a single record (utils/arenaStore.js).
+ *
+ * Blind mode (exactly two models) shuffles the pair and labels the columns "A" and
+ * "B" until the user votes; votes feed the leaderboard in utils/leaderboard.js.
+ */
+import { useState, useEffect, useRef } from 'react';
+import MessageContent from './MessageContent.jsx';
+import { sendChatMessageStream, sendResponsesStream } from '../api/copilot.js';
+import { usesResponsesApi } from '../api/responses.js';
+import { clampMaxTokens, getModelDisplayName, groupedModels } from '../utils/models.js';
+import { deleteArenaRun, listArenaRuns, saveArenaRun } from '../utils/arenaStore.js';
+import { isRateableRun, PROMPT_CATEGORIES, VOTE_OUTCOMES } from '../utils/leaderboard.js';
+import { getModelMultiplier } from '../utils/premiumRequests.js';
+import { recordCompletion } from '../utils/usageLedger.js';
+import { formatMs } from '../utils/replyMetrics.js';
+
+const MIN_ARENA_MODELS = 2;
+const MAX_ARENA_MODELS = 6;
+const BLIND_LABELS = ['A', 'B'];
+
+/** Completion tokens reported by the API, or a rough estimate (~4 chars per token) */
+function outputTokens(result) {
+  if (result.usage?.completion_tokens != null) return { count: result.usage.completion_tokens, estimated: false };
+  return { count: Math.ceil((result.content || '').length / 4), estimated: true };
+}
+
+export default function Arena({ copilotToken, models, initialModelId, systemPrompt, temperature, maxTokens }) {
+  const [modelIds, setModelIds] = useState(() => (initialModelId ? [initialModelId] : []));
+  const [prompt, setPrompt] = useState('');
+  const [run, setRun] = useState(null); // run being shown: live or loaded from history
+  const [running, setRunning] = useState(false);
+  const [history, setHistory] = useState([]);
+  const [error, setError] = useState('');
+  const [blind, setBlind] = useState(false);
+  const [category, setCategory] = useState(PROMPT_CATEGORIES[0].id);
+  const controllersRef = useRef(new Set());
+
+  useEffect(() => {
+    let cancelled = false;
+    listArenaRuns()
+      .then((runs) => { if (!cancelled) setHistory(runs); })
+      .catch((err) => { if (!cancelled) setError(`Could not load past runs: ${err.message}`); });
+    return () => { cancelled = true; };
+  }, []);
+
+  // Abort in-flight streams when the arena is closed
+  useEffect(() => {
+    const controllers = controllersRef.current;
+    return () => controllers.forEach((c) => c.abort());
+  }, []);
+
+  const addModel = (id) => {
+    if (!id || modelIds.includes(id) || modelIds.length >= MAX_ARENA_MODELS) return;
+    setModelIds((prev) => [...prev, id]);
+  };
+
+  const removeModel = (id) => setModelIds((prev) => prev.filter((x) => x !== id));
+
+  const updateResult = (index, patch) => {
+    setRun((prev) => ({
+      ...prev,
+      results: prev.results.map((r, i) => (i === index ? { ...r, ...patch } : r)),
+    }));
+  };
+
+  /** Stream one model's reply into column `index` and resolve with its final result */
+  const runModel = async (model, index, messages) => {
+    const controller = new AbortController();
+    controllersRef.current.add(controller);
+    const started = performance.now();
+    const multiplier = getModelMultiplier(models, model);
+    const info = models.find((m) => m.id === model);
+    const result = { model, content: '', error: null, ttftMs: null, latencyMs: null, usage: null };
+    try {
+      const viaResponses = usesResponsesApi(info);
+      const send = viaResponses ? sendResponsesStream : sendChatMessageStream;
+      const { usage, timing } = await send(
+        copilotToken,
+        model,
+        messages,
+        (chunk) => {
+          if (result.ttftMs == null) result.ttftMs = performance.now() - started;
+          result.content += chunk;
+          updateResult(index, { content: result.content, ttftMs: result.ttftMs });
+        },
+        controller.signal,
+        { temperature, maxTokens: clampMaxTokens(info, maxTokens), ...(viaResponses ? { modelInfo: info } : {}) },
+      );
+      result.usage = Object.keys(usage || {}).length ? usage : null;
+      recordCompletion({ model, multiplier, usage: result.usage, timing, source: 'arena' });
+    } catch (err) {
+      result.error = err.name === 'AbortError' ? 'Stopped' : err.message;
+      // Stopped requests are still billed
+      if (err.name === 'AbortError') {
+        recordCompletion({ model, multiplier, source: 'arena' });
+      }
+    } finally {
+      controllersRef.current.delete(controller);
+    }
+    result.latencyMs = performance.now() - started;
+    updateResult(index, { ...result, pending: false });
+    return result;
+  };
+
+  const startRun = async () => {
+    const text = prompt.trim();
+    if (!text || running || modelIds.length < MIN_ARENA_MODELS) return;
+    setError('');
+    setRunning(true);
+
+    const isBlind = blind && modelIds.length === 2;
+    // Blind runs randomize which model becomes "A"
+    const order = isBlind && Math.random() < 0.5 ? [...modelIds].reverse() : modelIds;
+    const record = {
+      id: `arena_${Date.now()}`,
+      prompt: text,
+      systemPrompt,
+      temperature,
+      maxTokens,
+      createdAt: Date.now(),
+      ...(isBlind ? { blind: true, category, vote: null } : {}),
+    };
+    setRun({ ...record, results: order.map((model) => ({ model, content: '', pending: true })) });
+
+    const messages = [
+      ...(systemPrompt ? [{ role: 'system', content: systemPrompt }] : []),
+      { role: 'user', content: text },
+    ];
+    const results = await Promise.all(order.map((model, i) => runModel(model, i, messages)));
+    setRunning(false);
+
+    const saved = { ...record, results };
+    try {
+      await saveArenaRun(saved);
+      setHistory((prev) => [saved, ...prev]);
+    } catch (err) {
+      setError(`Could not save the run: ${err.message}`);
+    }
+  };
+
+  const vote = async (winner) => {
+    const voted = { ...run, vote: { winner, votedAt: Date.now() } };
+    setRun(voted);
+    try {
+      await saveArenaRun(voted);
+      setHistory((prev) => prev.map((r) => (r.id === voted.id ? voted : r)));
+    } catch (err) {
+      setError(`Could not save the vote: ${err.message}`);
+    }
+  };
+
+  const stopRun = () => {
+    controllersRef.current.forEach((c) => c.abort());
+  };
+
+  const loadRun = (saved) => {
+    if (running) return;
+    setRun(saved);
+    setPrompt(saved.prompt);
+    // Sorted so the chips don't give away which model is "A" in an unvoted blind run
+    setModelIds(saved.results.map((r) => r.model).sort());
+    if (saved.blind) setCategory(saved.category);
+  };
+
+  const removeRun = async (id) => {
+    try {
+      await deleteArenaRun(id);
+      setHistory((prev) => prev.filter((r) => r.id !== id));
+      setRun((prev) => (prev?.id === id ? null : prev));
+    } catch (err) {
+      setError(`Could not delete the run: ${err.message}`);
+    }
+  };
+
+  const available = models.filter((m) => !modelIds.includes(m.id));
+  // A blind run where a reply failed or was stopped can't be rated, so its models are revealed
+  const unrateable = Boolean(run?.blind && !run.vote && !running && !isRateableRun(run));
+  const hidden = Boolean(run?.blind && !run.vote && !unrateable);
+  const canVote = hidden && !running && isRateableRun(run);
+  const modelName = (id) => {
+    const m = models.find((x) => x.id === id);
+    return m ? getModelDisplayName(m) : id;
+  };
+
+  return (
+    <div className="arena">
+      <div className="arena-setup">
+        <div className="arena-models">
+          {modelIds.map((id) => (
+            <span key={id} className="arena-chip">
+              {modelName(id)}
+              <button
+                className="arena-chip-remove"
+                onClick={() => removeModel(id)}
+                disabled={running}
+                aria-label={`Remove ${id}`}
+              >
+                ×
+              </button>
+            </span>
+          ))}
+          {modelIds.length < MAX_ARENA_MODELS && (
+            <select
+              className="input input-sm"
+              value=""
+              onChange={(e) => addModel(e.target.value)}
+              disabled={running}
+            >
+              <option value="">+ Add model ({modelIds.length}/{MAX_ARENA_MODELS})</option>
+              {groupedModels(available).map(({ provider, models: pModels }) => (
+                <optgroup key={provider} label={provider}>
+                  {pModels.map((m) => (
+                    <option key={m.id} value={m.id}>{getModelDisplayName(m)}</option>
+                  ))}
+                </optgroup>
+              ))}
+            </select>
+          )}
+        </div>
+        <div className="arena-options">
+          <label title="Exactly two models: replies are labelled A and B until you vote">
+            <input
+              type="checkbox"
+              checked={blind}
+              onChange={(e) => setBlind(e.target.checked)}
+              disabled={running || modelIds.length !== 2}
+            />
+            &nbsp;Blind A/B vote
+          </label>
+          {blind && modelIds.length === 2 && (
+            <select
+              className="input input-sm"
+              value={category}
+              onChange={(e) => setCategory(e.target.value)}
+              disabled={running}
+              aria-label="Prompt category"
+            >
+              {PROMPT_CATEGORIES.map((c) => (
+                <option key={c.id} value={c.id}>{c.label}</option>
+              ))}
+            </select>
+          )}
+        </div>
+        <textarea
+          className="input textarea"
+          rows={3}
+          placeholder="Prompt to send to every model…"
+          value={prompt}
+          onChange={(e) => setPrompt(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter' && !e.shiftKey) {
+              e.preventDefault();
+              startRun();
+            }
+          }}
+          disabled={running}
+        />
+        <div className="input-actions">
+          <span className="input-hint">
+            {modelIds.length < MIN_ARENA_MODELS
+              ? `Pick at least ${MIN_ARENA_MODELS} models`
+              : `Uses the chat settings: temperature ${temperature}, max tokens ${maxTokens}`}
+          </span>
+          {running ? (
+            <button className="btn btn-danger btn-sm" onClick={stopRun}>⏹ Stop</button>
+          ) : (
+            <button
+              className="btn btn-primary btn-sm"
+              onClick={startRun}
+              disabled={!prompt.trim() || modelIds.length < MIN_ARENA_MODELS}
+            >
+              Run ⚔️
+            </button>
+          )}
+        </div>
+        {error && (
+          <div className="send-error" role="alert">
+            <span>⚠️ {error}</span>
+            <button className="alert-close" onClick={() => setError('')}>×</button>
+          </div>
+        )}
+      </div>
+
+      {run ? (
+        <>
+          {run.blind && (
+            <div className="arena-vote">
+              {unrateable ? (
+                <span className="arena-vote-label">A reply failed or was stopped, so this run can&rsquo;t be rated</span>
+              ) : hidden ? (
+                <>
+                  <span className="arena-vote-label">Which reply is better?</span>
+                  {Object.entries(VOTE_OUTCOMES).map(([id, outcome]) => (
+                    <button key={id} className="btn btn-secondary btn-sm" onClick={() => vote(id)} disabled={!canVote}>
+                      {outcome.label}
+                    </button>
+                  ))}
+                </>
+              ) : (
+                <span className="arena-vote-label">
+                  Voted: {VOTE_OUTCOMES[run.vote.winner]?.label}
+                  {' · '}{PROMPT_CATEGORIES.find((c) => c.id === run.category)?.label || run.category}
+                </span>
+              )}
+            </div>
+          )}
+          <div className="arena-columns" style={{ '--arena-cols': run.results.length }}>
+            {run.results.map((r, i) => {
+              const tokens = outputTokens(r);
+              const won = run.vote && ((run.vote.winner === 'a' && i === 0) || (run.vote.winner === 'b' && i === 1));
+              return (
+                <div
+                  key={r.model}
+                  className={`arena-column ${r.error ? 'arena-column-error' : ''} ${won ? 'arena-column-winner' : ''}`}
+                >
+                  <div className="arena-column-header">
+                    {run.blind && <span className="arena-blind-label">{BLIND_LABELS[i]}</span>}
+                    <span className="arena-column-model">{hidden ? `Model ${BLIND_LABELS[i]}` : modelName(r.model)}</span>
+                    {r.pending && <span className="message-pending">▋</span>}
+                  </div>
+                  {hidden ? (
+                    // Speed and token counts can give away which model is which
+                    <div className="arena-stats">
+                      <span>Stats shown after the vote</span>
+                    </div>
+                  ) : (
+                    <div className="arena-stats">
+                      <span title="Time to first token">TTFT {formatMs(r.ttftMs)}</span>
+                      <span title="Total latency">⏱ {formatMs(r.latencyMs)}</span>
+                      <span title={tokens.estimated ? 'Estimated from length' : 'Completion tokens reported by the API'}>
+                        {tokens.estimated ? '~' : ''}{tokens.count} tok
+                      </span>
+                      {r.usage?.prompt_tokens != null && <span title="Prompt tokens">in {r.usage.prompt_tokens}</span>}
+                    </div>
+                  )}
+                  <div className="arena-column-body message-content">
+                    {r.error ? <p className="text-error">⚠️ {r.error}</p> : null}
+                    {(r.content || !r.error) && <MessageContent content={r.content} pending={r.pending} />}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        </>
+      ) : (
+        <div className="messages-empty">
+          <p>Pick {MIN_ARENA_MODELS}–{MAX_ARENA_MODELS} models and send one prompt to compare their replies side by side.</p>
+        </div>
+      )}
+
+      {history.length > 0 && (
+        <div className="arena-history">
+          <h4>Past runs</h4>
+          {history.map((h) => (
+            <div key={h.id} className={`arena-history-item ${run?.id === h.id ? 'active' : ''}`}>
+              <button className="link-btn arena-history-prompt" onClick={() => loadRun(h)} disabled={running}>
+                {h.prompt.slice(0, 80)}
+              </button>
+              <span className="arena-history-meta">
+                {h.blind ? (h.vote ? 'Blind · voted' : isRateableRun(h) ? 'Blind · not voted' : 'Blind · not rated') : `${h.results.length} models`}
+                {' · '}{new Date(h.createdAt).toLocaleString()}
+              </span>
+              <button
+                className="conv-action conv-delete"
+                onClick={() => removeRun(h.id)}
+                disabled={running}
+                title="Delete run"
+              >
+                ×
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,34 @@
+/**
+ * BarChart: minimal CSS column chart for the usage dashboard (no chart library)
+ */
+
+/**
+ * @param {object} props
+ * @param {Array<{key: string, label: string, value: number, title?: string, highlight?: boolean}>} props.data
+ * @param {function(number): string} [props.format] - value formatter for tooltips
+ * @param {number} [props.labelEvery=1] - show every n-th x-axis label
+ */
+export default function BarChart({ data, format = String, labelEvery = 1 }) {
+  const max = Math.max(0, ...data.map((d) => d.value));
+
+  return (
+    <div className="bar-chart" role="img" aria-label={data.map((d) => `${d.label}: ${format(d.value)}`).join(', ')}>
+      <div className="bar-chart-bars">
+        {data.map((d) => (
+          <div key={d.key} className="bar-chart-col" title={d.title || `${d.label}: ${format(d.value)}`}>
+            <div
+              className={`bar-chart-bar${d.highlight ? ' highlight' : ''}`}
+              style={{ height: max > 0 ? `${(d.value / max) * 100}%` : 0 }}
+            />
+          </div>
+        ))}
+      </div>
+      <div className="bar-chart-labels">
+        {data.map((d, i) => (
+          <span key={d.key} className="bar-chart-label">{i % labelEvery === 0 ? d.label : ''}</span>
+        ))}
+      </div>
+      <span className="bar-chart-max">{format(max)}</span>
+    </div>
+  );
+}
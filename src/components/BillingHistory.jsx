@@ -0,0 +1,105 @@
+/**
+ * BillingHistory: 12-month premium request billing trends in the usage dashboard,
+ * charted per metric (requests, gross amount, net amount) and optionally per model.
+ */
+import { useState, useEffect, useMemo } from 'react';
+import BarChart from './BarChart.jsx';
+import { formatPremiumRequests } from '../utils/premiumRequests.js';
+import { BILLING_METRICS, HISTORY_MONTHS, loadBillingHistory, summarizeBillingHistory } from '../utils/billingHistory.js';
+
+const ALL_MODELS = '';
+
+export default function BillingHistory({ username, token }) {
+  const [open, setOpen] = useState(false);
+  const [history, setHistory] = useState(null);
+  const [error, setError] = useState('');
+  const [refreshKey, setRefreshKey] = useState(0);
+  const [metric, setMetric] = useState('requests');
+  const [model, setModel] = useState(ALL_MODELS);
+
+  useEffect(() => {
+    if (!open) return;
+    let cancelled = false;
+    loadBillingHistory(username, token, { forceRefresh: refreshKey > 0 })
+      .then((data) => { if (!cancelled) { setHistory(data); setError(''); } })
+      .catch((err) => { if (!cancelled) setError(`历史账单加载失败: ${err.message}`); });
+    return () => { cancelled = true; };
+  }, [open, username, token, refreshKey]);
+
+  const summary = useMemo(() => (history ? summarizeBillingHistory(history, metric) : null), [history, metric]);
+
+  if (!open) {
+    return (
+      <button className="btn btn-ghost btn-sm" style={{ fontSize: '11px' }} onClick={() => setOpen(true)}>
+        📈 查看近 {HISTORY_MONTHS} 个月趋势
+      </button>
+    );
+  }
+  if (error) return <p className="text-error" style={{ fontSize: '12px' }}>{error}</p>;
+  if (!summary) return <div className="dashboard-loading"><div className="spinner" /></div>;
+
+  const { currency } = BILLING_METRICS[metric];
+  const format = (v) => (currency ? `$${v.toFixed(2)}` : formatPremiumRequests(v));
+  const failed = history.filter((m) => m.error);
+  const total = summary.months.reduce((sum, m) => sum + (model ? m.byModel[model] || 0 : m.total), 0);
+
+  return (
+    <>
+      <div className="dashboard-row">
+        <span className="dashboard-section-title">近 {HISTORY_MONTHS} 个月趋势</span>
+        <button
+          className="btn btn-ghost btn-sm"
+          style={{ fontSize: '11px', padding: '0 4px' }}
+          onClick={() => { setHistory(null); setRefreshKey((k) => k + 1); }}
+          title="重新获取未结算月份"
+        >
+          🔄
+        </button>
+      </div>
+      <div className="billing-history-tabs">
+        {Object.entries(BILLING_METRICS).map(([key, m]) => (
+          <button
+            key={key}
+            className={`btn btn-sm ${metric === key ? 'btn-secondary' : 'btn-ghost'}`}
+            onClick={() => setMetric(key)}
+          >
+            {m.label}
+          </button>
+        ))}
+      </div>
+      <select className="input billing-history-model" value={model} onChange={(e) => setModel(e.target.value)}>
+        <option value={ALL_MODELS}>全部模型</option>
+        {summary.models.map((m) => <option key={m.model} value={m.model}>{m.model}</option>)}
+      </select>
+      <BarChart
+        data={summary.months.map((m, i) => {
+          const value = model ? m.byModel[model] || 0 : m.total;
+          const monthError = history[i].error;
+          return {
+            key: m.key,
+            label: String(Number(m.key.slice(5))),
+            value,
+            title: monthError ? `${m.key}: 加载失败 (${monthError})` : `${m.key}: ${format(value)}`,
+            highlight: Boolean(monthError),
+          };
+        })}
+        format={format}
+      />
+      <div className="dashboard-row">
+        <span className="dashboard-label">合计</span>
+        <span className="dashboard-value">{format(total)}</span>
+      </div>
+      {!model && summary.models.slice(0, 5).map((m) => (
+        <div key={m.model} className="dashboard-row" style={{ fontSize: '12px', cursor: 'pointer' }} onClick={() => setModel(m.model)}>
+          <span className="dashboard-label ledger-model-name" style={{ maxWidth: '180px' }}>{m.model}</span>
+          <span className="dashboard-value">{format(m.total)}</span>
+        </div>
+      ))}
+      {failed.length > 0 && (
+        <p className="text-error" style={{ fontSize: '11px' }}>
+          {failed.map((m) => m.key).join(', ')} 加载失败
+        </p>
+      )}
+    </>
+  );
+}
@@ -0,0 +1,85 @@
+/**
+ * BudgetAlertSettings: overage budget, alert thresholds and browser notification opt-in
+ * (usage dashboard section; settings live in App and utils/budgetAlerts.js)
+ */
+import { useState } from 'react';
+import { notificationsSupported, parseThresholds, requestNotificationPermission } from '../utils/budgetAlerts.js';
+
+export default function BudgetAlertSettings({ settings, billingAmount, onChange }) {
+  const [budgetInput, setBudgetInput] = useState(settings.budgetUsd != null ? String(settings.budgetUsd) : '');
+  const [thresholdInput, setThresholdInput] = useState(settings.thresholds.join(', '));
+  const [notifyError, setNotifyError] = useState('');
+
+  const commitBudget = () => {
+    const value = parseFloat(budgetInput);
+    const budgetUsd = Number.isFinite(value) && value > 0 ? value : null;
+    setBudgetInput(budgetUsd != null ? String(budgetUsd) : '');
+    if (budgetUsd !== settings.budgetUsd) onChange({ ...settings, budgetUsd });
+  };
+
+  const commitThresholds = () => {
+    const thresholds = parseThresholds(thresholdInput);
+    // An empty or invalid list keeps the previous thresholds
+    const next = thresholds.length ? thresholds : settings.thresholds;
+    setThresholdInput(next.join(', '));
+    if (next.join() !== settings.thresholds.join()) onChange({ ...settings, thresholds: next });
+  };
+
+  const toggleNotify = async (enabled) => {
+    setNotifyError('');
+    if (enabled && !(await requestNotificationPermission())) {
+      setNotifyError('浏览器未授予通知权限');
+      return;
+    }
+    onChange({ ...settings, notify: enabled });
+  };
+
+  return (
+    <>
+      <div className="dashboard-row">
+        <label className="dashboard-label" htmlFor="budget-usd">超额预算 ($/月)</label>
+        <input
+          id="budget-usd"
+          type="number"
+          min="0"
+          step="1"
+          className="input budget-input"
+          placeholder="不限"
+          value={budgetInput}
+          onChange={(e) => setBudgetInput(e.target.value)}
+          onBlur={commitBudget}
+          onKeyDown={(e) => e.key === 'Enter' && commitBudget()}
+        />
+      </div>
+      {settings.budgetUsd != null && billingAmount != null && (
+        <div className="dashboard-bar-wrap">
+          <div className="dashboard-bar">
+            <div
+              className={`dashboard-bar-fill${billingAmount >= settings.budgetUsd ? ' full' : ''}`}
+              style={{ width: `${Math.min(100, (billingAmount / settings.budgetUsd) * 100)}%` }}
+            />
+          </div>
+          <span className="dashboard-bar-label">${billingAmount.toFixed(2)} / ${settings.budgetUsd.toFixed(2)}</span>
+        </div>
+      )}
+      <div className="dashboard-row">
+        <label className="dashboard-label" htmlFor="alert-thresholds" title="同时用于高级请求额度和超额预算">提醒阈值 (%)</label>
+        <input
+          id="alert-thresholds"
+          className="input budget-input"
+          value={thresholdInput}
+          onChange={(e) => setThresholdInput(e.target.value)}
+          onBlur={commitThresholds}
+          onKeyDown={(e) => e.key === 'Enter' && commitThresholds()}
+        />
+      </div>
+      {notificationsSupported() && (
+        <label className="dashboard-row" style={{ justifyContent: 'flex-start', gap: '6px', cursor: 'pointer' }}>
+          <input type="checkbox" checked={settings.notify} onChange={(e) => toggleNotify(e.target.checked)} />
+          <span className="dashboard-label">达到阈值时发送浏览器通知</span>
+        </label>
+      )}
+      {notifyError && <p className="text-error" style={{ fontSize: '12px' }}>{notifyError}</p>}
+    </>
+  );
+}
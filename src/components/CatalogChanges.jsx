@@ -0,0 +1,59 @@
+/**
+ * CatalogChanges: "what changed" feed of the model catalog — models added or removed and
+ * multiplier, tier and context-window changes recorded on each sync
+ */
+import { useState } from 'react';
+import { describeChange } from '../utils/catalogHistory.js';
+
+// Syncs shown before "show all"
+const COLLAPSED_COUNT = 3;
+
+export function ChangeBadge({ change }) {
+  const { label, className, detail } = describeChange(change);
+  return <span className={`change-badge ${className}`} title={detail}>{label}</span>;
+}
+
+export default function CatalogChanges({ snapshots, onClear }) {
+  const [showAll, setShowAll] = useState(false);
+  const withChanges = snapshots.filter((s) => s.changes.length > 0);
+  const baseline = snapshots.find((s) => s.baseline);
+  const visible = showAll ? withChanges : withChanges.slice(0, COLLAPSED_COUNT);
+
+  if (!snapshots.length) return null;
+
+  return (
+    <div className="provider-section catalog-changes">
+      <h3 className="provider-title">🆕 目录变化</h3>
+      {withChanges.length === 0 ? (
+        <p className="no-results">
+          自 {new Date((baseline || snapshots[snapshots.length - 1]).takenAt).toLocaleString('zh-CN')} 起模型目录没有变化。
+        </p>
+      ) : (
+        visible.map((s) => (
+          <div key={s.id} className="catalog-change-group">
+            <div className="catalog-change-time">{new Date(s.takenAt).toLocaleString('zh-CN')}</div>
+            <ul className="catalog-change-list">
+              {s.changes.map((c, i) => (
+                <li key={`${c.modelId}-${c.type}-${i}`}>
+                  <ChangeBadge change={c} />
+                  <span className="catalog-change-model">{c.name}</span>
+                  <span className="catalog-change-detail">{describeChange(c).detail}</span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        ))
+      )}
+      <div className="catalog-change-actions">
+        {withChanges.length > COLLAPSED_COUNT && (
+          <button className="btn btn-secondary btn-sm" onClick={() => setShowAll((v) => !v)}>
+            {showAll ? '收起' : `显示全部（${withChanges.length}）`}
+          </button>
+        )}
+        <button className="btn btn-secondary btn-sm" onClick={onClear} title="清除历史快照，下次同步重新建立基线">
+          清除历史
+        </button>
+      </div>
+    </div>
+  );
+}
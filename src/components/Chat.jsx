@@ -2,30 +2,67 @@
  * Chat: Multi-model chat interface with streaming support
  */
 import { useState, useRef, useEffect, useCallback, useMemo } from 'react';
-import ReactMarkdown from 'react-markdown';
-import remarkGfm from 'remark-gfm';
-import { sendChatMessageStream } from '../api/copilot.js';
-import { braveSearch } from '../api/brave.js';
-import { getModelDisplayName, groupedModels } from '../utils/models.js';
-import { BRAVE_KEY } from '../constants.js';
-
-const BRAVE_SEARCH_TOOL = {
-  type: 'function',
-  function: {
-    name: 'brave_search',
-    description: 'Search the web using Brave Search to find current information, news, or facts.',
-    parameters: {
-      type: 'object',
-      properties: {
-        query: {
-          type: 'string',
-          description: 'The search query to look up on the web.',
-        },
-      },
-      required: ['query'],
-    },
-  },
-};
+import Arena from './Arena.jsx';
+import CodeRunBlock from './CodeRunBlock.jsx';
+import ConversationSearch from './ConversationSearch.jsx';
+import MessageContent from './MessageContent.jsx';
+import RequestParamsSettings from './RequestParamsSettings.jsx';
+import StructuredOutputSettings from './StructuredOutputSettings.jsx';
+import StructuredReply from './StructuredReply.jsx';
+import { sendChatMessageStream, sendResponsesStream } from '../api/copilot.js';
+import { usesResponsesApi } from '../api/responses.js';
+import { clampMaxTokens, getModelDisplayName, groupedModels, supportsTools, supportsVision } from '../utils/models.js';
+import { readImageFile, toApiContent } from '../utils/attachments.js';
+import {
+  EXPORT_FORMATS,
+  downloadFile,
+  exportConversations,
+  exportFileName,
+  parseConversationImport,
+  withFreshIds,
+} from '../utils/conversationTransfer.js';
+import {
+  createMessageId,
+  listConversations,
+  loadMessages,
+  migrateLegacyConversations,
+  syncConversations,
+} from '../utils/conversationStore.js';
+import { getActiveBranch, getLatestLeaf, getSiblings, normalizeTree } from '../utils/messageTree.js';
+import {
+  CONTEXT_STRATEGIES,
+  DEFAULT_CONTEXT_STRATEGY,
+  estimateRequestTokens,
+  estimateTextTokens,
+  formatTokenCount,
+  getPromptBudget,
+  getTrimTarget,
+  summarizeHistory,
+  summaryMessage,
+  trimToBudget,
+} from '../utils/contextWindow.js';
+import {
+  HIGH_MULTIPLIER_THRESHOLD,
+  conversationPremiumRequests,
+  formatPremiumRequests,
+  getModelMultiplier,
+  premiumRequestFields,
+} from '../utils/premiumRequests.js';
+import { recordCompletion } from '../utils/usageLedger.js';
+import { canFallBack, getFallbackModel, loadRequestPolicy } from '../utils/requestPolicy.js';
+import { describeApiError } from '../api/retry.js';
+import { computeReplyMetrics, formatMs } from '../utils/replyMetrics.js';
+import { buildRequestFields, getRequestParams } from '../utils/requestParams.js';
+import { parseJsonSchema } from '../utils/jsonSchema.js';
+import {
+  buildStructuredRequest,
+  checkStructuredReply,
+  formatJson,
+  getStructuredOutput,
+  getStructuredOutputMode,
+} from '../utils/structuredOutput.js';
+import { TOOLS, getActiveTools, getTool, parseToolArguments, runToolCall, toToolDefinition } from '../utils/toolRegistry.js';
+import { CONTEXT_STRATEGY_KEY } from '../constants.js';
 
 const SYSTEM_PRESETS = [
   { label: 'General Assistant', value: 'You are a helpful assistant.' },
@@ -34,57 +71,205 @@ const SYSTEM_PRESETS = [
   { label: 'Custom…', value: '' },
 ];
 
+// Streaming updates the conversation on every delta; batch IndexedDB writes
+const PERSIST_DEBOUNCE_MS = 500;
+
+// finish_reason values worth flagging on a reply ("stop" and "tool_calls" are normal)
+const FINISH_REASON_NOTES = {
+  length: { label: 'cut off', title: 'The reply hit the max tokens limit and is incomplete' },
+  content_filter: { label: 'filtered', title: 'The reply was stopped by the content filter' },
+};
+
+/** Sum the numeric token counts of two usage objects (either may be null/empty) */
+function addUsage(total, usage) {
+  if (!usage || !Object.keys(usage).length) return total;
+  const sum = { ...(total || {}) };
+  for (const [key, value] of Object.entries(usage)) {
+    if (typeof value === 'number') sum[key] = (sum[key] || 0) + value;
+  }
+  return sum;
+}
+
+/**
+ * Stored Responses API reply the next request can continue from: the last assistant node
+ * of the history, if it has a response id and wasn't edited afterwards.
+ * @param {Array} history - branch nodes without system messages
+ * @param {number} offset - api messages before the history (the system prompt)
+ * @returns {{id: string, model: string, length: number}|null} `length` counts the api
+ *   messages the response already covers
+ */
+function findResponseChain(history, offset) {
+  for (let i = history.length - 1; i >= 0; i--) {
+    const msg = history[i];
+    if (msg.role !== 'assistant') continue;
+    if (!msg.responseId || msg.edited || msg.error) return null;
+    return { id: msg.responseId, model: msg.model, length: offset + i + 1 };
+  }
+  return null;
+}
+
 export default function Chat({ copilotToken, models, selectedModel, onSelectModel }) {
-  const [conversations, setConversations] = useState(() => {
-    try {
-      return JSON.parse(localStorage.getItem('copilot_conversations') || '{}');
-    } catch { return {}; }
-  });
+  const [conversations, setConversations] = useState({});
+  const [storageLoading, setStorageLoading] = useState(true);
+  const [storageError, setStorageError] = useState('');
   const [activeConvId, setActiveConvId] = useState(null);
   const [input, setInput] = useState('');
+  const [attachments, setAttachments] = useState([]);
+  const [dragActive, setDragActive] = useState(false);
+  const [pendingImport, setPendingImport] = useState(null); // { imported, duplicates } awaiting a duplicate-ID decision
+  const [importNotice, setImportNotice] = useState('');
+  const [focusMessageId, setFocusMessageId] = useState(null); // search result to scroll to
   const [streaming, setStreaming] = useState(false);
   const [sendError, setSendError] = useState('');
+  const [costConfirm, setCostConfirm] = useState(null); // { modelId, multiplier, run } awaiting confirmation
   const [systemPrompt, setSystemPrompt] = useState('You are a helpful assistant.');
   const [systemPreset, setSystemPreset] = useState(0);
   const [showSettings, setShowSettings] = useState(false);
-  const [temperature, setTemperature] = useState(0.7);
-  const [maxTokens, setMaxTokens] = useState(4096);
-  const [compareMode, setCompareMode] = useState(false);
-  const [compareModel, setCompareModel] = useState(null);
+  const [contextStrategy, setContextStrategy] = useState(
+    () => localStorage.getItem(CONTEXT_STRATEGY_KEY) || DEFAULT_CONTEXT_STRATEGY,
+  );
+  const [arenaOpen, setArenaOpen] = useState(false);
   const [sidebarOpen, setSidebarOpen] = useState(false);
-  // Track all active AbortControllers so concurrent compare-mode requests can all be cancelled
+  // Track all active AbortControllers so every in-flight request can be cancelled
   const abortControllersRef = useRef(new Set());
   const bottomRef = useRef(null);
+  // High-multiplier models the user chose not to be asked about again this session
+  const costConfirmedRef = useRef(new Set());
+  const fileInputRef = useRef(null);
+  const importInputRef = useRef(null);
+  // Mirrors focusMessageId for async callbacks (lazy load) and the auto-scroll effect
+  const focusMessageRef = useRef(null);
+  // Conversation map last written to IndexedDB (null until the stored list has loaded)
+  const syncedRef = useRef(null);
+  const latestRef = useRef(conversations);
 
-  // Current conversation messages
+  // Current conversation: every node of its tree, and the active branch that is displayed and sent
   const convKey = activeConvId || '_default';
-  const messages = useMemo(() => conversations[convKey]?.messages || [], [conversations, convKey]);
+  const allNodes = useMemo(() => conversations[convKey]?.messages || [], [conversations, convKey]);
+  const currentId = conversations[convKey]?.currentId;
+  const messages = useMemo(() => getActiveBranch(allNodes, currentId), [allNodes, currentId]);
+  // Stored conversations start without message bodies; they are loaded when opened
+  const messagesLoading = Boolean(conversations[convKey] && !conversations[convKey].messages);
+  const disabledTools = useMemo(() => conversations[convKey]?.disabledTools || [], [conversations, convKey]);
+  const requestParams = useMemo(() => getRequestParams(conversations[convKey]), [conversations, convKey]);
+  const { temperature } = requestParams;
+  const selectedInfo = useMemo(() => models.find((m) => m.id === selectedModel?.id), [models, selectedModel]);
+  // The slider keeps the conversation's value; requests are capped at what the model can output
+  const maxTokens = clampMaxTokens(selectedInfo, requestParams.maxTokens);
+  const toolsSupported = supportsTools(selectedInfo);
+  const structuredOutput = useMemo(() => getStructuredOutput(conversations[convKey]), [conversations, convKey]);
+
+  const conversationCost = useMemo(() => conversationPremiumRequests(allNodes), [allNodes]);
 
-  // Persist conversations to localStorage
+  // Estimated size of the next request (history + draft) against the selected model's window
+  const contextUsage = useMemo(() => {
+    const modelInfo = selectedInfo;
+    if (!modelInfo?.contextWindow) return null;
+    const vision = supportsVision(modelInfo);
+    const draft = input.trim() || attachments.length ? [{ content: input.trim(), attachments }] : [];
+    const apiMessages = [
+      ...(systemPrompt ? [{ role: 'system', content: systemPrompt }] : []),
+      ...[...messages, ...draft]
+        .filter((m) => m.role !== 'system')
+        .map((m) => ({ role: m.role || 'user', content: toApiContent(m, vision) })),
+    ];
+    const tools = supportsTools(modelInfo) ? getActiveTools(disabledTools).map(toToolDefinition) : [];
+    return {
+      used: estimateRequestTokens(apiMessages, tools),
+      window: modelInfo.contextWindow,
+      budget: getPromptBudget(modelInfo, maxTokens),
+    };
+  }, [selectedInfo, systemPrompt, messages, input, attachments, disabledTools, maxTokens]);
+
+  // Load the conversation list from IndexedDB, migrating the legacy localStorage blob first
   useEffect(() => {
-    try {
-      // Keep only the 20 most recent conversations (by createdAt) to avoid storage bloat
-      const entries = Object.entries(conversations);
-      const pruned = entries.length > 20
-        ? Object.fromEntries(
-            entries
-              .slice()
-              .sort(([, a], [, b]) => {
-                const aTime = typeof a?.createdAt === 'number' ? a.createdAt : 0;
-                const bTime = typeof b?.createdAt === 'number' ? b.createdAt : 0;
-                return bTime - aTime;
-              })
-              .slice(0, 20),
-          )
-        : conversations;
-      localStorage.setItem('copilot_conversations', JSON.stringify(pruned));
-    } catch { /* ignore quota errors */ }
-  }, [conversations]);
+    let cancelled = false;
+    migrateLegacyConversations()
+      .catch((err) => console.warn('[CopilotApp] Failed to migrate legacy conversations:', err))
+      .then(listConversations)
+      .then((stored) => {
+        if (cancelled) return;
+        syncedRef.current = stored;
+        setConversations((prev) => ({ ...stored, ...prev }));
+      })
+      .catch((err) => {
+        if (!cancelled) setStorageError(`Could not load saved conversations: ${err.message}`);
+      })
+      .finally(() => {
+        if (!cancelled) setStorageLoading(false);
+      });
+    return () => { cancelled = true; };
+  }, []);
+
+  // Lazily load the active conversation's messages
+  useEffect(() => {
+    if (!messagesLoading) return;
+    let cancelled = false;
+    loadMessages(convKey)
+      .then((loaded) => {
+        if (cancelled) return;
+        const tree = normalizeTree(loaded);
+        // Opening a search hit in another branch: show the branch containing it
+        const focusId = focusMessageRef.current;
+        const focusLeaf = focusId && tree.some((m) => m.id === focusId) ? getLatestLeaf(tree, focusId) : null;
+        setConversations((prev) => (
+          prev[convKey] && !prev[convKey].messages
+            ? {
+                ...prev,
+                [convKey]: {
+                  ...prev[convKey],
+                  messages: tree,
+                  ...(focusLeaf ? { currentId: focusLeaf } : {}),
+                },
+              }
+            : prev
+        ));
+      })
+      .catch((err) => {
+        if (!cancelled) setStorageError(`Could not load conversation: ${err.message}`);
+      });
+    return () => { cancelled = true; };
+  }, [convKey, messagesLoading]);
+
+  const flushConversations = useCallback(() => {
+    const prev = syncedRef.current;
+    const next = latestRef.current;
+    if (!prev || prev === next) return;
+    syncedRef.current = next;
+    syncConversations(prev, next).catch((err) => {
+      console.error('[CopilotApp] Failed to save conversations:', err);
+      // Let the next change retry against the last successfully written state
+      if (syncedRef.current === next) syncedRef.current = prev;
+      setStorageError(`Failed to save conversations: ${err.message}`);
+    });
+  }, []);
+
+  // Persist conversations to IndexedDB (debounced)
+  useEffect(() => {
+    latestRef.current = conversations;
+    const timer = setTimeout(flushConversations, PERSIST_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [conversations, flushConversations]);
+
+  // Write any pending changes when the chat tab unmounts
+  useEffect(() => flushConversations, [flushConversations]);
 
   useEffect(() => {
+    if (focusMessageRef.current) return;
     bottomRef.current?.scrollIntoView({ behavior: 'smooth' });
   }, [messages]);
 
+  // Scroll to a search result once its conversation and branch are shown
+  useEffect(() => {
+    if (!focusMessageId || !messages.some((m) => m.id === focusMessageId)) return;
+    document.getElementById(`msg-${focusMessageId}`)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    const timer = setTimeout(() => {
+      focusMessageRef.current = null;
+      setFocusMessageId(null);
+    }, 2000);
+    return () => clearTimeout(timer);
+  }, [focusMessageId, messages]);
+
   const newConversation = useCallback(() => {
     const id = `conv_${Date.now()}`;
     setConversations((prev) => ({
@@ -92,6 +277,7 @@ export default function Chat({ copilotToken, models, selectedModel, onSelectMode
       [id]: { id, title: 'New chat', messages: [], model: selectedModel?.id, createdAt: Date.now() },
     }));
     setActiveConvId(id);
+    setArenaOpen(false);
   }, [selectedModel]);
 
   const deleteConversation = useCallback((id) => {
@@ -104,69 +290,319 @@ export default function Chat({ copilotToken, models, selectedModel, onSelectMode
   }, [activeConvId]);
 
 
-  const sendMessage = async (modelId, appendToKey) => {
-    const model = modelId || selectedModel?.id;
-    if (!model) return;
+  const updateMessage = (targetKey, msgId, patch) => {
+    setConversations((prev) => {
+      const conv = prev[targetKey];
+      if (!conv?.messages) return prev;
+      return {
+        ...prev,
+        [targetKey]: {
+          ...conv,
+          messages: conv.messages.map((m) => (m.id === msgId ? { ...m, ...patch } : m)),
+        },
+      };
+    });
+  };
 
-    const braveApiKey = localStorage.getItem(BRAVE_KEY) || '';
-    const tools = braveApiKey ? [BRAVE_SEARCH_TOOL] : [];
+  // Add sibling versions of an assistant node without switching to them
+  const addAlternativeReplies = (targetKey, original, fields) => {
+    const createdAt = Date.now();
+    const siblings = fields.map((f) => ({
+      id: createMessageId(),
+      parentId: original.parentId,
+      role: 'assistant',
+      createdAt,
+      temperature: original.temperature,
+      maxTokens: original.maxTokens,
+      ...f,
+    }));
+    setConversations((prev) => {
+      const conv = prev[targetKey];
+      if (!conv?.messages) return prev;
+      return { ...prev, [targetKey]: { ...conv, messages: [...conv.messages, ...siblings] } };
+    });
+  };
 
-    const userMsg = { role: 'user', content: input.trim() };
-    const sysMsg = systemPrompt ? [{ role: 'system', content: systemPrompt }] : [];
-    const history = appendToKey
-      ? (conversations[appendToKey]?.messages || [])
-      : messages;
-    const allMessages = [...sysMsg, ...history.filter((m) => m.role !== 'system'), userMsg];
+  // Append a node to a conversation's tree and make it the current leaf
+  const appendMessage = (targetKey, msg, convPatch = {}) => {
+    setConversations((prev) => {
+      const conv = prev[targetKey] || { id: targetKey, createdAt: Date.now() };
+      return {
+        ...prev,
+        [targetKey]: {
+          ...conv,
+          ...convPatch,
+          messages: [...(conv.messages || []), msg],
+          currentId: msg.id,
+        },
+      };
+    });
+  };
 
-    const assistantMsg = { role: 'assistant', content: '', model, pending: true };
+  /**
+   * Summary of history dropped to fit the context window. Cached on the conversation by
+   * the id of the last dropped message, so it is only regenerated when the cut moves.
+   * Resolves null if summarizing fails (the caller then just trims).
+   */
+  const getHistorySummary = async (targetKey, model, throughId, dropped, signal) => {
+    const cached = conversations[targetKey]?.contextSummary;
+    if (cached?.throughId === throughId) return { text: cached.text, usage: null };
+    try {
+      const { summary, usage } = await summarizeHistory(copilotToken, models.find((m) => m.id === model) || { id: model }, dropped, signal);
+      if (!summary) return null;
+      setConversations((prev) => (
+        prev[targetKey]
+          ? { ...prev, [targetKey]: { ...prev[targetKey], contextSummary: { throughId, text: summary } } }
+          : prev
+      ));
+      return { text: summary, usage };
+    } catch (err) {
+      if (err.name === 'AbortError') throw err;
+      console.warn('[CopilotApp] Failed to summarize history, trimming instead:', err);
+      return null;
+    }
+  };
 
-    const targetKey = appendToKey || convKey;
-    const currentMsgs = appendToKey
-      ? (conversations[appendToKey]?.messages || [])
-      : messages;
+  // With structured output on, a schema that doesn't parse blocks sending: the reply must
+  // not silently turn into unvalidated free text
+  const getSchemaError = (key) => {
+    const structured = getStructuredOutput(conversations[key]);
+    const { error } = structured.enabled ? parseJsonSchema(structured.schemaText) : {};
+    return error ? `Structured output: ${error}` : null;
+  };
 
-    const updatedWithUser = [...currentMsgs, userMsg, assistantMsg];
-    setConversations((prev) => ({
-      ...prev,
-      [targetKey]: {
-        ...(prev[targetKey] || { id: targetKey, createdAt: Date.now() }),
-        messages: updatedWithUser,
-        title: userMsg.content.slice(0, 40),
-        model,
-      },
-    }));
+  /**
+   * Stream a new assistant node as a child of the last node in `branch`.
+   * Only the nodes of `branch` are sent as history, so sibling versions never leak in.
+   */
+  const streamReply = async (targetKey, model, branch) => {
+    const params = getRequestParams(conversations[targetKey]);
+    // Structured output replaces the agentic tools: the reply is the schema-shaped JSON itself
+    const schemaError = getSchemaError(targetKey);
+    if (schemaError) {
+      setSendError(schemaError);
+      return;
+    }
+    const structured = getStructuredOutput(conversations[targetKey]);
+    const schema = structured.enabled ? parseJsonSchema(structured.schemaText).schema : null;
+    const modelInfo = models.find((m) => m.id === model);
+    // Models without tool calling get no tools rather than an API error
+    const activeTools = schema || !supportsTools(modelInfo) ? [] : getActiveTools(conversations[targetKey]?.disabledTools);
+    const tools = activeTools.map(toToolDefinition);
+    const toolNames = activeTools.map((t) => t.name);
+
+    // Image attachments are only sent to models that accept them
+    const vision = supportsVision(modelInfo);
+    const sysMsg = systemPrompt ? [{ role: 'system', content: systemPrompt }] : [];
+    const history = branch.filter((m) => m.role !== 'system');
+    const allMessages = [
+      ...sysMsg,
+      ...history.map((m) => ({ role: m.role, content: toApiContent(m, vision) })),
+    ];
+    const budget = contextStrategy === 'off' ? null : getPromptBudget(modelInfo, clampMaxTokens(modelInfo, params.maxTokens));
+
+    const assistantMsg = {
+      id: createMessageId(),
+      parentId: branch[branch.length - 1]?.id ?? null,
+      role: 'assistant',
+      content: '',
+      createdAt: Date.now(),
+      model,
+      temperature: params.temperature,
+      maxTokens: clampMaxTokens(modelInfo, params.maxTokens),
+      pending: true,
+    };
+    appendMessage(targetKey, assistantMsg, { model, systemPrompt });
 
     const controller = new AbortController();
     abortControllersRef.current.add(controller);
+    // Billing: each API call (summary, every tool-loop iteration) is one request × the
+    // multiplier of the model that served it; one entry per billed request
+    const billed = [];
+    // Requests already written to the usage ledger
+    let loggedCount = 0;
+    const logCompletion = (callModel, callUsage, source = 'chat', timing = null) => {
+      loggedCount += 1;
+      recordCompletion({
+        model: callModel,
+        multiplier: getModelMultiplier(models, callModel),
+        usage: callUsage,
+        timing,
+        convId: targetKey,
+        source,
+      });
+    };
+    // Speed of each streamed request, combined into the reply's metrics
+    const replyStarted = performance.now();
+    const requestTimings = [];
+    // The model answering this reply moves along the fallback chain when requests keep failing
+    const policy = loadRequestPolicy();
+    let activeModel = model;
+    const fallbacks = [];
+    let retries = 0;
+    const replyModelFields = () => ({
+      model: activeModel,
+      ...(fallbacks.length ? { requestedModel: model, fallbacks } : {}),
+      ...(retries ? { retries } : {}),
+    });
+    const onRetry = ({ delayMs, error }) => {
+      retries += 1;
+      updateMessage(targetKey, assistantMsg.id, {
+        retries,
+        retryStatus: `${describeApiError(error)} — retrying in ${Math.ceil(delayMs / 1000)}s`,
+      });
+    };
 
     try {
       let apiMessages = [...allMessages];
       let displayPrefix = '';
+      // Recorded on the message for export: every tool call with its result, and summed usage
+      const toolLog = [];
+      let usage = null;
+      // How the history was cut to fit the context window, if it was
+      let contextFit = null;
+      // Why the last request stopped ("stop", "length", "content_filter", …)
+      let finishReason = null;
+      // Model name the API reported, e.g. a dated snapshot of the requested id
+      let lastServedModel = null;
+      // Optional parameters sent with the last request, and its extra choices (n > 1)
+      let sentFields = {};
+      let alternatives = [];
+      // How the schema was sent to the model that answered
+      let structuredMode = null;
+      let structuredText = '';
+      // Responses API: reasoning summary shown above the reply, and the server-side response
+      // that already holds apiMessages[0, length) — later requests send only what follows it
+      let reasoning = '';
+      let lastResponseId = null;
+      let responseChain = null;
+
+      if (budget != null && estimateRequestTokens(apiMessages, tools) > budget) {
+        const { messages: kept, dropped } = trimToBudget(apiMessages, tools, getTrimTarget(contextStrategy, budget));
+        if (dropped.length) {
+          apiMessages = kept;
+          contextFit = { strategy: 'trim', dropped: dropped.length };
+          if (contextStrategy === 'summarize') {
+            const summary = await getHistorySummary(targetKey, model, history[dropped.length - 1].id, dropped, controller.signal);
+            if (summary) {
+              apiMessages = [...sysMsg, summaryMessage(summary.text), ...apiMessages.slice(sysMsg.length)];
+              contextFit.strategy = 'summarize';
+              usage = addUsage(usage, summary.usage);
+              if (summary.usage) {
+                // null when the cached summary was reused
+                billed.push(getModelMultiplier(models, model));
+                logCompletion(model, summary.usage, 'summary');
+              }
+            }
+          }
+        }
+      }
+      if (!contextFit) responseChain = findResponseChain(history, sysMsg.length);
+      // Start of the current turn in apiMessages; it and the tool round-trips after it are never trimmed
+      let turnStart = apiMessages.length - 1;
 
       // Agentic tool-call loop (max 5 iterations to prevent infinite loops)
       for (let iter = 0; iter < 5; iter++) {
+        // Tool results can push the request over the window: trim older history again
+        if (iter > 0 && budget != null) {
+          const { messages: kept, dropped } = trimToBudget(apiMessages, tools, budget, apiMessages.length - turnStart);
+          if (dropped.length) {
+            apiMessages = kept;
+            turnStart -= dropped.length;
+            if (responseChain) responseChain = { ...responseChain, length: responseChain.length - dropped.length };
+            contextFit = { strategy: contextFit?.strategy || 'trim', dropped: (contextFit?.dropped || 0) + dropped.length };
+          }
+        }
+
         let accumulatedContent = '';
-        // eslint-disable-next-line no-await-in-loop
-        const { toolCalls } = await sendChatMessageStream(
-          copilotToken,
-          model,
-          apiMessages,
-          (chunk) => {
-            accumulatedContent += chunk;
-            setConversations((prev) => {
-              const existing = prev[targetKey]?.messages || [];
-              const updated = existing.map((m, i) =>
-                i === existing.length - 1 && m.pending
-                  ? { ...m, content: displayPrefix + accumulatedContent }
-                  : m,
-              );
-              return { ...prev, [targetKey]: { ...prev[targetKey], messages: updated } };
-            });
-          },
-          controller.signal,
-          { temperature, maxTokens, ...(tools.length ? { tools } : {}) },
-        );
+        let result;
+        for (;;) {
+          billed.push(getModelMultiplier(models, activeModel));
+          const activeInfo = models.find((m) => m.id === activeModel);
+          sentFields = buildRequestFields(params, activeInfo, { hasTools: tools.length > 0 });
+          structuredMode = schema ? getStructuredOutputMode(activeInfo) : null;
+          if (schema && !structuredMode) {
+            billed.pop();
+            throw new Error(`${activeModel} supports neither structured outputs nor tool calls; turn off structured output or pick another model`);
+          }
+          const viaResponses = usesResponsesApi(activeInfo);
+          const chained = viaResponses && responseChain?.model === activeModel ? responseChain : null;
+          try {
+            result = await (viaResponses ? sendResponsesStream : sendChatMessageStream)(
+              copilotToken,
+              activeModel,
+              chained ? apiMessages.slice(chained.length) : apiMessages,
+              (chunk) => {
+                accumulatedContent += chunk;
+                updateMessage(targetKey, assistantMsg.id, { content: displayPrefix + accumulatedContent, retryStatus: null });
+              },
+              controller.signal,
+              {
+                temperature: params.temperature,
+                maxTokens: clampMaxTokens(activeInfo, params.maxTokens),
+                ...sentFields,
+                // A fallback model without tool calling continues without tools
+                ...(tools.length && supportsTools(activeInfo) ? { tools } : {}),
+                ...(schema ? buildStructuredRequest(schema, structuredMode) : {}),
+                retry: policy,
+                onRetry,
+                ...(viaResponses ? {
+                  modelInfo: activeInfo,
+                  previousResponseId: chained?.id,
+                  onReasoning: (text) => {
+                    reasoning += text;
+                    updateMessage(targetKey, assistantMsg.id, { reasoning, retryStatus: null });
+                  },
+                } : {}),
+              },
+            );
+            break;
+          } catch (err) {
+            if (err.name === 'AbortError') throw err;
+            // The failed call itself is not billed
+            billed.pop();
+            // The stored response may have expired: resend the full history instead
+            if (chained && (err.status === 400 || err.status === 404)) {
+              console.warn(`[CopilotApp] Could not continue response ${chained.id} (${describeApiError(err)}), resending history`);
+              responseChain = null;
+              continue;
+            }
+            const next = !accumulatedContent && canFallBack(err)
+              ? getFallbackModel(policy, activeModel, [model, ...fallbacks.map((f) => f.to)], models)
+              : null;
+            if (!next) throw err;
+            console.warn(`[CopilotApp] ${activeModel} failed (${describeApiError(err)}), falling back to ${next}`);
+            fallbacks.push({ from: activeModel, to: next, reason: describeApiError(err) });
+            activeModel = next;
+            updateMessage(targetKey, assistantMsg.id, { model: activeModel, fallbacks: [...fallbacks], retryStatus: null });
+          }
+        }
+        const { toolCalls, usage: iterUsage, finishReason: iterFinishReason, model: servedModel, timing } = result;
+        usage = addUsage(usage, iterUsage);
+        logCompletion(activeModel, iterUsage, 'chat', timing);
+        const reportedTokens = iterUsage?.completion_tokens;
+        requestTimings.push({
+          ...timing,
+          outputTokens: reportedTokens ?? estimateTextTokens(
+            accumulatedContent + (toolCalls || []).map((tc) => tc.function.arguments).join(''),
+          ),
+          estimated: reportedTokens == null,
+        });
+        finishReason = iterFinishReason;
+        lastServedModel = servedModel;
+        alternatives = result.alternatives || [];
+        lastResponseId = result.responseId ?? null;
 
+        if (schema) {
+          // Forced tool call: its arguments are the reply (other choices carry no content)
+          if (structuredMode === 'tool') {
+            accumulatedContent = formatJson(toolCalls?.[0]?.function.arguments ?? '');
+            alternatives = [];
+            updateMessage(targetKey, assistantMsg.id, { content: accumulatedContent });
+          }
+          structuredText = accumulatedContent;
+          break;
+        }
         if (!toolCalls?.length) break;
 
         // Preserve any intermediate text (e.g. "Let me search for that…") in the display prefix
@@ -181,119 +617,270 @@ export default function Chat({ copilotToken, models, selectedModel, onSelectMode
             tool_calls: toolCalls,
           },
         ];
+        responseChain = lastResponseId ? { id: lastResponseId, model: activeModel, length: apiMessages.length } : null;
+        // Each request's reasoning summary reads as its own paragraph
+        if (reasoning && !reasoning.endsWith('\n\n')) reasoning += '\n\n';
 
-        // Execute each tool call and append results
+        // Show what is about to run, then execute all calls of this turn in parallel
         for (const tc of toolCalls) {
-          // Check abort signal before executing each tool call
-          if (controller.signal.aborted) throw new DOMException('Aborted', 'AbortError');
-
-          let args;
-          try { args = JSON.parse(tc.function.arguments); } catch {
-            args = {};
-            if (import.meta.env && import.meta.env.DEV) {
-              console.warn('[CopilotApp] Failed to parse tool call arguments:', tc.function.arguments);
-            }
-          }
-          const rawQuery = typeof args.query === 'string' ? args.query : '';
-          const query = rawQuery.trim();
-
-          if (!query) {
-            if (import.meta.env && import.meta.env.DEV) {
-              console.warn('[CopilotApp] Skipping brave_search tool call due to empty query:', args.query);
-            }
-            // Push an error result so the API message list stays consistent
-            apiMessages.push({ role: 'tool', tool_call_id: tc.id, content: 'Search skipped: empty query.' });
-            // eslint-disable-next-line no-continue
-            continue;
-          }
-
-          displayPrefix += `🔍 Searching: "${query}"\n`;
-          setConversations((prev) => {
-            const existing = prev[targetKey]?.messages || [];
-            const updated = existing.map((m, i) =>
-              i === existing.length - 1 && m.pending
-                ? { ...m, content: displayPrefix }
-                : m,
-            );
-            return { ...prev, [targetKey]: { ...prev[targetKey], messages: updated } };
-          });
-
-          let result;
-          try {
-            // eslint-disable-next-line no-await-in-loop
-            result = await braveSearch(braveApiKey, query);
-          } catch (err) {
-            result = `Search failed: ${err.message}`;
-          }
+          const tool = getTool(tc.function.name);
+          const args = parseToolArguments(tc) || {};
+          displayPrefix += `${tool?.icon || '🔧'} ${tool ? tool.status(args) : `Calling ${tc.function.name}`}\n`;
+        }
+        updateMessage(targetKey, assistantMsg.id, { content: displayPrefix });
 
-          apiMessages.push({
-            role: 'tool',
-            tool_call_id: tc.id,
-            content: result,
+        const outcomes = await Promise.all(toolCalls.map((tc) => runToolCall(tc, toolNames, controller.signal)));
+        toolCalls.forEach((tc, i) => {
+          const { result, error, durationMs } = outcomes[i];
+          apiMessages.push({ role: 'tool', tool_call_id: tc.id, content: result });
+          toolLog.push({
+            id: tc.id,
+            name: tc.function.name,
+            arguments: tc.function.arguments,
+            result,
+            durationMs,
+            ...(error ? { error: true } : {}),
           });
-        }
+        });
+        updateMessage(targetKey, assistantMsg.id, { toolCalls: [...toolLog] });
 
         displayPrefix += '\n';
       }
 
       // Mark as complete
-      setConversations((prev) => {
-        const existing = prev[targetKey]?.messages || [];
-        const updated = existing.map((m, i) =>
-          i === existing.length - 1 && m.pending ? { ...m, pending: false } : m,
-        );
-        return { ...prev, [targetKey]: { ...prev[targetKey], messages: updated } };
+      updateMessage(targetKey, assistantMsg.id, {
+        pending: false,
+        ...(toolLog.length ? { toolCalls: toolLog } : {}),
+        ...(usage ? { usage } : {}),
+        ...(contextFit ? { contextFit } : {}),
+        ...(finishReason ? { finishReason } : {}),
+        ...(Object.keys(sentFields).length ? { requestParams: sentFields } : {}),
+        ...(schema ? { structured: { mode: structuredMode, ...checkStructuredReply(structuredText, schema) } } : {}),
+        ...(reasoning ? { reasoning: reasoning.trim() } : {}),
+        ...(lastResponseId ? { responseId: lastResponseId } : {}),
+        metrics: computeReplyMetrics(requestTimings, performance.now() - replyStarted),
+        ...(lastServedModel && lastServedModel !== activeModel ? { servedModel: lastServedModel } : {}),
+        ...replyModelFields(),
+        retryStatus: null,
+        ...premiumRequestFields(billed),
       });
+      // Extra choices become sibling versions of the reply; they came with the same request
+      if (alternatives.length) {
+        addAlternativeReplies(targetKey, assistantMsg, alternatives.map((alt) => ({
+          content: displayPrefix + alt.content,
+          model: activeModel,
+          ...(alt.finishReason ? { finishReason: alt.finishReason } : {}),
+          ...(Object.keys(sentFields).length ? { requestParams: sentFields } : {}),
+          ...(schema ? { structured: { mode: structuredMode, ...checkStructuredReply(alt.content, schema) } } : {}),
+        })));
+      }
     } catch (err) {
       if (err.name === 'AbortError') {
+        // Keep the partial reply so it can still be edited or regenerated; started requests are billed
+        if (billed.length > loggedCount) logCompletion(activeModel, null);
+        updateMessage(targetKey, assistantMsg.id, {
+          pending: false,
+          retryStatus: null,
+          ...replyModelFields(),
+          ...premiumRequestFields(billed),
+        });
         // Ensure streaming state is reset on aborts, even when sendMessage is called directly
         setStreaming(false);
         return;
       }
-      setConversations((prev) => {
-        const existing = prev[targetKey]?.messages || [];
-        const updated = existing.map((m, i) =>
-          i === existing.length - 1 && m.pending
-            ? { ...m, content: `[Error: ${err.message}]`, pending: false, error: true }
-            : m,
-        );
-        return { ...prev, [targetKey]: { ...prev[targetKey], messages: updated } };
+      updateMessage(targetKey, assistantMsg.id, {
+        content: `[Error: ${err.message}]`,
+        pending: false,
+        error: true,
+        retryStatus: null,
+        ...replyModelFields(),
+        ...(billed.length ? premiumRequestFields(billed) : {}),
       });
     } finally {
       abortControllersRef.current.delete(controller);
     }
   };
 
-  const handleSend = async () => {
-    if (!input.trim() || streaming) return;
+  const sendMessage = async (modelId, appendToKey) => {
+    const model = modelId || selectedModel?.id;
+    if (!model) return;
+
+    const targetKey = appendToKey || convKey;
+    const target = conversations[targetKey];
+    const history = getActiveBranch(target?.messages, target?.currentId);
+
+    const userMsg = {
+      id: createMessageId(),
+      parentId: history[history.length - 1]?.id ?? null,
+      role: 'user',
+      content: input.trim(),
+      createdAt: Date.now(),
+      ...(attachments.length ? { attachments } : {}),
+    };
+    const title = userMsg.content.slice(0, 40) || `🖼️ ${attachments[0]?.name || 'Image'}`;
+    appendMessage(targetKey, userMsg, { title, model });
+
+    await streamReply(targetKey, model, [...history, userMsg]);
+  };
+
+  // Run an edit / regenerate generation with the same streaming guard as handleSend
+  const runBranchAction = (modelId, action) => {
+    if (streaming) return;
+    const schemaError = getSchemaError(convKey);
+    if (schemaError) {
+      setSendError(schemaError);
+      return;
+    }
+    setSendError('');
+    confirmCost(modelId, async () => {
+      setStreaming(true);
+      try {
+        await action();
+      } finally {
+        setStreaming(false);
+      }
+    });
+  };
+
+  // Ask before sending to a high-multiplier model (e.g. 30× ones) unless already waived
+  const confirmCost = (modelId, run) => {
+    const multiplier = getModelMultiplier(models, modelId);
+    if (multiplier != null && multiplier >= HIGH_MULTIPLIER_THRESHOLD && !costConfirmedRef.current.has(modelId)) {
+      setCostConfirm({ modelId, multiplier, run });
+      return;
+    }
+    run();
+  };
+
+  const resolveCostConfirm = (accepted, dontAskAgain = false) => {
+    const pending = costConfirm;
+    setCostConfirm(null);
+    if (!accepted || !pending) return;
+    if (dontAskAgain) costConfirmedRef.current.add(pending.modelId);
+    pending.run();
+  };
+
+  /**
+   * Edit a message by adding a sibling version with the new content.
+   * Editing a user turn generates a fresh reply on the new branch; editing an
+   * assistant reply just stores the edited text as another version.
+   */
+  const editMessage = (msg, content) => {
+    const index = messages.findIndex((m) => m.id === msg.id);
+    if (index === -1) return;
+    const edited = {
+      id: createMessageId(),
+      parentId: msg.parentId ?? null,
+      role: msg.role,
+      content,
+      createdAt: Date.now(),
+      ...(msg.attachments ? { attachments: msg.attachments } : {}),
+      ...(msg.role === 'assistant' ? { model: msg.model, edited: true } : {}),
+    };
+
+    if (msg.role !== 'user') {
+      appendMessage(convKey, edited);
+      return;
+    }
+    if (!selectedModel?.id) {
+      setSendError('Please select a model from the Models tab first.');
+      return;
+    }
+    runBranchAction(selectedModel.id, async () => {
+      appendMessage(convKey, edited);
+      await streamReply(convKey, selectedModel.id, [...messages.slice(0, index), edited]);
+    });
+  };
+
+  /**
+   * Generate another reply version. For an assistant node this adds a sibling;
+   * for a user node it adds a new reply under it. `modelId` overrides the model.
+   */
+  const regenerateMessage = (msg, modelId) => {
+    const index = messages.findIndex((m) => m.id === msg.id);
+    if (index === -1) return;
+    const isAssistant = msg.role === 'assistant';
+    const model = modelId || (isAssistant ? msg.model : null) || selectedModel?.id;
+    if (!model) {
+      setSendError('Please select a model from the Models tab first.');
+      return;
+    }
+    const branch = messages.slice(0, isAssistant ? index : index + 1);
+    runBranchAction(model, () => streamReply(convKey, model, branch));
+  };
+
+  // Switch to another version of a node, showing the newest branch below it
+  const selectVersion = (node) => {
+    setConversations((prev) => {
+      const conv = prev[convKey];
+      if (!conv?.messages) return prev;
+      return { ...prev, [convKey]: { ...conv, currentId: getLatestLeaf(conv.messages, node.id) } };
+    });
+  };
+
+  const canAttach = supportsVision(selectedInfo);
+
+  const addAttachments = async (files) => {
+    const images = [...files].filter((f) => f.type.startsWith('image/'));
+    if (!images.length) return;
+    if (!canAttach) {
+      setSendError(`${selectedModel?.id || 'This model'} does not accept image input.`);
+      return;
+    }
+    const results = await Promise.allSettled(images.map(readImageFile));
+    const added = results.filter((r) => r.status === 'fulfilled').map((r) => r.value);
+    const failed = results.filter((r) => r.status === 'rejected').map((r) => r.reason.message);
+    if (added.length) setAttachments((prev) => [...prev, ...added]);
+    setSendError(failed.join(' · '));
+  };
+
+  const handlePaste = (e) => {
+    const files = [...(e.clipboardData?.files || [])];
+    if (!files.some((f) => f.type.startsWith('image/'))) return;
+    e.preventDefault();
+    addAttachments(files);
+  };
+
+  const handleDragOver = (e) => {
+    if (!e.dataTransfer?.types?.includes('Files')) return;
+    e.preventDefault();
+    setDragActive(true);
+  };
+
+  const handleDrop = (e) => {
+    if (!e.dataTransfer?.files?.length) return;
+    e.preventDefault();
+    setDragActive(false);
+    addAttachments(e.dataTransfer.files);
+  };
+
+  const handleSend = () => {
+    if ((!input.trim() && !attachments.length) || streaming || messagesLoading) return;
     if (!selectedModel?.id) {
       setSendError('Please select a model from the Models tab first.');
       return;
     }
+    if (attachments.length && !canAttach) {
+      setSendError(`${selectedModel.id} does not accept image input. Remove the attachments or pick a vision model.`);
+      return;
+    }
+    const schemaError = getSchemaError(convKey);
+    if (schemaError) {
+      setSendError(schemaError);
+      return;
+    }
     setSendError('');
 
-    setStreaming(true);
-    try {
-      if (compareMode && compareModel) {
-        // Compare mode: send identical prompt to two different models in parallel.
-        // primaryConvKey = the currently active conversation (gets selectedModel's response)
-        // compareConvId  = a newly created conversation (gets compareModel's response)
-        const compareConvId = `compare_${Date.now()}`;
-        setConversations((prev) => ({
-          ...prev,
-          [compareConvId]: { id: compareConvId, messages: [], title: 'Compare', createdAt: Date.now() },
-        }));
-        await Promise.all([
-          sendMessage(selectedModel.id, convKey),      // primary model → active conversation
-          sendMessage(compareModel.id, compareConvId), // compare model → new side conversation
-        ]);
-      } else {
-        await sendMessage(selectedModel?.id, null);
+    confirmCost(selectedModel.id, async () => {
+      setStreaming(true);
+      try {
+        await sendMessage(selectedModel.id, null);
+      } finally {
+        setInput('');
+        setAttachments([]);
+        setStreaming(false);
       }
-    } finally {
-      setInput('');
-      setStreaming(false);
-    }
+    });
   };
 
   const stopStreaming = () => {
@@ -302,6 +889,100 @@ export default function Chat({ copilotToken, models, selectedModel, onSelectMode
     setStreaming(false);
   };
 
+  // Export needs message bodies, including conversations that were never opened
+  const exportConvs = async (convs, format) => {
+    try {
+      const full = await Promise.all(convs.map(async (c) => (
+        c.messages ? c : { ...c, messages: normalizeTree(await loadMessages(c.id)) }
+      )));
+      downloadFile(exportFileName(full, format), exportConversations(full, format), EXPORT_FORMATS[format].mime);
+    } catch (err) {
+      setSendError(`Export failed: ${err.message}`);
+    }
+  };
+
+  /**
+   * Add imported conversations to the sidebar. `duplicateMode` decides what happens to
+   * conversations whose id already exists: 'copy' (import under a new id), 'replace' or 'skip'.
+   */
+  const applyImport = (imported, duplicateMode) => {
+    setPendingImport(null);
+    const stamp = Date.now();
+    const additions = {};
+    imported.forEach((conv, i) => {
+      const exists = conv.id in conversations || conv.id in additions;
+      if (exists && duplicateMode === 'skip') return;
+      const id = exists && duplicateMode === 'copy' ? `conv_${stamp}_${i}` : conv.id;
+      additions[id] = withFreshIds(conv, id);
+    });
+    setConversations((prev) => ({ ...prev, ...additions }));
+    const count = Object.keys(additions).length;
+    setImportNotice(`✓ Imported ${count} conversation${count === 1 ? '' : 's'}`);
+    setTimeout(() => setImportNotice(''), 3000);
+  };
+
+  const handleImportFile = async (file) => {
+    try {
+      const imported = parseConversationImport(await file.text());
+      if (!imported.length) throw new Error('No conversations found in the file');
+      const duplicates = imported.filter((c) => c.id in conversations).length;
+      if (duplicates) {
+        setPendingImport({ imported, duplicates });
+      } else {
+        applyImport(imported, 'copy');
+      }
+    } catch (err) {
+      setSendError(`Import failed: ${err.message}`);
+    }
+  };
+
+  const openConversation = (convId) => {
+    setActiveConvId(convId === '_default' ? null : convId);
+    setArenaOpen(false);
+  };
+
+  const openSearchResult = (convId, messageId) => {
+    focusMessageRef.current = messageId;
+    setFocusMessageId(messageId);
+    openConversation(convId);
+    setConversations((prev) => {
+      const conv = prev[convId];
+      if (!conv?.messages?.some((m) => m.id === messageId)) return prev;
+      return { ...prev, [convId]: { ...conv, currentId: getLatestLeaf(conv.messages, messageId) } };
+    });
+    setSidebarOpen(false);
+  };
+
+  // Tool switches are stored on the conversation (created if this is a fresh chat)
+  const toggleTool = (name, enabled) => {
+    setConversations((prev) => {
+      const conv = prev[convKey] || { id: convKey, title: 'New chat', messages: [], createdAt: Date.now() };
+      const current = conv.disabledTools || [];
+      return {
+        ...prev,
+        [convKey]: {
+          ...conv,
+          disabledTools: enabled ? current.filter((n) => n !== name) : [...new Set([...current, name])],
+        },
+      };
+    });
+  };
+
+  // Request parameters are stored on the conversation too, so regenerating repeats them
+  const updateRequestParams = (patch) => {
+    setConversations((prev) => {
+      const conv = prev[convKey] || { id: convKey, title: 'New chat', messages: [], createdAt: Date.now() };
+      return { ...prev, [convKey]: { ...conv, params: { ...conv.params, ...patch } } };
+    });
+  };
+
+  const updateStructuredOutput = (patch) => {
+    setConversations((prev) => {
+      const conv = prev[convKey] || { id: convKey, title: 'New chat', messages: [], createdAt: Date.now() };
+      return { ...prev, [convKey]: { ...conv, structuredOutput: { ...getStructuredOutput(conv), ...patch } } };
+    });
+  };
+
   const handlePreset = (idx) => {
     setSystemPreset(idx);
     if (SYSTEM_PRESETS[idx].value) setSystemPrompt(SYSTEM_PRESETS[idx].value);
@@ -325,31 +1006,88 @@ export default function Chat({ copilotToken, models, selectedModel, onSelectMode
         <button className="btn btn-primary btn-sm new-chat-btn" onClick={newConversation}>
           + New Chat
         </button>
-        <div className="conv-list">
-          {sortedConvs.length === 0 && (
-            <p className="conv-empty">No conversations yet.<br />Start a new chat!</p>
-          )}
-          {sortedConvs.map((conv) => (
-            <div
-              key={conv.id}
-              className={`conv-item ${(conv.id === activeConvId || (conv.id === '_default' && !activeConvId)) ? 'active' : ''}`}
-              onClick={() => setActiveConvId(conv.id === '_default' ? null : conv.id)}
-              role="button"
-              tabIndex={0}
-              onKeyDown={(e) => e.key === 'Enter' && setActiveConvId(conv.id)}
-            >
-              <div className="conv-title">{conv.title || 'New chat'}</div>
-              {conv.model && <div className="conv-model">{conv.model}</div>}
-              <button
-                className="conv-delete"
-                onClick={(e) => { e.stopPropagation(); deleteConversation(conv.id); }}
-                title="Delete conversation"
-              >
-                ×
+        <div className="conv-tools">
+          <ExportMenu
+            label="⬇ Export all"
+            className="btn btn-ghost btn-sm"
+            disabled={storageLoading || sortedConvs.length === 0}
+            onExport={(format) => exportConvs(sortedConvs, format)}
+          />
+          <button className="btn btn-ghost btn-sm" onClick={() => importInputRef.current?.click()}>
+            ⬆ Import
+          </button>
+          <input
+            ref={importInputRef}
+            type="file"
+            accept=".json,.jsonl,application/json"
+            hidden
+            onChange={(e) => {
+              if (e.target.files?.[0]) handleImportFile(e.target.files[0]);
+              e.target.value = '';
+            }}
+          />
+        </div>
+        {pendingImport && (
+          <div className="confirm-box import-confirm">
+            <p>
+              {pendingImport.duplicates} of {pendingImport.imported.length} imported conversation(s) already
+              exist with the same ID.
+            </p>
+            <div className="btn-group">
+              <button className="btn btn-secondary btn-sm" onClick={() => applyImport(pendingImport.imported, 'copy')}>
+                Import as copies
               </button>
+              <button className="btn btn-danger btn-sm" onClick={() => applyImport(pendingImport.imported, 'replace')}>
+                Replace
+              </button>
+              <button className="btn btn-ghost btn-sm" onClick={() => applyImport(pendingImport.imported, 'skip')}>
+                Skip duplicates
+              </button>
+              <button className="btn btn-ghost btn-sm" onClick={() => setPendingImport(null)}>Cancel</button>
             </div>
-          ))}
-        </div>
+          </div>
+        )}
+        {importNotice && <p className="conv-notice">{importNotice}</p>}
+        <ConversationSearch
+          conversations={conversations}
+          models={models}
+          onOpenResult={openSearchResult}
+        >
+          <div className="conv-list">
+            {storageLoading && <p className="conv-empty">Loading conversations…</p>}
+            {!storageLoading && sortedConvs.length === 0 && (
+              <p className="conv-empty">No conversations yet.<br />Start a new chat!</p>
+            )}
+            {sortedConvs.map((conv) => (
+              <div
+                key={conv.id}
+                className={`conv-item ${(conv.id === activeConvId || (conv.id === '_default' && !activeConvId)) ? 'active' : ''}`}
+                onClick={() => openConversation(conv.id)}
+                role="button"
+                tabIndex={0}
+                onKeyDown={(e) => e.key === 'Enter' && openConversation(conv.id)}
+              >
+                <div className="conv-title">{conv.title || 'New chat'}</div>
+                {conv.model && <div className="conv-model">{conv.model}</div>}
+                <div className="conv-actions">
+                  <ExportMenu
+                    label="⬇"
+                    title="Export conversation"
+                    className="conv-action"
+                    onExport={(format) => exportConvs([conv], format)}
+                  />
+                  <button
+                    className="conv-action conv-delete"
+                    onClick={(e) => { e.stopPropagation(); deleteConversation(conv.id); }}
+                    title="Delete conversation"
+                  >
+                    ×
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        </ConversationSearch>
       </aside>
 
       {/* Main chat area */}
@@ -386,12 +1124,31 @@ export default function Chat({ copilotToken, models, selectedModel, onSelectMode
               ))}
             </select>
           </div>
+          {conversationCost.replies > 0 && (
+            <span
+              className="conv-cost"
+              title={`Premium requests used by ${conversationCost.replies} repl${conversationCost.replies === 1 ? 'y' : 'ies'} in this conversation (all versions)${conversationCost.unknown ? ` · ${conversationCost.unknown} with unknown multiplier not counted` : ''}`}
+            >
+              💎 {formatPremiumRequests(conversationCost.total)}{conversationCost.unknown ? '+' : ''}
+            </span>
+          )}
+          {contextUsage && (
+            <ContextMeter usage={contextUsage} maxTokens={maxTokens} strategy={contextStrategy} />
+          )}
           <button
             className={`btn btn-sm ${showSettings ? 'btn-primary' : 'btn-ghost'}`}
             onClick={() => setShowSettings((v) => !v)}
           >
             ⚙️ Settings
           </button>
+          <button
+            className={`btn btn-sm ${arenaOpen ? 'btn-primary' : 'btn-ghost'}`}
+            onClick={() => setArenaOpen((v) => !v)}
+            disabled={streaming}
+            title="Compare 2–6 models side by side"
+          >
+            ⚔️ Arena
+          </button>
         </div>
 
         {/* Settings panel */}
@@ -423,164 +1180,465 @@ export default function Chat({ copilotToken, models, selectedModel, onSelectMode
               <input
                 type="range" min="0" max="2" step="0.1"
                 value={temperature}
-                onChange={(e) => setTemperature(parseFloat(e.target.value))}
+                onChange={(e) => updateRequestParams({ temperature: parseFloat(e.target.value) })}
                 className="range-input"
               />
-              <label>Max Tokens: <strong>{maxTokens}</strong></label>
+              <label title={selectedInfo?.maxOutputTokens ? `${selectedModel.id} outputs at most ${selectedInfo.maxOutputTokens.toLocaleString()} tokens` : undefined}>
+                Max Tokens: <strong>{maxTokens}</strong>
+              </label>
               <input
-                type="range" min="256" max="32768" step="256"
+                type="range" min="256" max={selectedInfo?.maxOutputTokens || 32768} step="256"
                 value={maxTokens}
-                onChange={(e) => setMaxTokens(parseInt(e.target.value, 10))}
+                onChange={(e) => updateRequestParams({ maxTokens: parseInt(e.target.value, 10) })}
                 className="range-input"
               />
             </div>
+            <RequestParamsSettings
+              key={`${convKey}:${selectedModel?.id}`}
+              params={requestParams}
+              model={selectedInfo}
+              hasTools={toolsSupported && getActiveTools(disabledTools).length > 0}
+              disabled={messagesLoading}
+              onChange={updateRequestParams}
+            />
+            <StructuredOutputSettings
+              key={convKey}
+              settings={structuredOutput}
+              model={selectedInfo}
+              disabled={messagesLoading}
+              onChange={updateStructuredOutput}
+            />
             <div className="settings-row settings-inline">
+              <label htmlFor="context-strategy">When history exceeds the context window:</label>
+              <select
+                id="context-strategy"
+                className="input input-sm"
+                value={contextStrategy}
+                onChange={(e) => {
+                  setContextStrategy(e.target.value);
+                  localStorage.setItem(CONTEXT_STRATEGY_KEY, e.target.value);
+                }}
+              >
+                {Object.entries(CONTEXT_STRATEGIES).map(([id, { label }]) => (
+                  <option key={id} value={id}>{label}</option>
+                ))}
+              </select>
+            </div>
+            <div className="settings-row">
               <label>
-                <input
-                  type="checkbox"
-                  checked={compareMode}
-                  onChange={(e) => setCompareMode(e.target.checked)}
-                />
-                &nbsp;Compare mode
+                Tools <span className="tool-toggle-hint">
+                  (this conversation{selectedInfo && !toolsSupported ? `; ${selectedModel.id} does not support tool calls` : ''})
+                </span>
               </label>
-              {compareMode && (
-                <select
-                  className="input input-sm"
-                  value={compareModel?.id || ''}
-                  onChange={(e) => setCompareModel(models.find((x) => x.id === e.target.value) || null)}
-                >
-                  <option value="">-- Compare with --</option>
-                  {groupedModels(models.filter((m) => m.id !== selectedModel?.id)).map(({ provider, models: pModels }) => (
-                    <optgroup key={provider} label={provider}>
-                      {pModels.map((m) => (
-                        <option key={m.id} value={m.id}>{getModelDisplayName(m)}</option>
-                      ))}
-                    </optgroup>
-                  ))}
-                </select>
-              )}
+              <div className="tool-toggles">
+                {TOOLS.map((tool) => {
+                  const available = tool.isAvailable();
+                  return (
+                    <label key={tool.name} className={`tool-toggle ${available ? '' : 'disabled'}`} title={tool.description}>
+                      <input
+                        type="checkbox"
+                        checked={available && !disabledTools.includes(tool.name)}
+                        onChange={(e) => toggleTool(tool.name, e.target.checked)}
+                        disabled={!available || messagesLoading || (selectedInfo && !toolsSupported)}
+                      />
+                      {tool.icon} {tool.label}
+                      {!available && tool.unavailableHint && <span className="tool-toggle-hint"> — {tool.unavailableHint}</span>}
+                    </label>
+                  );
+                })}
+              </div>
             </div>
           </div>
         )}
 
-        {/* Messages */}
-        <div className="messages-area">
-          {messages.length === 0 && (
-            <div className="messages-empty">
-              <p>Start a conversation{selectedModel ? ` with ${selectedModel.id}` : ''}.</p>
-              <div className="starter-prompts">
-                {['Hello! What can you do?', 'Write a hello world in Rust', 'Explain async/await in JavaScript'].map((p) => (
-                  <button key={p} className="starter-btn" onClick={() => { setInput(p); }}>
-                    {p}
+        {arenaOpen ? (
+          <Arena
+            copilotToken={copilotToken}
+            models={models}
+            initialModelId={selectedModel?.id}
+            systemPrompt={systemPrompt}
+            temperature={temperature}
+            maxTokens={maxTokens}
+          />
+        ) : (
+          <>
+            {/* Messages */}
+            <div className="messages-area">
+              {messagesLoading && (
+                <div className="messages-empty"><div className="spinner" /></div>
+              )}
+              {!messagesLoading && messages.length === 0 && (
+                <div className="messages-empty">
+                  <p>Start a conversation{selectedModel ? ` with ${selectedModel.id}` : ''}.</p>
+                  <div className="starter-prompts">
+                    {['Hello! What can you do?', 'Write a hello world in Rust', 'Explain async/await in JavaScript'].map((p) => (
+                      <button key={p} className="starter-btn" onClick={() => { setInput(p); }}>
+                        {p}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              )}
+              {messages.map((msg, i) => (
+                <Message
+                  key={msg.id || i}
+                  msg={msg}
+                  focused={msg.id === focusMessageId}
+                  versions={getSiblings(allNodes, msg)}
+                  models={models}
+                  busy={streaming}
+                  onSelectVersion={selectVersion}
+                  onEdit={(content) => editMessage(msg, content)}
+                  onRegenerate={(modelId) => regenerateMessage(msg, modelId)}
+                />
+              ))}
+              <div ref={bottomRef} />
+            </div>
+
+            {/* Input area */}
+            <div
+              className={`chat-input-area ${dragActive ? 'drag-active' : ''}`}
+              onDragOver={handleDragOver}
+              onDragLeave={(e) => !e.currentTarget.contains(e.relatedTarget) && setDragActive(false)}
+              onDrop={handleDrop}
+            >
+              {storageError && (
+                <div className="send-error" role="alert">
+                  <span>⚠️ {storageError}</span>
+                  <button className="alert-close" onClick={() => setStorageError('')}>×</button>
+                </div>
+              )}
+              {costConfirm && (
+                <div className="confirm-box cost-confirm" role="alertdialog">
+                  <p>
+                    ⚠️ <strong>{costConfirm.modelId}</strong> costs <strong>{costConfirm.multiplier}×</strong> premium
+                    requests. Every tool-call round trip is billed as another request.
+                  </p>
+                  <div className="btn-group">
+                    <button className="btn btn-danger btn-sm" onClick={() => resolveCostConfirm(true)}>Send anyway</button>
+                    <button className="btn btn-secondary btn-sm" onClick={() => resolveCostConfirm(true, true)}>
+                      Send, don&apos;t ask again this session
+                    </button>
+                    <button className="btn btn-ghost btn-sm" onClick={() => resolveCostConfirm(false)}>Cancel</button>
+                  </div>
+                </div>
+              )}
+              {sendError && (
+                <div className="send-error" role="alert">
+                  <span>⚠️ {sendError}</span>
+                  <button className="alert-close" onClick={() => setSendError('')}>×</button>
+                </div>
+              )}
+              {attachments.length > 0 && (
+                <div className="attachment-list">
+                  {attachments.map((a) => (
+                    <div key={a.id} className="attachment-thumb">
+                      <img src={a.dataUrl} alt={a.name} title={a.name} />
+                      <button
+                        className="attachment-remove"
+                        onClick={() => setAttachments((prev) => prev.filter((x) => x.id !== a.id))}
+                        aria-label={`Remove ${a.name}`}
+                      >
+                        ×
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              )}
+              <textarea
+                className="input chat-textarea"
+                placeholder={selectedModel ? `Message ${selectedModel.id}…` : 'Select a model to start chatting…'}
+                value={input}
+                onChange={(e) => setInput(e.target.value)}
+                onPaste={handlePaste}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter' && !e.shiftKey) {
+                    e.preventDefault();
+                    handleSend();
+                  }
+                }}
+                rows={3}
+                disabled={streaming || Boolean(costConfirm)}
+              />
+              <div className="input-actions">
+                <span className="input-hint">
+                  Enter to send, Shift+Enter for newline{canAttach ? ' · paste or drop images' : ''}
+                </span>
+                {canAttach && (
+                  <>
+                    <input
+                      ref={fileInputRef}
+                      type="file"
+                      accept="image/*"
+                      multiple
+                      hidden
+                      onChange={(e) => {
+                        addAttachments(e.target.files);
+                        e.target.value = '';
+                      }}
+                    />
+                    <button
+                      className="btn btn-ghost btn-sm attach-btn"
+                      onClick={() => fileInputRef.current?.click()}
+                      disabled={streaming}
+                      title="Attach images"
+                      aria-label="Attach images"
+                    >
+                      📎
+                    </button>
+                  </>
+                )}
+                {streaming ? (
+                  <button className="btn btn-danger btn-sm" onClick={stopStreaming}>⏹ Stop</button>
+                ) : (
+                  <button
+                    className="btn btn-primary btn-sm"
+                    onClick={handleSend}
+                    disabled={(!input.trim() && !attachments.length) || !selectedModel || messagesLoading || Boolean(costConfirm)}
+                  >
+                    Send ↑
                   </button>
-                ))}
+                )}
               </div>
             </div>
-          )}
-          {messages.map((msg, i) => (
-            <Message key={i} msg={msg} />
-          ))}
-          <div ref={bottomRef} />
-        </div>
+          </>
+        )}
+      </main>
+    </div>
+  );
+}
 
-        {/* Input area */}
-        <div className="chat-input-area">
-          {sendError && (
-            <div className="send-error" role="alert">
-              <span>⚠️ {sendError}</span>
-              <button className="alert-close" onClick={() => setSendError('')}>×</button>
-            </div>
-          )}
-          <textarea
-            className="input chat-textarea"
-            placeholder={selectedModel ? `Message ${selectedModel.id}…` : 'Select a model to start chatting…'}
-            value={input}
-            onChange={(e) => setInput(e.target.value)}
-            onKeyDown={(e) => {
-              if (e.key === 'Enter' && !e.shiftKey) {
-                e.preventDefault();
-                handleSend();
-              }
-            }}
-            rows={3}
-            disabled={streaming}
-          />
-          <div className="input-actions">
-            <span className="input-hint">Enter to send, Shift+Enter for newline</span>
-            {streaming ? (
-              <button className="btn btn-danger btn-sm" onClick={stopStreaming}>⏹ Stop</button>
-            ) : (
-              <button
-                className="btn btn-primary btn-sm"
-                onClick={handleSend}
-                disabled={!input.trim() || !selectedModel}
-              >
-                Send ↑
-              </button>
-            )}
-          </div>
+function ExportMenu({ label, title, className, disabled, onExport }) {
+  const [open, setOpen] = useState(false);
+
+  return (
+    <div
+      className="export-menu"
+      onClick={(e) => e.stopPropagation()}
+      onKeyDown={(e) => e.stopPropagation()}
+    >
+      <button
+        className={className}
+        onClick={() => setOpen((v) => !v)}
+        disabled={disabled}
+        title={title}
+        aria-haspopup="menu"
+        aria-expanded={open}
+      >
+        {label}
+      </button>
+      {open && (
+        <div className="export-menu-list" role="menu">
+          {Object.entries(EXPORT_FORMATS).map(([key, format]) => (
+            <button
+              key={key}
+              className="export-menu-item"
+              role="menuitem"
+              onClick={() => { setOpen(false); onExport(key); }}
+            >
+              {format.label}
+            </button>
+          ))}
         </div>
-      </main>
+      )}
     </div>
   );
 }
 
-function Message({ msg }) {
-  const isUser = msg.role === 'user';
-  const isSystem = msg.role === 'system';
-  if (isSystem) return null;
+function ContextMeter({ usage, maxTokens, strategy }) {
+  const { used, window: contextWindow, budget } = usage;
+  const over = budget != null && used > budget;
+  const near = !over && budget != null && used > budget * 0.8;
+  const title = [
+    `~${used.toLocaleString()} tokens estimated for the next request (system prompt, history, draft, tools)`,
+    `${maxTokens.toLocaleString()} tokens reserved for the reply`,
+    `${contextWindow.toLocaleString()} token context window`,
+    over ? (strategy === 'off' ? 'Over the limit: the request may be rejected' : `Over the limit: ${CONTEXT_STRATEGIES[strategy].label.toLowerCase()}`) : '',
+  ].filter(Boolean).join('\n');
 
   return (
-    <div className={`message ${isUser ? 'message-user' : 'message-assistant'} ${msg.error ? 'message-error' : ''}`}>
-      <div className="message-meta">
-        <span className="message-role">{isUser ? 'You' : (msg.model || 'Assistant')}</span>
-        {msg.pending && <span className="message-pending">▋</span>}
-      </div>
-      <div className="message-content">
-        <MessageContent content={msg.content} pending={msg.pending} />
+    <div className={`context-meter ${over ? 'over' : ''} ${near ? 'near' : ''}`} title={title}>
+      <div className="context-meter-bar">
+        <div className="context-meter-fill" style={{ width: `${Math.min(100, (used / contextWindow) * 100)}%` }} />
       </div>
+      <span>{formatTokenCount(used)} / {formatTokenCount(contextWindow)}</span>
     </div>
   );
 }
 
-const markdownComponents = {
-  // Handle ALL block code via the pre override (extracts content from hast AST directly,
-  // so the code override below is only ever reached for inline code)
-  pre({ node }) {
-    const codeEl = node?.children?.find((c) => c.tagName === 'code');
-    const classNames = Array.isArray(codeEl?.properties?.className)
-      ? codeEl.properties.className.join(' ')
-      : (codeEl?.properties?.className ?? '');
-    const lang = /language-([\w-]+)/.exec(classNames)?.[1];
-    const text = (codeEl?.children ?? []).map((c) => c.value ?? '').join('');
-    return (
-      <pre className="code-block">
-        {lang && <span className="code-lang">{lang}</span>}
-        <code>{text}</code>
-      </pre>
-    );
-  },
-  // Only reached for inline code (block code fully handled in `pre`)
-  code({ children }) {
-    return <code className="inline-code">{children}</code>;
-  },
-  // Render markdown images as links to avoid outbound requests to third-party URLs
-  img({ src, alt }) {
-    return <a href={src} className="md-img-link" target="_blank" rel="noopener noreferrer">{alt || src}</a>;
-  },
-};
+function Message({ msg, focused, versions, models, busy, onSelectVersion, onEdit, onRegenerate }) {
+  const [editing, setEditing] = useState(false);
+  const [draft, setDraft] = useState('');
+  const isUser = msg.role === 'user';
+  const isSystem = msg.role === 'system';
+  if (isSystem) return null;
+
+  const versionIndex = versions.indexOf(msg);
+
+  const startEdit = () => {
+    setDraft(msg.content || '');
+    setEditing(true);
+  };
+
+  const submitEdit = () => {
+    if (!draft.trim()) return;
+    setEditing(false);
+    onEdit(draft.trim());
+  };
 
-function MessageContent({ content, pending }) {
-  if (!content) return <span className="cursor-blink">▋</span>;
-  // During streaming, render as plain text to avoid re-parsing markdown on every delta
-  if (pending) return <span className="md-streaming">{content}</span>;
   return (
-    <ReactMarkdown
-      remarkPlugins={[remarkGfm]}
-      components={markdownComponents}
-      className="md-content"
+    <div
+      id={`msg-${msg.id}`}
+      className={`message ${isUser ? 'message-user' : 'message-assistant'} ${msg.error ? 'message-error' : ''} ${focused ? 'message-focused' : ''}`}
     >
-      {content}
-    </ReactMarkdown>
+      <div className="message-meta">
+        <span className="message-role" title={msg.servedModel ? `Served by ${msg.servedModel}` : undefined}>
+          {isUser ? 'You' : (msg.model || 'Assistant')}
+        </span>
+        {msg.fallbacks?.length > 0 && (
+          <span
+            className="message-fallback"
+            title={msg.fallbacks.map((f) => `${f.from} → ${f.to}: ${f.reason}`).join('\n')}
+          >
+            ↪ fallback from {msg.requestedModel} ({msg.fallbacks[0].reason})
+          </span>
+        )}
+        {msg.retries > 0 && (
+          <span className="message-retries" title={`${msg.retries} request(s) were retried after a rate limit or server error`}>
+            🔁 {msg.retries}
+          </span>
+        )}
+        {msg.edited && <span className="message-edited">(edited)</span>}
+        {msg.premiumRequests != null && (
+          <span
+            className="message-cost"
+            title={msg.multiplier != null
+              ? `${msg.requestCount} request(s) × ${msg.multiplier}× multiplier`
+              : `${msg.requestCount} request(s) across models with different multipliers`}
+          >
+            💎 {formatPremiumRequests(msg.premiumRequests)}
+          </span>
+        )}
+        {msg.contextFit && (
+          <span
+            className="message-context-fit"
+            title={`${msg.contextFit.dropped} earlier message(s) ${msg.contextFit.strategy === 'summarize' ? 'were summarized' : 'were left out'} to fit the context window`}
+          >
+            ✂️ {msg.contextFit.strategy === 'summarize' ? 'summarized' : 'trimmed'} {msg.contextFit.dropped}
+          </span>
+        )}
+        {msg.metrics && (
+          <span
+            className="message-metrics"
+            title={`Time to first token ${formatMs(msg.metrics.ttftMs)} · total ${formatMs(msg.metrics.latencyMs)} · `
+              + `${msg.metrics.estimated ? '~' : ''}${msg.metrics.outputTokens} output tokens`}
+          >
+            ⚡ {formatMs(msg.metrics.ttftMs)}
+            {msg.metrics.tokensPerSec != null && ` · ${msg.metrics.estimated ? '~' : ''}${msg.metrics.tokensPerSec} tok/s`}
+            {` · ${formatMs(msg.metrics.latencyMs)}`}
+          </span>
+        )}
+        {FINISH_REASON_NOTES[msg.finishReason] && (
+          <span className="message-finish-reason" title={FINISH_REASON_NOTES[msg.finishReason].title}>
+            ⚠️ {FINISH_REASON_NOTES[msg.finishReason].label}
+          </span>
+        )}
+        {msg.pending && msg.retryStatus && <span className="message-retry-status">⏳ {msg.retryStatus}</span>}
+        {msg.pending && <span className="message-pending">▋</span>}
+        {versions.length > 1 && (
+          <span className="message-versions">
+            <button
+              className="version-btn"
+              onClick={() => onSelectVersion(versions[versionIndex - 1])}
+              disabled={busy || versionIndex <= 0}
+              aria-label="Previous version"
+            >
+              ‹
+            </button>
+            {versionIndex + 1}/{versions.length}
+            <button
+              className="version-btn"
+              onClick={() => onSelectVersion(versions[versionIndex + 1])}
+              disabled={busy || versionIndex >= versions.length - 1}
+              aria-label="Next version"
+            >
+              ›
+            </button>
+          </span>
+        )}
+      </div>
+      {editing ? (
+        <div className="message-edit">
+          <textarea
+            className="input textarea"
+            rows={3}
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            autoFocus
+          />
+          <div className="btn-group">
+            <button className="btn btn-primary btn-sm" onClick={submitEdit} disabled={!draft.trim() || busy}>
+              {isUser ? 'Save & Submit' : 'Save'}
+            </button>
+            <button className="btn btn-ghost btn-sm" onClick={() => setEditing(false)}>Cancel</button>
+          </div>
+        </div>
+      ) : (
+        <div className="message-content">
+          {msg.attachments?.length > 0 && (
+            <div className="message-attachments">
+              {msg.attachments.map((a) => (
+                <img key={a.id} src={a.dataUrl} alt={a.name} title={a.name} className="message-image" />
+              ))}
+            </div>
+          )}
+          {msg.reasoning && (
+            <details className="reasoning-block" open={msg.pending && !msg.content}>
+              <summary>💭 Reasoning summary</summary>
+              <MessageContent content={msg.reasoning} pending={false} />
+            </details>
+          )}
+          {msg.toolCalls?.filter((tc) => tc.name === 'run_javascript').map((tc) => (
+            <CodeRunBlock key={tc.id} call={tc} />
+          ))}
+          {msg.structured && !msg.pending ? (
+            <StructuredReply msg={msg} />
+          ) : (msg.content || !msg.attachments?.length) && (
+            <MessageContent content={msg.content} pending={msg.pending} />
+          )}
+        </div>
+      )}
+      {!msg.pending && !editing && (
+        <div className="message-actions">
+          <button className="message-action-btn" onClick={startEdit} disabled={busy} title="Edit">
+            ✏️
+          </button>
+          <button
+            className="message-action-btn"
+            onClick={() => onRegenerate()}
+            disabled={busy}
+            title={isUser ? 'Generate a new reply' : 'Regenerate'}
+          >
+            ↻
+          </button>
+          <select
+            className="message-model-select"
+            value=""
+            onChange={(e) => e.target.value && onRegenerate(e.target.value)}
+            disabled={busy}
+            title="Regenerate with a different model"
+          >
+            <option value="">↻ with model…</option>
+            {groupedModels(models).map(({ provider, models: pModels }) => (
+              <optgroup key={provider} label={provider}>
+                {pModels.map((m) => (
+                  <option key={m.id} value={m.id}>{getModelDisplayName(m)}</option>
+                ))}
+              </optgroup>
+            ))}
+          </select>
+        </div>
+      )}
+    </div>
   );
 }
@@ -0,0 +1,37 @@
+/**
+ * CodeRunBlock: collapsible view of one `run_javascript` tool call (code and output)
+ */
+
+/** Code from a recorded tool call's JSON arguments */
+function codeFromArguments(args) {
+  try {
+    const parsed = JSON.parse(args || '{}');
+    return typeof parsed.code === 'string' ? parsed.code : '';
+  } catch {
+    return args || '';
+  }
+}
+
+export default function CodeRunBlock({ call }) {
+  const code = codeFromArguments(call.arguments);
+  const running = call.result == null;
+  const failed = call.error || /(^|\n)Error: /.test(call.result || '');
+
+  return (
+    <details className={`code-run ${failed ? 'code-run-failed' : ''}`}>
+      <summary>
+        🟨 JavaScript
+        <span className="code-run-meta">
+          {running ? ' · running…' : ` · ${call.durationMs ?? '?'} ms${failed ? ' · ⚠️ error' : ''}`}
+        </span>
+      </summary>
+      <pre className="code-block"><code>{code}</code></pre>
+      {!running && (
+        <>
+          <div className="code-run-label">Output</div>
+          <pre className="code-run-output">{call.result}</pre>
+        </>
+      )}
+    </details>
+  );
+}
@@ -0,0 +1,139 @@
+/**
+ * ConversationSearch: full-text message search for the Chat sidebar.
+ * Shows matching messages while a query is entered, otherwise renders its children
+ * (the regular conversation list).
+ */
+import { useState, useEffect, useMemo } from 'react';
+import { loadStoredMessagesIntoIndex, searchMessages, syncSearchIndex } from '../utils/searchIndex.js';
+import { getModelDisplayName, groupedModels } from '../utils/models.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Local midnight of a yyyy-mm-dd date input value */
+function startOfDay(value) {
+  return new Date(`${value}T00:00:00`).getTime();
+}
+
+export default function ConversationSearch({ conversations, models, onOpenResult, children }) {
+  const [query, setQuery] = useState('');
+  const [showFilters, setShowFilters] = useState(false);
+  const [role, setRole] = useState('');
+  const [model, setModel] = useState('');
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+  const [indexReady, setIndexReady] = useState(false);
+  const [indexError, setIndexError] = useState('');
+
+  // Seed the index with messages of conversations that have not been opened yet
+  useEffect(() => {
+    let cancelled = false;
+    loadStoredMessagesIntoIndex()
+      .then(() => { if (!cancelled) setIndexReady(true); })
+      .catch((err) => { if (!cancelled) setIndexError(`Search index unavailable: ${err.message}`); });
+    return () => { cancelled = true; };
+  }, []);
+
+  const results = useMemo(() => {
+    // Incremental: only messages that changed since the last render are re-indexed
+    syncSearchIndex(conversations);
+    if (!query.trim() || !indexReady) return [];
+    return searchMessages(query, {
+      role,
+      model,
+      from: from ? startOfDay(from) : null,
+      to: to ? startOfDay(to) + DAY_MS : null,
+    });
+  }, [conversations, query, role, model, from, to, indexReady]);
+
+  const filterCount = [role, model, from, to].filter(Boolean).length;
+  const searching = Boolean(query.trim());
+
+  const clearFilters = () => {
+    setRole('');
+    setModel('');
+    setFrom('');
+    setTo('');
+  };
+
+  return (
+    <>
+      <div className="conv-search">
+        <div className="conv-search-bar">
+          <input
+            type="search"
+            className="input input-sm"
+            placeholder="Search messages…"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            aria-label="Search messages"
+          />
+          <button
+            className={`conv-search-filter-btn ${filterCount ? 'active' : ''}`}
+            onClick={() => setShowFilters((v) => !v)}
+            title="Search filters"
+            aria-expanded={showFilters}
+          >
+            ⚙{filterCount > 0 && <span className="conv-search-filter-count">{filterCount}</span>}
+          </button>
+        </div>
+        {showFilters && (
+          <div className="conv-search-filters">
+            <select className="input input-sm" value={role} onChange={(e) => setRole(e.target.value)}>
+              <option value="">All roles</option>
+              <option value="user">You</option>
+              <option value="assistant">Assistant</option>
+            </select>
+            <select className="input input-sm" value={model} onChange={(e) => setModel(e.target.value)}>
+              <option value="">All models</option>
+              {groupedModels(models).map(({ provider, models: pModels }) => (
+                <optgroup key={provider} label={provider}>
+                  {pModels.map((m) => (
+                    <option key={m.id} value={m.id}>{getModelDisplayName(m)}</option>
+                  ))}
+                </optgroup>
+              ))}
+            </select>
+            <label>
+              From
+              <input type="date" className="input input-sm" value={from} onChange={(e) => setFrom(e.target.value)} />
+            </label>
+            <label>
+              To
+              <input type="date" className="input input-sm" value={to} onChange={(e) => setTo(e.target.value)} />
+            </label>
+            {filterCount > 0 && (
+              <button className="link-btn conv-search-clear" onClick={clearFilters}>Clear filters</button>
+            )}
+          </div>
+        )}
+      </div>
+
+      {searching ? (
+        <div className="conv-list">
+          {indexError && <p className="conv-empty text-error">{indexError}</p>}
+          {!indexReady && !indexError && <p className="conv-empty">Indexing conversations…</p>}
+          {indexReady && results.length === 0 && <p className="conv-empty">No matching messages.</p>}
+          {results.map((r) => (
+            <div
+              key={r.messageId}
+              className="conv-item search-result"
+              onClick={() => onOpenResult(r.convId, r.messageId)}
+              role="button"
+              tabIndex={0}
+              onKeyDown={(e) => e.key === 'Enter' && onOpenResult(r.convId, r.messageId)}
+            >
+              <div className="conv-title">{r.title}</div>
+              <div className="search-result-meta">
+                {r.role === 'user' ? 'You' : (r.model || 'Assistant')}
+                {r.createdAt ? ` · ${new Date(r.createdAt).toLocaleDateString()}` : ''}
+              </div>
+              <div className="search-result-snippet">
+                {r.snippet.map((part, i) => (part.match ? <mark key={i}>{part.text}</mark> : <span key={i}>{part.text}</span>))}
+              </div>
+            </div>
+          ))}
+        </div>
+      ) : children}
+    </>
+  );
+}
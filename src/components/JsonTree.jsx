@@ -0,0 +1,44 @@
+/**
+ * JsonTree: collapsible view of a parsed JSON value (structured output replies)
+ */
+
+// Levels expanded initially; deeper objects and arrays start collapsed
+const OPEN_DEPTH = 2;
+
+function summary(value) {
+  return Array.isArray(value) ? `[${value.length}]` : `{${Object.keys(value).length}}`;
+}
+
+function Leaf({ value }) {
+  const type = value === null ? 'null' : typeof value;
+  return <span className={`json-${type}`}>{JSON.stringify(value)}</span>;
+}
+
+function Node({ name, value, depth }) {
+  const label = name != null && <span className="json-key">{name}: </span>;
+  if (value === null || typeof value !== 'object') {
+    return <div className="json-row">{label}<Leaf value={value} /></div>;
+  }
+  const entries = Array.isArray(value) ? value.map((v, i) => [i, v]) : Object.entries(value);
+  if (!entries.length) {
+    return <div className="json-row">{label}<span className="json-empty">{Array.isArray(value) ? '[]' : '{}'}</span></div>;
+  }
+  return (
+    <details className="json-node" open={depth < OPEN_DEPTH}>
+      <summary className="json-row">{label}<span className="json-summary">{summary(value)}</span></summary>
+      <div className="json-children">
+        {entries.map(([key, child]) => (
+          <Node key={key} name={key} value={child} depth={depth + 1} />
+        ))}
+      </div>
+    </details>
+  );
+}
+
+export default function JsonTree({ value }) {
+  return (
+    <div className="json-tree">
+      <Node name={null} value={value} depth={0} />
+    </div>
+  );
+}
@@ -0,0 +1,86 @@
+/**
+ * Leaderboard: Elo ratings from blind A/B votes in the Chat arena, per prompt category
+ */
+import { useState, useEffect, useMemo } from 'react';
+import { listArenaRuns } from '../utils/arenaStore.js';
+import { computeLeaderboard, PROMPT_CATEGORIES } from '../utils/leaderboard.js';
+import { getModelDisplayName } from '../utils/models.js';
+
+export default function Leaderboard({ models }) {
+  const [runs, setRuns] = useState([]);
+  const [error, setError] = useState('');
+  const [category, setCategory] = useState('all');
+
+  useEffect(() => {
+    let cancelled = false;
+    listArenaRuns()
+      .then((data) => { if (!cancelled) setRuns(data); })
+      .catch((err) => { if (!cancelled) setError(err.message); });
+    return () => { cancelled = true; };
+  }, []);
+
+  const rows = useMemo(() => computeLeaderboard(runs, category), [runs, category]);
+  const voteCount = rows.reduce((sum, r) => sum + r.games, 0) / 2;
+
+  const modelName = (id) => {
+    const m = models.find((x) => x.id === id);
+    return m ? getModelDisplayName(m) : id;
+  };
+
+  return (
+    <div className="provider-section leaderboard">
+      <h3 className="provider-title">🏆 Arena Leaderboard</h3>
+      <div className="filter-tabs leaderboard-tabs">
+        {[{ id: 'all', label: 'All' }, ...PROMPT_CATEGORIES].map((c) => (
+          <button
+            key={c.id}
+            className={`filter-tab ${category === c.id ? 'active' : ''}`}
+            onClick={() => setCategory(c.id)}
+          >
+            {c.label}
+          </button>
+        ))}
+      </div>
+      {error && <p className="text-error">⚠️ {error}</p>}
+      {!error && rows.length === 0 ? (
+        <p className="no-results">
+          No votes{category === 'all' ? '' : ' in this category'} yet. Run a blind A/B comparison in the Chat arena (⚔️) to rank models.
+        </p>
+      ) : (
+        <>
+          <table className="leaderboard-table">
+            <thead>
+              <tr>
+                <th>#</th>
+                <th>Model</th>
+                <th title="Elo rating (starts at 1000)">Rating</th>
+                <th>Votes</th>
+                <th>W</th>
+                <th>L</th>
+                <th>Tie</th>
+                <th title="Both replies judged bad">Both bad</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((r, i) => (
+                <tr key={r.model}>
+                  <td>{i + 1}</td>
+                  <td>{modelName(r.model)}</td>
+                  <td className="leaderboard-rating">{r.rating}</td>
+                  <td>{r.games}</td>
+                  <td>{r.wins}</td>
+                  <td>{r.losses}</td>
+                  <td>{r.ties}</td>
+                  <td>{r.bothBad}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p className="leaderboard-note">
+            Based on {voteCount} blind vote{voteCount === 1 ? '' : 's'} stored in this browser. Ties and “both bad” count as draws.
+          </p>
+        </>
+      )}
+    </div>
+  );
+}
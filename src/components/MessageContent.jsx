@@ -0,0 +1,47 @@
+/**
+ * MessageContent: renders a chat reply as Markdown (plain text while it is still streaming)
+ */
+import ReactMarkdown from 'react-markdown';
+import remarkGfm from 'remark-gfm';
+
+const markdownComponents = {
+  // Handle ALL block code via the pre override (extracts content from hast AST directly,
+  // so the code override below is only ever reached for inline code)
+  pre({ node }) {
+    const codeEl = node?.children?.find((c) => c.tagName === 'code');
+    const classNames = Array.isArray(codeEl?.properties?.className)
+      ? codeEl.properties.className.join(' ')
+      : (codeEl?.properties?.className ?? '');
+    const lang = /language-([\w-]+)/.exec(classNames)?.[1];
+    const text = (codeEl?.children ?? []).map((c) => c.value ?? '').join('');
+    return (
+      <pre className="code-block">
+        {lang && <span className="code-lang">{lang}</span>}
+        <code>{text}</code>
+      </pre>
+    );
+  },
+  // Only reached for inline code (block code fully handled in `pre`)
+  code({ children }) {
+    return <code className="inline-code">{children}</code>;
+  },
+  // Render markdown images as links to avoid outbound requests to third-party URLs
+  img({ src, alt }) {
+    return <a href={src} className="md-img-link" target="_blank" rel="noopener noreferrer">{alt || src}</a>;
+  },
+};
+
+export default function MessageContent({ content, pending }) {
+  if (!content) return <span className="cursor-blink">▋</span>;
+  // During streaming, render as plain text to avoid re-parsing markdown on every delta
+  if (pending) return <span className="md-streaming">{content}</span>;
+  return (
+    <ReactMarkdown
+      remarkPlugins={[remarkGfm]}
+      components={markdownComponents}
+      className="md-content"
+    >
+      {content}
+    </ReactMarkdown>
+  );
+}
@@ -0,0 +1,227 @@
+/**
+ * ModelCatalogSettings: source of the fallback model catalog (bundled, URL or file) and
+ * per-model overrides for tier, multiplier and display name (settings section; see
+ * utils/modelCatalog.js)
+ */
+import { useState } from 'react';
+import {
+  CATALOG_SCHEMA_VERSION,
+  fetchCatalog,
+  loadCatalogSettings,
+  parseCatalogText,
+  resolveCatalog,
+  saveCatalogSettings,
+  validateCatalogEntry,
+} from '../utils/modelCatalog.js';
+import { downloadFile } from '../utils/conversationTransfer.js';
+import { getModelDisplayName } from '../utils/models.js';
+
+const SOURCE_LABELS = { bundled: 'Bundled', url: 'URL', file: 'File' };
+
+const EMPTY_OVERRIDE = { id: '', tier: '', multiplier: '', name: '' };
+
+/** Override form fields → catalog entry (blank fields are not overridden) */
+function toEntry(form) {
+  const entry = {};
+  if (form.tier) entry.tier = form.tier;
+  if (form.multiplier !== '') entry.multiplier = Number(form.multiplier);
+  if (form.name.trim()) entry.name = form.name.trim();
+  return entry;
+}
+
+export default function ModelCatalogSettings({ models = [], onChange }) {
+  const [settings, setSettings] = useState(loadCatalogSettings);
+  const [mode, setMode] = useState(settings.source);
+  const [urlInput, setUrlInput] = useState(settings.url);
+  const [loading, setLoading] = useState(false);
+  const [errors, setErrors] = useState([]);
+  const [form, setForm] = useState(EMPTY_OVERRIDE);
+  const [formErrors, setFormErrors] = useState([]);
+
+  const catalog = resolveCatalog(settings);
+  const overrides = Object.entries(settings.overrides);
+  const knownIds = [...new Set([...models.map((m) => m.id), ...Object.keys(catalog.models)])].sort();
+
+  const update = (next) => {
+    saveCatalogSettings(next);
+    setSettings(next);
+    onChange?.();
+  };
+
+  const changeMode = (next) => {
+    setMode(next);
+    setErrors([]);
+    if (next === 'bundled') update({ ...settings, source: 'bundled', custom: null, loadedAt: null });
+  };
+
+  const loadUrl = async () => {
+    const url = urlInput.trim();
+    if (!url) return;
+    setLoading(true);
+    setErrors([]);
+    try {
+      const custom = await fetchCatalog(url);
+      update({ ...settings, source: 'url', url, custom, loadedAt: Date.now() });
+    } catch (err) {
+      setErrors([err.message]);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadFile = async (file) => {
+    setErrors([]);
+    const { catalog: custom, errors: fileErrors } = parseCatalogText(await file.text());
+    if (!custom) {
+      setErrors(fileErrors);
+      return;
+    }
+    update({ ...settings, source: 'file', custom, loadedAt: Date.now() });
+  };
+
+  const saveOverride = () => {
+    const id = form.id.trim();
+    const entry = toEntry(form);
+    const problems = validateCatalogEntry(entry);
+    if (!id) problems.unshift('Enter a model id');
+    if (!Object.keys(entry).length) problems.push('Set at least one of tier, multiplier or name');
+    setFormErrors(problems);
+    if (problems.length) return;
+    update({ ...settings, overrides: { ...settings.overrides, [id]: entry } });
+    setForm(EMPTY_OVERRIDE);
+  };
+
+  const editOverride = (id) => {
+    const entry = settings.overrides[id];
+    setForm({ id, tier: entry.tier || '', multiplier: entry.multiplier != null ? String(entry.multiplier) : '', name: entry.name || '' });
+    setFormErrors([]);
+  };
+
+  const removeOverride = (id) => {
+    const { [id]: _removed, ...rest } = settings.overrides;
+    update({ ...settings, overrides: rest });
+  };
+
+  const exportCatalog = () => {
+    const version = overrides.length ? `${catalog.version}+local` : catalog.version;
+    const data = { schemaVersion: CATALOG_SCHEMA_VERSION, version, models: catalog.models };
+    downloadFile(`model-catalog-${version}.json`, `${JSON.stringify(data, null, 2)}\n`, 'application/json');
+  };
+
+  const modelLabel = (id) => {
+    const m = models.find((x) => x.id === id);
+    return m ? getModelDisplayName(m) : id;
+  };
+
+  return (
+    <section className="settings-section">
+      <h3>📚 Model Catalog</h3>
+      <p className="settings-hint catalog-status">
+        Active: <strong>{SOURCE_LABELS[catalog.source]}</strong> catalog v{catalog.version} ·{' '}
+        {Object.keys(catalog.models).length} models
+        {settings.source !== 'bundled' && settings.loadedAt && ` · loaded ${new Date(settings.loadedAt).toLocaleString()}`}
+        {overrides.length > 0 && ` · ${overrides.length} override${overrides.length === 1 ? '' : 's'}`}
+      </p>
+      <div className="form-group settings-inline">
+        {Object.entries(SOURCE_LABELS).map(([key, label]) => (
+          <label key={key}>
+            <input type="radio" name="catalog-source" checked={mode === key} onChange={() => changeMode(key)} />
+            {label}
+          </label>
+        ))}
+      </div>
+      {mode === 'url' && (
+        <div className="form-group settings-inline">
+          <input
+            type="url"
+            className="input catalog-url-input"
+            placeholder="https://example.com/model-catalog.json"
+            value={urlInput}
+            onChange={(e) => setUrlInput(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && loadUrl()}
+          />
+          <button className="btn btn-secondary btn-sm" onClick={loadUrl} disabled={loading || !urlInput.trim()}>
+            {loading ? 'Loading…' : settings.source === 'url' && urlInput.trim() === settings.url ? '🔄 Reload' : 'Load'}
+          </button>
+        </div>
+      )}
+      {mode === 'file' && (
+        <div className="form-group">
+          <input
+            type="file"
+            accept=".json,application/json"
+            onChange={(e) => {
+              if (e.target.files?.[0]) loadFile(e.target.files[0]);
+              e.target.value = '';
+            }}
+          />
+        </div>
+      )}
+      {errors.length > 0 && (
+        <ul className="text-error catalog-errors">
+          {errors.slice(0, 10).map((e, i) => <li key={i}>{e}</li>)}
+        </ul>
+      )}
+      <small className="form-hint">
+        Fallback tier, multiplier and display name per model id, used when the models API doesn&rsquo;t supply them
+        (live billing data always wins; display names replace the API name). A URL catalog is re-fetched once a day;
+        an invalid catalog is rejected and the previous one stays active. Export the current catalog for the format.
+      </small>
+
+      <h4 className="catalog-subtitle">Overrides</h4>
+      {overrides.length > 0 && (
+        <ul className="catalog-overrides">
+          {overrides.map(([id, entry]) => (
+            <li key={id}>
+              <span className="catalog-override-model">
+                {modelLabel(id)}
+                <span className="catalog-override-fields">
+                  {[entry.tier, entry.multiplier != null && `${entry.multiplier}×`, entry.name && `“${entry.name}”`]
+                    .filter(Boolean)
+                    .join(' · ')}
+                </span>
+              </span>
+              <button className="btn btn-ghost btn-sm" onClick={() => editOverride(id)} aria-label="Edit">✎</button>
+              <button className="btn btn-ghost btn-sm" onClick={() => removeOverride(id)} aria-label="Remove">✕</button>
+            </li>
+          ))}
+        </ul>
+      )}
+      <div className="form-group settings-inline">
+        <input
+          className="input input-sm"
+          list="catalog-model-ids"
+          placeholder="Model id"
+          value={form.id}
+          onChange={(e) => setForm({ ...form, id: e.target.value })}
+        />
+        <datalist id="catalog-model-ids">
+          {knownIds.map((id) => <option key={id} value={id} />)}
+        </datalist>
+        <select className="input input-sm" value={form.tier} onChange={(e) => setForm({ ...form, tier: e.target.value })}>
+          <option value="">Tier…</option>
+          <option value="premium">Premium</option>
+          <option value="standard">Standard</option>
+        </select>
+        <input
+          type="number"
+          className="input input-sm catalog-multiplier-input"
+          min="0"
+          step="0.01"
+          placeholder="Multiplier"
+          value={form.multiplier}
+          onChange={(e) => setForm({ ...form, multiplier: e.target.value })}
+        />
+        <input
+          className="input input-sm"
+          placeholder="Display name"
+          value={form.name}
+          onChange={(e) => setForm({ ...form, name: e.target.value })}
+        />
+        <button className="btn btn-secondary btn-sm" onClick={saveOverride}>Save override</button>
+      </div>
+      {formErrors.length > 0 && <p className="text-error">{formErrors.join('; ')}</p>}
+      <button className="btn btn-secondary btn-sm" onClick={exportCatalog}>⬇️ Export catalog</button>
+    </section>
+  );
+}
@@ -0,0 +1,66 @@
+/**
+ * ModelCompare: side-by-side spec sheet of 2–4 models selected in the table view;
+ * rows whose values differ are highlighted
+ */
+import { CAPABILITY_BADGES, getModelDisplayName } from '../utils/models.js';
+import { MODEL_COLUMNS } from '../utils/modelTable.js';
+
+const SPEC_ROWS = [
+  ...MODEL_COLUMNS.filter((c) => c.key !== 'model' && c.key !== 'capabilities').map((c) => ({
+    key: c.key,
+    label: c.title || c.label,
+    format: c.format,
+  })),
+  ...CAPABILITY_BADGES.map((b) => ({
+    key: b.key,
+    label: `${b.icon} ${b.title}`,
+    format: (m) => (b.has(m) ? '✓' : '—'),
+  })),
+  {
+    key: 'reasoningEfforts',
+    label: 'Reasoning effort levels',
+    format: (m) => (m.reasoningEfforts?.length ? m.reasoningEfforts.join(', ') : '—'),
+  },
+  {
+    key: 'supportedEndpoints',
+    label: 'Endpoints',
+    format: (m) => (m.supportedEndpoints?.length ? m.supportedEndpoints.join(', ') : '—'),
+  },
+];
+
+export default function ModelCompare({ models, onRemove, onClose }) {
+  return (
+    <div className="provider-section leaderboard model-compare">
+      <h3 className="provider-title">
+        ⚖️ 规格对比
+        <button className="btn btn-ghost btn-sm model-compare-close" onClick={onClose} aria-label="关闭对比">✕</button>
+      </h3>
+      <table className="leaderboard-table model-compare-table">
+        <thead>
+          <tr>
+            <th />
+            {models.map((m) => (
+              <th key={m.id}>
+                {getModelDisplayName(m)}
+                <button className="model-compare-remove" onClick={() => onRemove(m.id)} aria-label={`移除 ${m.id}`}>✕</button>
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {SPEC_ROWS.map((row) => {
+            const values = models.map((m) => row.format(m));
+            const differs = new Set(values).size > 1;
+            return (
+              <tr key={row.key} className={differs ? 'model-compare-diff' : ''}>
+                <td className="model-compare-label">{row.label}</td>
+                {values.map((v, i) => <td key={models[i].id}>{v}</td>)}
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+      <p className="leaderboard-note">高亮行表示所选模型之间存在差异。</p>
+    </div>
+  );
+}
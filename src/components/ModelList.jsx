@@ -1,10 +1,23 @@
 /**
  * ModelList: Shows all available GitHub Copilot models with metadata and rates
  */
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import CatalogChanges, { ChangeBadge } from './CatalogChanges.jsx';
+import Leaderboard from './Leaderboard.jsx';
+import ModelPerformance from './ModelPerformance.jsx';
+import ModelTable from './ModelTable.jsx';
 import { fetchModels } from '../api/copilot.js';
 import { fetchAnnualPlanMultipliers, applyAnnualPlanMultipliers, ANNUAL_PLAN_EFFECTIVE_DATE } from '../api/docMultipliers.js';
-import { MAIN_PROVIDERS, PROVIDER_ORDER, OTHER_PROVIDER, sortModels } from '../utils/models.js';
+import {
+  clearCatalogHistory,
+  listCatalogSnapshots,
+  notifyCatalogChanges,
+  recentChangesByModel,
+  recordCatalogSnapshot,
+} from '../utils/catalogHistory.js';
+import { readModelCache, writeModelCache } from '../utils/modelCache.js';
+import { loadModelView, saveModelView } from '../utils/modelTable.js';
+import { CAPABILITY_BADGES, MAIN_PROVIDERS, formatTokenLimit, PROVIDER_ORDER, OTHER_PROVIDER, sortModels } from '../utils/models.js';
 
 const TIER_BADGE = {
   premium: { label: 'Premium', className: 'badge-premium' },
@@ -12,14 +25,20 @@ const TIER_BADGE = {
   standard: { label: 'Standard', className: 'badge-standard' },
 };
 
-export default function ModelList({ copilotToken, onSelectModel, selectedModelId }) {
-  const [models, setModels] = useState([]);
-  const [loading, setLoading] = useState(true);
+export default function ModelList({ copilotToken, username, onSelectModel, selectedModelId }) {
+  // The persisted list renders right away and is revalidated in the background
+  const [cached] = useState(() => readModelCache(username));
+  const [models, setModels] = useState(() => cached?.models || []);
+  const [cachedAt, setCachedAt] = useState(() => (cached ? new Date(cached.savedAt) : null)); // set while showing the persisted list
+  const [loading, setLoading] = useState(!cached);
   const [error, setError] = useState('');
   const [filter, setFilter] = useState('all'); // 'all' | 'premium' | 'standard'
   const [search, setSearch] = useState('');
+  const [capabilityFilter, setCapabilityFilter] = useState([]); // badge keys a model must all have
   const [syncing, setSyncing] = useState(false);
-  const [lastSyncedAt, setLastSyncedAt] = useState(null);
+  const [lastSyncedAt, setLastSyncedAt] = useState(() => (cached ? new Date(cached.savedAt) : null));
+  const [snapshots, setSnapshots] = useState([]);
+  const [modelView, setModelView] = useState(loadModelView); // cards or table, table columns
 
   const fetchEnrichedModels = useCallback(async (options = {}) => {
     const [data, annualMultipliers] = await Promise.all([
@@ -33,41 +52,66 @@ export default function ModelList({ copilotToken, onSelectModel, selectedModelId
     return annualMultipliers ? applyAnnualPlanMultipliers(data, annualMultipliers) : data;
   }, [copilotToken]);
 
-  const load = useCallback(async () => {
-    setLoading(true);
+  // Diff the fetched catalog against the last snapshot; history is best-effort
+  const trackCatalog = useCallback(async (data) => {
+    try {
+      const { changes, baseline } = await recordCatalogSnapshot(data);
+      if (!baseline) notifyCatalogChanges(changes);
+      setSnapshots(await listCatalogSnapshots());
+    } catch (err) {
+      console.warn('[CopilotApp] Failed to record model catalog snapshot:', err);
+    }
+  }, []);
+
+  // Fetch the live list; on failure whatever is on screen stays there
+  const revalidate = useCallback(async (options = {}) => {
+    setSyncing(true);
     setError('');
     try {
-      const data = await fetchEnrichedModels();
+      const data = await fetchEnrichedModels(options);
       setModels(data);
       setLastSyncedAt(new Date());
+      setCachedAt(null);
+      writeModelCache(username, data);
+      trackCatalog(data);
     } catch (err) {
       setError(err.message);
     } finally {
+      setSyncing(false);
       setLoading(false);
     }
-  }, [fetchEnrichedModels]);
+  }, [fetchEnrichedModels, trackCatalog, username]);
 
   useEffect(() => {
     if (!copilotToken) return;
-    load();
-  }, [copilotToken, load]);
+    revalidate();
+  }, [copilotToken, revalidate]);
 
-  const handleSync = async () => {
-    setSyncing(true);
-    setError('');
+  // Coming back online after a failed refresh: try again
+  useEffect(() => {
+    if (!error) return;
+    const onOnline = () => revalidate();
+    window.addEventListener('online', onOnline);
+    return () => window.removeEventListener('online', onOnline);
+  }, [error, revalidate]);
+
+  const handleSync = () => revalidate({ forceRefresh: true });
+
+  const handleClearHistory = async () => {
+    if (!window.confirm('清除所有模型目录快照？下次同步将重新建立基线。')) return;
     try {
-      const data = await fetchEnrichedModels({ forceRefresh: true });
-      setModels(data);
-      setLastSyncedAt(new Date());
+      await clearCatalogHistory();
+      setSnapshots([]);
     } catch (err) {
-      setError(err.message);
-    } finally {
-      setSyncing(false);
+      console.warn('[CopilotApp] Failed to clear model catalog history:', err);
     }
   };
 
+  const recentChanges = useMemo(() => recentChangesByModel(snapshots), [snapshots]);
+
   const filtered = models.filter((m) => {
     if (filter !== 'all' && m.tier !== filter) return false;
+    if (capabilityFilter.some((key) => !CAPABILITY_BADGES.find((b) => b.key === key).has(m))) return false;
     if (search) {
       const q = search.toLowerCase();
       if (!m.id.toLowerCase().includes(q) && !m.name?.toLowerCase().includes(q)) return false;
@@ -98,7 +142,17 @@ export default function ModelList({ copilotToken, onSelectModel, selectedModelId
     return ia - ib;
   });
 
-  if (loading || syncing) {
+  const updateModelView = (patch) => {
+    const next = { ...modelView, ...patch };
+    saveModelView(next);
+    setModelView(next);
+  };
+
+  const toggleCapability = (key) => {
+    setCapabilityFilter((prev) => (prev.includes(key) ? prev.filter((k) => k !== key) : [...prev, key]));
+  };
+
+  if (loading) {
     return (
       <div className="models-loading">
         <div className="spinner" />
@@ -107,11 +161,11 @@ export default function ModelList({ copilotToken, onSelectModel, selectedModelId
     );
   }
 
-  if (error) {
+  if (error && !models.length) {
     return (
       <div className="models-error">
         <p>⚠️ {error}</p>
-        <button className="btn btn-secondary btn-sm" onClick={load}>Retry</button>
+        <button className="btn btn-secondary btn-sm" onClick={() => { setLoading(true); revalidate(); }}>Retry</button>
       </div>
     );
   }
@@ -124,7 +178,7 @@ export default function ModelList({ copilotToken, onSelectModel, selectedModelId
           <button
             className="btn btn-secondary btn-sm"
             onClick={handleSync}
-            disabled={syncing || loading}
+            disabled={syncing}
             aria-label={syncing ? '正在同步模型' : '同步模型'}
           >
             {syncing ? '⏳' : '🔄'} 同步
@@ -136,6 +190,18 @@ export default function ModelList({ copilotToken, onSelectModel, selectedModelId
             value={search}
             onChange={(e) => setSearch(e.target.value)}
           />
+          <div className="filter-tabs" role="group" aria-label="显示方式">
+            {[['cards', '▦ 卡片'], ['table', '☷ 表格']].map(([v, label]) => (
+              <button
+                key={v}
+                className={`filter-tab ${modelView.view === v ? 'active' : ''}`}
+                onClick={() => updateModelView({ view: v })}
+                aria-pressed={modelView.view === v}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
           <div className="filter-tabs">
             {['all', 'premium', 'standard'].map((f) => (
               <button
@@ -149,9 +215,47 @@ export default function ModelList({ copilotToken, onSelectModel, selectedModelId
           </div>
         </div>
       </div>
+      {(cachedAt || error) && (
+        <div className={`models-stale ${error ? 'models-stale-error' : ''}`} role="status">
+          {error ? (
+            <>
+              {typeof navigator !== 'undefined' && navigator.onLine === false ? '📴 离线' : '⚠️ 更新失败'}：显示的是{' '}
+              {(cachedAt || lastSyncedAt)?.toLocaleString('zh-CN')} 的模型数据（{error}）
+              <button className="btn btn-secondary btn-sm" onClick={() => revalidate()} disabled={syncing}>重试</button>
+            </>
+          ) : (
+            <>⏳ 显示的是 {cachedAt.toLocaleString('zh-CN')} 缓存的模型数据，正在后台更新…</>
+          )}
+        </div>
+      )}
+      <div className="capability-filter" role="group" aria-label="按能力筛选">
+        {CAPABILITY_BADGES.map((b) => (
+          <button
+            key={b.key}
+            className={`capability-badge capability-toggle ${capabilityFilter.includes(b.key) ? 'active' : ''}`}
+            onClick={() => toggleCapability(b.key)}
+            title={`${b.title}（点击筛选）`}
+            aria-pressed={capabilityFilter.includes(b.key)}
+          >
+            {b.icon} {b.label}
+          </button>
+        ))}
+      </div>
+
+      <CatalogChanges snapshots={snapshots} onClear={handleClearHistory} />
 
       {Object.keys(sortedGrouped).length === 0 ? (
         <p className="no-results">No models match your filter.</p>
+      ) : modelView.view === 'table' ? (
+        <ModelTable
+          models={filtered}
+          allModels={models}
+          columns={modelView.columns}
+          onColumnsChange={(columns) => updateModelView({ columns })}
+          recentChanges={recentChanges}
+          selectedModelId={selectedModelId}
+          onSelectModel={onSelectModel}
+        />
       ) : (
         sortedProviders.map((provider) => {
           const providerModels = sortedGrouped[provider];
@@ -168,6 +272,7 @@ export default function ModelList({ copilotToken, onSelectModel, selectedModelId
                   <ModelCard
                     key={model.id}
                     model={model}
+                    changes={recentChanges.get(model.id)}
                     isSelected={model.id === selectedModelId}
                     onSelect={() => onSelectModel(model)}
                   />
@@ -178,6 +283,9 @@ export default function ModelList({ copilotToken, onSelectModel, selectedModelId
         })
       )}
 
+      <Leaderboard models={models} />
+      <ModelPerformance models={models} />
+
       <div className="models-footnote">
         <p>
           <strong>Premium</strong> models consume monthly premium request quota (multiplied by each model's rate).{' '}
@@ -211,7 +319,7 @@ export default function ModelList({ copilotToken, onSelectModel, selectedModelId
   );
 }
 
-function ModelCard({ model, isSelected, onSelect }) {
+function ModelCard({ model, changes, isSelected, onSelect }) {
   const [showInfo, setShowInfo] = useState(false);
 
   const badgeKey =
@@ -219,11 +327,8 @@ function ModelCard({ model, isSelected, onSelect }) {
       ? 'premium-expensive'
       : model.tier;
   const tierInfo = TIER_BADGE[badgeKey] || TIER_BADGE.standard;
-  const ctxDisplay = model.contextWindow
-    ? model.contextWindow >= 1000000
-      ? `${(model.contextWindow / 1000000).toFixed(1)}M`
-      : `${Math.round(model.contextWindow / 1000)}k`
-    : '—';
+  const ctxDisplay = model.contextWindow ? formatTokenLimit(model.contextWindow) : '—';
+  const capabilities = CAPABILITY_BADGES.filter((b) => b.has(model));
 
   const displayName = model.name && model.name !== model.id ? model.name : null;
   const annualPlanBaseline = model.annualPlanCurrentMultiplier ?? model.multiplier;
@@ -252,6 +357,7 @@ function ModelCard({ model, isSelected, onSelect }) {
           {displayName && <span className="model-id-sub">{model.id}</span>}
         </div>
         <div className="model-card-header-right">
+          {changes?.map((c) => <ChangeBadge key={c.type} change={c} />)}
           <span className={`badge ${tierInfo.className}`}>{tierInfo.label}</span>
           <button
             className="model-info-btn"
@@ -276,6 +382,12 @@ function ModelCard({ model, isSelected, onSelect }) {
           <span className="meta-label">Context</span>
           <span className="meta-value">{ctxDisplay}</span>
         </div>
+        {model.maxOutputTokens != null && (
+          <div className="meta-item">
+            <span className="meta-label">Output</span>
+            <span className="meta-value">{formatTokenLimit(model.maxOutputTokens)}</span>
+          </div>
+        )}
         {model.tier === 'premium' && model.multiplier != null && model.multiplier > 0 && (
           <div className="meta-item">
             <span className="meta-label">Rate</span>
@@ -318,6 +430,14 @@ function ModelCard({ model, isSelected, onSelect }) {
         )}
       </div>
 
+      {capabilities.length > 0 && (
+        <div className="capability-badges">
+          {capabilities.map((b) => (
+            <span key={b.key} className="capability-badge" title={b.title}>{b.icon} {b.label}</span>
+          ))}
+        </div>
+      )}
+
       {isSelected && (
         <div className="model-selected-indicator">✓ Selected for Chat</div>
       )}
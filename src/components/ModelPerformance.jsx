@@ -0,0 +1,71 @@
+/**
+ * ModelPerformance: real-world speed per model (median time to first token, output
+ * tokens per second and request duration), aggregated from the local usage ledger
+ */
+import { useState, useEffect, useMemo } from 'react';
+import { listLedgerEntries } from '../utils/usageLedger.js';
+import { formatMs, summarizeModelPerformance } from '../utils/replyMetrics.js';
+import { getModelDisplayName } from '../utils/models.js';
+
+export default function ModelPerformance({ models }) {
+  const [entries, setEntries] = useState([]);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    listLedgerEntries(0, Date.now() + 1)
+      .then((data) => { if (!cancelled) setEntries(data); })
+      .catch((err) => { if (!cancelled) setError(err.message); });
+    return () => { cancelled = true; };
+  }, []);
+
+  const rows = useMemo(
+    () => [...summarizeModelPerformance(entries)]
+      .map(([model, stats]) => ({ model, ...stats }))
+      .sort((a, b) => (b.tokensPerSec ?? -1) - (a.tokensPerSec ?? -1)),
+    [entries],
+  );
+
+  const modelName = (id) => {
+    const m = models.find((x) => x.id === id);
+    return m ? getModelDisplayName(m) : id;
+  };
+
+  return (
+    <div className="provider-section leaderboard">
+      <h3 className="provider-title">⚡ Speed</h3>
+      {error && <p className="text-error">⚠️ {error}</p>}
+      {!error && rows.length === 0 ? (
+        <p className="no-results">No timed requests yet. Speed is measured on every streamed Chat and Arena reply.</p>
+      ) : (
+        <>
+          <table className="leaderboard-table">
+            <thead>
+              <tr>
+                <th>Model</th>
+                <th title="Median time to first token">TTFT</th>
+                <th title="Median output tokens per second, after the first token">Tok/s</th>
+                <th title="Median total request duration">Duration</th>
+                <th>Requests</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((r) => (
+                <tr key={r.model}>
+                  <td>{modelName(r.model)}</td>
+                  <td>{formatMs(r.ttftMs)}</td>
+                  <td className="leaderboard-rating">{r.tokensPerSec != null ? r.tokensPerSec.toFixed(1) : '—'}</td>
+                  <td>{formatMs(r.durationMs)}</td>
+                  <td>{r.samples}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p className="leaderboard-note">
+            Medians over requests recorded in this browser&apos;s usage ledger. Clearing the ledger resets them.
+          </p>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,124 @@
+/**
+ * ModelTable: table mode of the Models tab — sortable, configurable columns, CSV export
+ * and selection of 2–4 models for a side-by-side spec sheet
+ */
+import { useState, useMemo } from 'react';
+import ModelCompare from './ModelCompare.jsx';
+import { ChangeBadge } from './CatalogChanges.jsx';
+import { MODEL_COLUMNS, getVisibleColumns, modelsToCsv, sortByColumn } from '../utils/modelTable.js';
+import { downloadFile } from '../utils/conversationTransfer.js';
+
+const MIN_COMPARE = 2;
+const MAX_COMPARE = 4;
+
+export default function ModelTable({ models, allModels, columns, onColumnsChange, recentChanges, selectedModelId, onSelectModel }) {
+  const [sort, setSort] = useState({ key: 'provider', dir: 'asc' });
+  const [compareIds, setCompareIds] = useState([]);
+  const [comparing, setComparing] = useState(false);
+
+  const visibleColumns = getVisibleColumns(columns);
+  const rows = useMemo(() => sortByColumn(models, sort.key, sort.dir), [models, sort]);
+  const compareModels = compareIds.map((id) => allModels.find((m) => m.id === id)).filter(Boolean);
+
+  const toggleSort = (key) => {
+    setSort((prev) => (prev.key === key ? { key, dir: prev.dir === 'asc' ? 'desc' : 'asc' } : { key, dir: 'asc' }));
+  };
+
+  const toggleColumn = (key) => {
+    onColumnsChange(columns.includes(key) ? columns.filter((k) => k !== key) : [...columns, key]);
+  };
+
+  const toggleCompare = (id) => {
+    setCompareIds((prev) => (prev.includes(id) ? prev.filter((x) => x !== id) : [...prev, id]));
+  };
+
+  const exportCsv = () => {
+    const date = new Date().toISOString().slice(0, 10);
+    downloadFile(`copilot-models-${date}.csv`, modelsToCsv(rows, visibleColumns), 'text/csv');
+  };
+
+  return (
+    <>
+      {comparing && compareModels.length >= MIN_COMPARE && (
+        <ModelCompare models={compareModels} onRemove={toggleCompare} onClose={() => setComparing(false)} />
+      )}
+      <div className="model-table-toolbar">
+        <button
+          className="btn btn-secondary btn-sm"
+          disabled={compareIds.length < MIN_COMPARE}
+          onClick={() => setComparing(true)}
+          title={`勾选 ${MIN_COMPARE}–${MAX_COMPARE} 个模型进行规格对比`}
+        >
+          ⚖️ 对比（{compareIds.length}/{MAX_COMPARE}）
+        </button>
+        {compareIds.length > 0 && (
+          <button className="btn btn-ghost btn-sm" onClick={() => { setCompareIds([]); setComparing(false); }}>清除选择</button>
+        )}
+        <details className="model-table-columns">
+          <summary className="btn btn-secondary btn-sm">☰ 列</summary>
+          <div className="model-table-columns-menu">
+            {MODEL_COLUMNS.filter((c) => !c.fixed).map((c) => (
+              <label key={c.key} className="tool-toggle">
+                <input type="checkbox" checked={columns.includes(c.key)} onChange={() => toggleColumn(c.key)} />
+                {c.title || c.label}
+              </label>
+            ))}
+          </div>
+        </details>
+        <button className="btn btn-secondary btn-sm" onClick={exportCsv} disabled={!rows.length}>⬇️ CSV</button>
+      </div>
+      <div className="leaderboard model-table-wrap">
+        <table className="leaderboard-table model-table">
+          <thead>
+            <tr>
+              <th aria-label="对比" />
+              {visibleColumns.map((c) => (
+                <th
+                  key={c.key}
+                  className={c.numeric ? 'numeric' : ''}
+                  title={c.title}
+                  aria-sort={sort.key === c.key ? (sort.dir === 'asc' ? 'ascending' : 'descending') : 'none'}
+                >
+                  <button className="model-table-sort" onClick={() => toggleSort(c.key)}>
+                    {c.label}
+                    {sort.key === c.key && (sort.dir === 'asc' ? ' ▲' : ' ▼')}
+                  </button>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((m) => {
+              const checked = compareIds.includes(m.id);
+              return (
+                <tr
+                  key={m.id}
+                  className={m.id === selectedModelId ? 'model-table-selected' : ''}
+                  onClick={() => onSelectModel(m)}
+                >
+                  <td onClick={(e) => e.stopPropagation()}>
+                    <input
+                      type="checkbox"
+                      checked={checked}
+                      disabled={!checked && compareIds.length >= MAX_COMPARE}
+                      onChange={() => toggleCompare(m.id)}
+                      aria-label={`对比 ${m.id}`}
+                    />
+                  </td>
+                  {visibleColumns.map((c) => (
+                    <td key={c.key} className={c.numeric ? 'numeric' : ''}>
+                      {c.format(m)}
+                      {c.key === 'model' && recentChanges.get(m.id)?.map((change) => (
+                        <ChangeBadge key={change.type} change={change} />
+                      ))}
+                    </td>
+                  ))}
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,22 @@
+/**
+ * QuotaAlertBanner: in-app banners for quota and overage budget alerts (utils/budgetAlerts.js)
+ */
+
+export default function QuotaAlertBanner({ alerts, onDismiss, onOpenDashboard }) {
+  if (!alerts.length) return null;
+
+  return (
+    <div className="quota-alerts" role="status">
+      {alerts.map((alert) => (
+        <div key={alert.id} className={`quota-alert quota-alert-${alert.level}`}>
+          <span className="quota-alert-icon">{alert.level === 'critical' ? '⛔' : '⚠️'}</span>
+          <span className="quota-alert-text">
+            <strong>{alert.title}</strong> — {alert.message}
+          </span>
+          <button className="link-btn" onClick={onOpenDashboard}>查看用量</button>
+          <button className="quota-alert-close" onClick={() => onDismiss(alert.id)} aria-label="关闭提醒">×</button>
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,145 @@
+/**
+ * RequestParamsSettings: optional sampling / request parameters of the current
+ * conversation (chat settings panel). Only parameters the selected model supports are
+ * shown; see utils/requestParams.js.
+ */
+import { useState } from 'react';
+import {
+  MAX_CHOICES,
+  formatStopSequences,
+  getParamSupport,
+  parseStopSequences,
+} from '../utils/requestParams.js';
+
+const NUMBER_PARAMS = [
+  { key: 'topP', label: 'Top P', min: 0, max: 1, step: 0.05, title: 'Nucleus sampling: only consider tokens within this probability mass' },
+  { key: 'presencePenalty', label: 'Presence penalty', min: -2, max: 2, step: 0.1, title: 'Penalize tokens that already appeared, encouraging new topics' },
+  { key: 'frequencyPenalty', label: 'Frequency penalty', min: -2, max: 2, step: 0.1, title: 'Penalize tokens by how often they already appeared' },
+  { key: 'seed', label: 'Seed', min: 0, step: 1, integer: true, title: 'Best-effort deterministic sampling: the same seed and parameters should repeat a reply' },
+];
+
+/** Empty input → null (API default); otherwise the value clamped to the parameter's range */
+function parseNumber(text, { min, max, integer }) {
+  if (text.trim() === '') return null;
+  let value = integer ? parseInt(text, 10) : parseFloat(text);
+  if (!Number.isFinite(value)) return null;
+  if (min != null) value = Math.max(min, value);
+  if (max != null) value = Math.min(max, value);
+  return value;
+}
+
+/** Number input that commits on blur / Enter, so partial input like "-" or "0." isn't rejected mid-typing */
+function NumberParam({ param, value, disabled, onChange }) {
+  const [text, setText] = useState(value != null ? String(value) : '');
+  const commit = () => {
+    const next = parseNumber(text, param);
+    setText(next != null ? String(next) : '');
+    if (next !== value) onChange({ [param.key]: next });
+  };
+  return (
+    <label title={param.title}>
+      {param.label}
+      <input
+        type="number"
+        className="input input-sm request-param-input"
+        min={param.min}
+        max={param.max}
+        step={param.step}
+        placeholder="default"
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        onBlur={commit}
+        onKeyDown={(e) => e.key === 'Enter' && commit()}
+        disabled={disabled}
+      />
+    </label>
+  );
+}
+
+export default function RequestParamsSettings({ params, model, hasTools, disabled, onChange }) {
+  const [stopInput, setStopInput] = useState(formatStopSequences(params.stop));
+  const support = getParamSupport(model);
+  const numberParams = NUMBER_PARAMS.filter((p) => support[p.key]);
+  const showParallel = hasTools && support.parallelToolCalls;
+
+  if (!numberParams.length && !support.stop && !support.n && !support.reasoningEffort.length && !showParallel) {
+    return null;
+  }
+
+  const commitStop = () => {
+    const stop = parseStopSequences(stopInput);
+    setStopInput(formatStopSequences(stop));
+    if (stop.join('\0') !== params.stop.join('\0')) onChange({ stop });
+  };
+
+  return (
+    <div className="settings-row">
+      <label>Request parameters <span className="tool-toggle-hint">(this conversation; empty = API default)</span></label>
+      <div className="settings-inline request-params">
+        {numberParams.map((p) => (
+          <NumberParam key={p.key} param={p} value={params[p.key]} disabled={disabled} onChange={onChange} />
+        ))}
+        {support.n && (
+          <label title="Generate several replies to one request; the extra replies are added as alternative versions (‹ 1/n ›)">
+            Choices
+            <select
+              className="input input-sm"
+              value={params.n}
+              onChange={(e) => onChange({ n: parseInt(e.target.value, 10) })}
+              disabled={disabled}
+            >
+              {Array.from({ length: MAX_CHOICES }, (_, i) => i + 1).map((n) => (
+                <option key={n} value={n}>{n}</option>
+              ))}
+            </select>
+          </label>
+        )}
+        {support.reasoningEffort.length > 0 && (
+          <label title="How much the model reasons before answering">
+            Reasoning effort
+            <select
+              className="input input-sm"
+              value={params.reasoningEffort ?? ''}
+              onChange={(e) => onChange({ reasoningEffort: e.target.value || null })}
+              disabled={disabled}
+            >
+              <option value="">default</option>
+              {support.reasoningEffort.map((level) => (
+                <option key={level} value={level}>{level}</option>
+              ))}
+            </select>
+          </label>
+        )}
+        {showParallel && (
+          <label title="Let the model request several tool calls in one turn">
+            Parallel tool calls
+            <select
+              className="input input-sm"
+              value={params.parallelToolCalls == null ? '' : String(params.parallelToolCalls)}
+              onChange={(e) => onChange({ parallelToolCalls: e.target.value === '' ? null : e.target.value === 'true' })}
+              disabled={disabled}
+            >
+              <option value="">default</option>
+              <option value="true">on</option>
+              <option value="false">off</option>
+            </select>
+          </label>
+        )}
+        {support.stop && (
+          <label title="Stop generating when the reply contains one of these (comma-separated, \n for a newline)">
+            Stop
+            <input
+              className="input input-sm request-param-stop"
+              placeholder="none"
+              value={stopInput}
+              onChange={(e) => setStopInput(e.target.value)}
+              onBlur={commitStop}
+              onKeyDown={(e) => e.key === 'Enter' && commitStop()}
+              disabled={disabled}
+            />
+          </label>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -1,14 +1,33 @@
 /**
  * Settings: Manage auth tokens, client ID, and clear data
  */
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
 import { getCopilotSubscription, getCopilotToken } from '../api/github.js';
+import { clearConversations, getStorageUsage } from '../utils/conversationStore.js';
 import { version as APP_VERSION, repository } from '../../package.json';
 import { BRAVE_KEY } from '../constants.js';
+import { MAX_RETRIES_LIMIT, loadRequestPolicy, saveRequestPolicy } from '../utils/requestPolicy.js';
+import { getModelDisplayName } from '../utils/models.js';
+import ModelCatalogSettings from './ModelCatalogSettings.jsx';
 
 const REPO_URL = repository?.url || 'https://github.com/su600/CopilotApp';
 
-export default function Settings({ auth, onUpdateAuth, onSignOut, persistLogin, onTogglePersist }) {
+/** Format a byte count as a short human-readable string (e.g. "1.2 MB") */
+function formatBytes(bytes) {
+  if (bytes == null) return '—';
+  const units = ['B', 'KB', 'MB', 'GB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${unit === 0 ? value : value.toFixed(1)} ${units[unit]}`;
+}
+
+export default function Settings({
+  auth, models = [], onUpdateAuth, onSignOut, persistLogin, onTogglePersist, onCatalogChange,
+}) {
   const [clientId, setClientId] = useState(auth.clientId || '');
   const [saved, setSaved] = useState(false);
   const [refreshing, setRefreshing] = useState(false);
@@ -16,6 +35,16 @@ export default function Settings({ auth, onUpdateAuth, onSignOut, persistLogin,
   const [confirmingClear, setConfirmingClear] = useState(false);
   const [braveApiKey, setBraveApiKey] = useState(() => localStorage.getItem(BRAVE_KEY) || '');
   const [braveSaved, setBraveSaved] = useState(false);
+  const [storageUsage, setStorageUsage] = useState(null);
+  const [storageError, setStorageError] = useState('');
+  const [requestPolicy, setRequestPolicy] = useState(loadRequestPolicy);
+  const [chainCandidate, setChainCandidate] = useState('');
+
+  useEffect(() => {
+    getStorageUsage()
+      .then(setStorageUsage)
+      .catch((err) => setStorageError(`Could not read storage usage: ${err.message}`));
+  }, []);
 
   const saveClientId = () => {
     onUpdateAuth({ ...auth, clientId });
@@ -33,6 +62,24 @@ export default function Settings({ auth, onUpdateAuth, onSignOut, persistLogin,
     setTimeout(() => setBraveSaved(false), 2000);
   };
 
+  const updateRequestPolicy = (patch) => {
+    const next = { ...requestPolicy, ...patch };
+    saveRequestPolicy(next);
+    setRequestPolicy(next);
+  };
+
+  const moveChainEntry = (index, offset) => {
+    const chain = [...requestPolicy.fallbackChain];
+    const [entry] = chain.splice(index, 1);
+    chain.splice(index + offset, 0, entry);
+    updateRequestPolicy({ fallbackChain: chain });
+  };
+
+  const modelLabel = (id) => {
+    const m = models.find((x) => x.id === id);
+    return m ? getModelDisplayName(m) : id;
+  };
+
   const refreshCopilotToken = async () => {
     setRefreshing(true);
     setRefreshError('');
@@ -60,9 +107,14 @@ export default function Settings({ auth, onUpdateAuth, onSignOut, persistLogin,
     }
   };
 
-  const clearHistory = () => {
-    localStorage.removeItem('copilot_conversations');
-    window.location.reload();
+  const clearHistory = async () => {
+    try {
+      await clearConversations();
+      window.location.reload();
+    } catch (err) {
+      setStorageError(`Failed to clear history: ${err.message}`);
+      setConfirmingClear(false);
+    }
   };
 
   const tokenExpiry = auth.copilotTokenExpiresAt
@@ -147,6 +199,20 @@ export default function Settings({ auth, onUpdateAuth, onSignOut, persistLogin,
             Disable or sign out on shared or public devices.
           </small>
         </div>
+        <div className="storage-usage">
+          {storageUsage ? (
+            <>
+              <span>💾 {storageUsage.conversations} conversations · {storageUsage.messages} messages</span>
+              {storageUsage.usage != null && (
+                <span>
+                  {formatBytes(storageUsage.usage)} used
+                  {storageUsage.quota != null && ` of ${formatBytes(storageUsage.quota)}`}
+                </span>
+              )}
+            </>
+          ) : !storageError && <span>Calculating storage usage…</span>}
+        </div>
+        {storageError && <p className="text-error">{storageError}</p>}
         {confirmingClear ? (
           <div className="confirm-box">
             <p>Clear all conversation history? This cannot be undone.</p>
@@ -163,11 +229,110 @@ export default function Settings({ auth, onUpdateAuth, onSignOut, persistLogin,
         <p className="settings-hint">
           By default, login state is stored in sessionStorage and cleared when you close the tab.
           When &ldquo;Keep me signed in&rdquo; is enabled, your GitHub access token is persisted in localStorage
-          until you sign out. Conversations are always stored in localStorage. Avoid enabling persistent
+          until you sign out. Conversations are always stored in this browser&rsquo;s IndexedDB. Avoid enabling persistent
           login on shared or public machines.
         </p>
       </section>
 
+      {/* Retries and model fallback */}
+      <section className="settings-section">
+        <h3>🔁 Retries &amp; Fallback</h3>
+        <div className="form-group settings-inline">
+          <label htmlFor="max-retries">Retries per request</label>
+          <input
+            id="max-retries"
+            type="number"
+            className="input input-sm"
+            min="0"
+            max={MAX_RETRIES_LIMIT}
+            value={requestPolicy.maxRetries}
+            onChange={(e) => updateRequestPolicy({
+              maxRetries: Math.max(0, Math.min(MAX_RETRIES_LIMIT, parseInt(e.target.value, 10) || 0)),
+            })}
+          />
+          <label htmlFor="max-retry-delay">Longest wait (s)</label>
+          <input
+            id="max-retry-delay"
+            type="number"
+            className="input input-sm"
+            min="1"
+            max="300"
+            value={Math.round(requestPolicy.maxRetryDelayMs / 1000)}
+            onChange={(e) => updateRequestPolicy({
+              maxRetryDelayMs: Math.max(1, Math.min(300, parseInt(e.target.value, 10) || 1)) * 1000,
+            })}
+          />
+        </div>
+        <small className="form-hint">
+          Rate limits (429), server errors and network failures are retried with exponential backoff. A
+          Retry-After or rate-limit reset header sets the wait; if it is longer than the limit above, the request
+          fails right away (or falls back).
+        </small>
+        <div className="form-group">
+          <label className="settings-persist-label">
+            <input
+              type="checkbox"
+              checked={requestPolicy.fallbackEnabled}
+              onChange={(e) => updateRequestPolicy({ fallbackEnabled: e.target.checked })}
+            />
+            &nbsp;Fall back to another model when a request keeps failing
+          </label>
+        </div>
+        {requestPolicy.fallbackEnabled && (
+          <div className="form-group">
+            <ol className="fallback-chain">
+              {requestPolicy.fallbackChain.map((id, i) => (
+                <li key={id}>
+                  <span className="fallback-chain-model">{modelLabel(id)}</span>
+                  <button className="btn btn-ghost btn-sm" disabled={i === 0} onClick={() => moveChainEntry(i, -1)} aria-label="Move up">↑</button>
+                  <button
+                    className="btn btn-ghost btn-sm"
+                    disabled={i === requestPolicy.fallbackChain.length - 1}
+                    onClick={() => moveChainEntry(i, 1)}
+                    aria-label="Move down"
+                  >
+                    ↓
+                  </button>
+                  <button
+                    className="btn btn-ghost btn-sm"
+                    onClick={() => updateRequestPolicy({ fallbackChain: requestPolicy.fallbackChain.filter((x) => x !== id) })}
+                    aria-label="Remove"
+                  >
+                    ✕
+                  </button>
+                </li>
+              ))}
+            </ol>
+            <div className="settings-inline">
+              <select className="input input-sm" value={chainCandidate} onChange={(e) => setChainCandidate(e.target.value)}>
+                <option value="">Add a model…</option>
+                {models.filter((m) => !requestPolicy.fallbackChain.includes(m.id)).map((m) => (
+                  <option key={m.id} value={m.id}>{getModelDisplayName(m)}</option>
+                ))}
+              </select>
+              <button
+                className="btn btn-secondary btn-sm"
+                disabled={!chainCandidate}
+                onClick={() => {
+                  updateRequestPolicy({ fallbackChain: [...requestPolicy.fallbackChain, chainCandidate] });
+                  setChainCandidate('');
+                }}
+              >
+                Add
+              </button>
+            </div>
+            <small className="form-hint">
+              When a model fails after its retries, the reply continues with the next model in this list (e.g. opus →
+              sonnet → gpt-4.1). Models not in the list fall back to the first entry. The reply shows which model
+              answered and why.
+            </small>
+          </div>
+        )}
+      </section>
+
+      {/* Fallback model catalog */}
+      <ModelCatalogSettings models={models} onChange={onCatalogChange} />
+
       {/* Brave Search */}
       <section className="settings-section">
         <h3>🔍 Brave Search</h3>
@@ -0,0 +1,56 @@
+/**
+ * StructuredOutputSettings: structured output switch and JSON Schema of the current
+ * conversation (chat settings panel)
+ */
+import { useState } from 'react';
+import { parseJsonSchema } from '../utils/jsonSchema.js';
+import { getStructuredOutputMode } from '../utils/structuredOutput.js';
+
+const MODE_HINTS = {
+  response_format: 'sent as response_format (JSON Schema)',
+  tool: 'this model lacks structured outputs; the schema is sent as a forced tool call',
+};
+
+export default function StructuredOutputSettings({ settings, model, disabled, onChange }) {
+  const [schemaText, setSchemaText] = useState(settings.schemaText);
+  const { error } = parseJsonSchema(schemaText);
+  const mode = getStructuredOutputMode(model);
+
+  const commitSchema = () => {
+    if (schemaText !== settings.schemaText) onChange({ schemaText });
+  };
+
+  return (
+    <div className="settings-row">
+      <label className="tool-toggle">
+        <input
+          type="checkbox"
+          checked={settings.enabled}
+          onChange={(e) => onChange({ enabled: e.target.checked })}
+          disabled={disabled}
+        />
+        🧩 Structured output <span className="tool-toggle-hint">(this conversation; replies must match the JSON Schema, tools are not offered)</span>
+      </label>
+      {settings.enabled && (
+        <>
+          <textarea
+            className="input textarea structured-schema-input"
+            rows={8}
+            spellCheck={false}
+            value={schemaText}
+            onChange={(e) => setSchemaText(e.target.value)}
+            onBlur={commitSchema}
+            disabled={disabled}
+          />
+          {error ? (
+            <span className="text-error structured-schema-hint">⚠️ {error}</span>
+          ) : (
+            <span className="tool-toggle-hint structured-schema-hint">
+              {mode ? `Schema OK — ${MODE_HINTS[mode]}` : '⚠️ The selected model supports neither structured outputs nor tool calls'}
+            </span>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,36 @@
+/**
+ * StructuredReply: schema validation badge, error paths and JSON tree of a structured
+ * output reply (see utils/structuredOutput.js)
+ */
+import JsonTree from './JsonTree.jsx';
+import MessageContent from './MessageContent.jsx';
+import { parseStructuredReply } from '../utils/structuredOutput.js';
+
+const MODE_LABELS = { response_format: 'response_format', tool: 'forced tool call' };
+
+export default function StructuredReply({ msg }) {
+  const { mode, valid, errors = [], parseError } = msg.structured;
+  const value = valid ? parseStructuredReply(msg.content) : undefined;
+
+  return (
+    <div className="structured-reply">
+      <div className="structured-status">
+        <span
+          className={`structured-badge ${valid ? 'valid' : 'invalid'}`}
+          title={`Requested via ${MODE_LABELS[mode] || mode}; validated locally against the conversation's schema`}
+        >
+          {valid ? '✓ Matches schema' : parseError ? '✗ Not valid JSON' : `✗ ${errors.length} schema error${errors.length === 1 ? '' : 's'}`}
+        </span>
+      </div>
+      {parseError && <p className="structured-errors">{parseError}</p>}
+      {errors.length > 0 && (
+        <ul className="structured-errors">
+          {errors.map((e, i) => (
+            <li key={i}><code>{e.path || '/'}</code> {e.message}</li>
+          ))}
+        </ul>
+      )}
+      {value !== undefined ? <JsonTree value={value} /> : <MessageContent content={msg.content} pending={false} />}
+    </div>
+  );
+}
@@ -1,11 +1,15 @@
 /**
- * UsageDashboard: popup panel showing Copilot Pro quota, usage, overage and next reset.
+ * UsageDashboard: popup panel showing Copilot Pro quota, usage, overage and next reset,
+ * 12-month billing trends, plus the app's own usage ledger reconciled against billing.
  */
 import { useState, useEffect, useRef } from 'react';
 import { getBillingPremiumRequestUsage } from '../api/github.js';
-import { extractPremiumQuota, hasUnlimitedQuotas } from '../api/copilot.js';
-
-const BILLING_PAT_KEY = 'copilot_billing_pat';
+import UsageLedger from './UsageLedger.jsx';
+import BillingHistory from './BillingHistory.jsx';
+import { clearBillingHistoryCache } from '../utils/billingHistory.js';
+import BudgetAlertSettings from './BudgetAlertSettings.jsx';
+import { DEFAULT_PLAN_QUOTA, forecastQuota, getNextMonthFirst, resolveQuota } from '../utils/quota.js';
+import { BILLING_PAT_KEY } from '../constants.js';
 
 /** Read the user-provided Fine-Grained PAT from localStorage. */
 function loadBillingToken() {
@@ -15,59 +19,6 @@ function loadBillingToken() {
   }
 }
 
-/** Default plan quota (Copilot Pro = 300 requests/month). Used when subscription data is unavailable. */
-const DEFAULT_PLAN_QUOTA = 300;
-
-const SKU_NAMES = {
-  copilot_for_individuals: 'Pro',
-  copilot_v2: 'Pro',
-  copilot_pro_plus: 'Pro+',
-  plus_yearly_subscriber_quota: 'Pro+',
-  plus_monthly_subscriber_quota: 'Pro+',
-  pro_plus: 'Pro+',
-  copilot_business: 'Business',
-  business: 'Business',
-  copilot_enterprise: 'Enterprise',
-  enterprise: 'Enterprise',
-};
-
-/** Monthly premium request quota by SKU. When the SKU is not listed here, falls back to
- *  the API-returned premiumQuota.quota, then to DEFAULT_PLAN_QUOTA via planQuota. */
-const PLAN_QUOTAS = {
-  copilot_for_individuals: 300,
-  copilot_v2: 300,
-  copilot_pro_plus: 1500,
-  plus_yearly_subscriber_quota: 1500,
-  plus_monthly_subscriber_quota: 1500,
-  pro_plus: 1500,
-  copilot_business: 300,
-  business: 300,
-  copilot_enterprise: 1000,
-  enterprise: 1000,
-};
-
-function normalizeSkuValue(value) {
-  return typeof value === 'string' && value.trim() ? value.trim().toLowerCase() : null;
-}
-
-function getFirstRawSkuValue(skuValues) {
-  return skuValues.find((value) => typeof value === 'string' && value.trim())?.trim() || null;
-}
-
-/** Return the first recognized SKU alias from the provided values, or null when none match. */
-function getFirstKnownSku(skuValues) {
-  return skuValues
-    .map(normalizeSkuValue)
-    .find((value) => value && Object.prototype.hasOwnProperty.call(PLAN_QUOTAS, value)) || null;
-}
-
-/** Return a localised string for the 1st day of next month. */
-function getNextMonthFirst() {
-  const now = new Date();
-  const d = new Date(now.getFullYear(), now.getMonth() + 1, 1);
-  return d.toLocaleDateString('zh-CN', { year: 'numeric', month: 'long', day: 'numeric' });
-}
-
 /** Format a potentially very small or large number, avoiding scientific notation.
  *  Uses 10 decimal places for values < 0.01 to preserve precision (e.g. remaining quota 0.000000001). */
 function formatLargeNumber(value) {
@@ -82,7 +33,9 @@ function formatLargeNumber(value) {
   return String(Math.floor(val));
 }
 
-export default function UsageDashboard({ username, copilotTokenData, copilotSubscription, onBillingDataUpdate, onClose }) {
+export default function UsageDashboard({
+  username, copilotTokenData, copilotSubscription, models, alertSettings, onAlertSettingsChange, onBillingDataUpdate, onClose,
+}) {
   const [billingToken, setBillingToken] = useState(loadBillingToken);
   const [billingTokenInput, setBillingTokenInput] = useState('');
   const [billingData, setBillingData] = useState(null);
@@ -121,6 +74,7 @@ export default function UsageDashboard({ username, copilotTokenData, copilotSubs
     try { localStorage.removeItem(BILLING_PAT_KEY); } catch (e) {
       console.warn('[CopilotApp] Could not remove billing token from localStorage:', e);
     }
+    if (username) clearBillingHistoryCache(username);
     setBillingToken('');
     setBillingData(null);
     setBillingError('');
@@ -140,56 +94,11 @@ export default function UsageDashboard({ username, copilotTokenData, copilotSubs
   // Extract quota data from the Copilot token response
   console.log('UsageDashboard - copilotTokenData:', copilotTokenData);
 
-  // Pass all possible data sources to extractPremiumQuota for comprehensive checking
-  const premiumQuota = extractPremiumQuota(
-    copilotTokenData?.limited_user_quotas,
-    copilotTokenData,
-    copilotSubscription,
-  );
+  const {
+    premiumQuota, isUnlimited, sku, subscriptionType, planName, quotaTotal, quotaUsed, overage, overageUsd, pct,
+  } = resolveQuota(copilotTokenData, copilotSubscription);
   console.log('UsageDashboard - final premiumQuota:', premiumQuota);
-
-  // True when the API signals that this feature has no usage cap for the current plan
-  const isUnlimited = !premiumQuota && hasUnlimitedQuotas(copilotTokenData?.unlimited_user_quotas);
-
-  const tokenSkuValues = [
-    copilotTokenData?.sku,
-    copilotTokenData?.plan?.sku,
-    copilotTokenData?.subscription_type,
-  ];
-  const subscriptionSkuValues = [
-    copilotSubscription?.sku,
-    copilotSubscription?.plan?.sku,
-    copilotSubscription?.subscription_type,
-  ];
-  const tokenSku = getFirstKnownSku(tokenSkuValues);
-  const subscriptionSku = getFirstKnownSku(subscriptionSkuValues);
-
-  // Prefer the subscription endpoint when it returns a recognized SKU because it is more
-  // accurate for plan aliases like plus_yearly_subscriber_quota. Fall back to token fields,
-  // then to any raw unrecognized value for debugging.
-  const sku = subscriptionSku
-    || tokenSku
-    || getFirstRawSkuValue([...tokenSkuValues, ...subscriptionSkuValues])
-    || null;
-
-  const subscriptionType = [
-    copilotTokenData?.subscription_type,
-    copilotSubscription?.subscription_type,
-  ].map(normalizeSkuValue).find(Boolean) || null;
-
-  const planName = SKU_NAMES[sku]
-    ? `GitHub Copilot ${SKU_NAMES[sku]}`
-    : 'GitHub Copilot';
-
-  // Use PLAN_QUOTAS as the authoritative quota for known subscription plans,
-  // falling back to the raw API-returned value. This ensures Pro+ users (1500
-  // requests/month) always see the correct total, even if the token response
-  // still carries the older 300-request value.
-  const quotaTotal = PLAN_QUOTAS[sku] ?? premiumQuota?.quota ?? null;
-  const quotaUsed = premiumQuota?.used ?? null;
-  const overage = premiumQuota?.overage ?? 0;
-  const overageUsd = premiumQuota?.overage_usd ?? 0;
-  const pct = (quotaTotal !== null && quotaTotal > 0 && quotaUsed !== null) ? Math.min(100, (quotaUsed / quotaTotal) * 100) : null;
+  const forecast = forecastQuota(quotaUsed, quotaTotal);
 
   // Billing REST API stats
   const billingItems = billingData?.usageItems || [];
@@ -256,6 +165,18 @@ export default function UsageDashboard({ username, copilotTokenData, copilotSubs
                       <span className="dashboard-value">{quotaUsed} 次</span>
                     </div>
                   )}
+                  {forecast && (
+                    <div className="dashboard-row" title={`日均约 ${forecast.dailyRate.toFixed(1)} 次，按此速度本月共约 ${Math.round(forecast.projectedUsed)} 次`}>
+                      <span className="dashboard-label">预计用尽</span>
+                      {forecast.exhaustsAt == null ? (
+                        <span className="dashboard-value dashboard-value-muted">本月尚无用量</span>
+                      ) : forecast.beforeReset ? (
+                        <span className="dashboard-value dashboard-value-danger">{forecast.exhaustsAt.toLocaleDateString('zh-CN')}</span>
+                      ) : (
+                        <span className="dashboard-value dashboard-value-success">重置前不会用尽</span>
+                      )}
+                    </div>
+                  )}
                 </>
               ) : isUnlimited ? (
                 <div className="dashboard-row">
@@ -365,6 +286,7 @@ export default function UsageDashboard({ username, copilotTokenData, copilotSubs
                   ))}
                 </>
               )}
+              <BillingHistory username={username} token={billingToken} />
               <button className="btn btn-ghost btn-sm" style={{ marginTop: '6px', fontSize: '11px' }} onClick={clearBillingToken}>清除 Token</button>
             </>
           ) : (
@@ -376,6 +298,26 @@ export default function UsageDashboard({ username, copilotTokenData, copilotSubs
 
         <div className="dashboard-divider" />
 
+        {/* Overage budget and alert thresholds */}
+        <div className="dashboard-section">
+          <div className="dashboard-section-title">预算与提醒</div>
+          <BudgetAlertSettings
+            settings={alertSettings}
+            billingAmount={billingData ? totalBilledAmount : null}
+            onChange={onAlertSettingsChange}
+          />
+        </div>
+
+        <div className="dashboard-divider" />
+
+        {/* Requests sent by this app, reconciled against billing once it has loaded */}
+        <div className="dashboard-section">
+          <div className="dashboard-section-title">本地记录 (本月)</div>
+          <UsageLedger billingItems={billingData ? billingItems : null} models={models} />
+        </div>
+
+        <div className="dashboard-divider" />
+
         {/* Next reset – moved to bottom */}
         <div className="dashboard-section">
           <div className="dashboard-row">
@@ -0,0 +1,135 @@
+/**
+ * UsageLedger: this month's local usage ledger in the usage dashboard — daily and
+ * per-model premium requests, reconciled against the billing API's usage items.
+ */
+import { useState, useEffect, useMemo } from 'react';
+import BarChart from './BarChart.jsx';
+import { formatPremiumRequests } from '../utils/premiumRequests.js';
+import { formatTokenCount } from '../utils/contextWindow.js';
+import {
+  clearLedger,
+  getUtcMonthRange,
+  listLedgerEntries,
+  reconcileWithBilling,
+  summarizeLedger,
+} from '../utils/usageLedger.js';
+
+const RECONCILE_HINTS = {
+  'other-clients': '账单多于本地记录：其余请求来自其它 Copilot 客户端（IDE、CLI 等）',
+  over: '本地记录多于账单：可能是倍率已变更、账单尚未同步，或请求失败未计费',
+};
+
+export default function UsageLedger({ billingItems, models }) {
+  // Billing periods are UTC calendar months
+  const range = useMemo(() => {
+    const now = new Date();
+    return getUtcMonthRange(now.getUTCFullYear(), now.getUTCMonth() + 1);
+  }, []);
+  const [entries, setEntries] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    listLedgerEntries(range.from, range.to)
+      .then((data) => { if (!cancelled) setEntries(data); })
+      .catch((err) => { if (!cancelled) setError(`本地记录加载失败: ${err.message}`); });
+    return () => { cancelled = true; };
+  }, [range]);
+
+  const summary = useMemo(() => summarizeLedger(entries || [], range), [entries, range]);
+  const reconciliation = useMemo(
+    () => (billingItems ? reconcileWithBilling(summary.models, billingItems, models) : []),
+    [summary, billingItems, models],
+  );
+  const mismatches = reconciliation.filter((r) => r.status !== 'match').length;
+
+  const handleClear = async () => {
+    if (!window.confirm('清空本地用量记录？此操作不可撤销。')) return;
+    try {
+      await clearLedger();
+      setEntries([]);
+    } catch (err) {
+      setError(`清空失败: ${err.message}`);
+    }
+  };
+
+  if (error) return <p className="text-error" style={{ fontSize: '12px' }}>{error}</p>;
+  if (!entries) return <div className="dashboard-loading"><div className="spinner" /></div>;
+  if (!entries.length) {
+    return (
+      <div className="dashboard-row">
+        <span className="dashboard-value dashboard-value-muted">本月暂无本地记录</span>
+      </div>
+    );
+  }
+
+  const modelMax = Math.max(...summary.models.map((m) => m.premiumRequests), 0);
+
+  return (
+    <>
+      <div className="dashboard-row">
+        <span className="dashboard-label">请求次数</span>
+        <span className="dashboard-value">{summary.totals.requests} 次</span>
+      </div>
+      <div className="dashboard-row">
+        <span className="dashboard-label">高级请求</span>
+        <span className="dashboard-value" title={summary.totals.unknownMultiplier ? `${summary.totals.unknownMultiplier} 次请求的倍率未知，未计入` : undefined}>
+          {formatPremiumRequests(summary.totals.premiumRequests)}
+          {summary.totals.unknownMultiplier > 0 && '+'}
+        </span>
+      </div>
+      <div className="dashboard-row">
+        <span className="dashboard-label">Tokens</span>
+        <span className="dashboard-value">{formatTokenCount(summary.totals.tokens)}</span>
+      </div>
+
+      <div className="dashboard-section-title" style={{ marginTop: '8px' }}>每日高级请求</div>
+      <BarChart
+        data={summary.days.map((d) => ({
+          key: d.date,
+          label: String(Number(d.date.slice(8))),
+          value: d.premiumRequests,
+          title: `${d.date}: ${formatPremiumRequests(d.premiumRequests)} 高级请求 / ${d.requests} 次请求`,
+        }))}
+        format={formatPremiumRequests}
+        labelEvery={5}
+      />
+
+      <div className="dashboard-section-title" style={{ marginTop: '8px' }}>按模型</div>
+      {summary.models.map((m) => (
+        <div key={m.model} className="ledger-model-row" title={`${m.requests} 次请求 · ${formatTokenCount(m.tokens)} tokens`}>
+          <span className="ledger-model-name">{m.model}</span>
+          <div className="dashboard-bar">
+            <div className="dashboard-bar-fill" style={{ width: modelMax > 0 ? `${(m.premiumRequests / modelMax) * 100}%` : 0 }} />
+          </div>
+          <span className="dashboard-bar-label">{formatPremiumRequests(m.premiumRequests)}</span>
+        </div>
+      ))}
+
+      {billingItems && (
+        <>
+          <div className="dashboard-section-title" style={{ marginTop: '8px' }}>
+            与账单对账{mismatches > 0 && <span className="dashboard-value-danger"> · {mismatches} 项差异</span>}
+          </div>
+          <table className="ledger-table">
+            <thead>
+              <tr><th>模型</th><th>本地</th><th>账单</th><th>差异</th></tr>
+            </thead>
+            <tbody>
+              {reconciliation.map((r) => (
+                <tr key={r.key} className={r.status !== 'match' ? `ledger-row-${r.status}` : undefined} title={RECONCILE_HINTS[r.status]}>
+                  <td className="ledger-model-name">{r.label}</td>
+                  <td>{formatPremiumRequests(r.local)}</td>
+                  <td>{formatPremiumRequests(r.billed)}</td>
+                  <td>{r.difference > 0 ? '+' : ''}{formatPremiumRequests(r.difference)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      )}
+
+      <button className="btn btn-ghost btn-sm" style={{ marginTop: '6px', fontSize: '11px' }} onClick={handleClear}>清空本地记录</button>
+    </>
+  );
+}
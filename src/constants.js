@@ -4,3 +4,33 @@
 
 /** localStorage key for the Brave Search API key */
 export const BRAVE_KEY = 'brave_search_api_key';
+
+/** Legacy localStorage key for conversations (migrated to IndexedDB on first run) */
+export const CONVERSATIONS_KEY = 'copilot_conversations';
+
+/** localStorage key for how chat history is fitted into a model's context window */
+export const CONTEXT_STRATEGY_KEY = 'copilot_context_strategy';
+
+/** localStorage key for cached monthly billing usage, per GitHub user */
+export const BILLING_HISTORY_KEY = 'copilot_billing_history';
+
+/** localStorage key for the Fine-Grained PAT used to read billing usage */
+export const BILLING_PAT_KEY = 'copilot_billing_pat';
+
+/** localStorage key for the overage budget, quota alert thresholds and notification opt-in */
+export const ALERT_SETTINGS_KEY = 'copilot_alert_settings';
+
+/** localStorage key for quota alerts already dismissed or notified in the current month */
+export const ALERT_STATE_KEY = 'copilot_alert_state';
+
+/** localStorage key for the chat retry policy and model fallback chain */
+export const REQUEST_POLICY_KEY = 'copilot_request_policy';
+
+/** localStorage key for the model catalog source (bundled / URL / file) and per-model overrides */
+export const MODEL_CATALOG_KEY = 'copilot_model_catalog';
+
+/** localStorage key for the last enriched model list, per GitHub user (stale-while-revalidate) */
+export const MODELS_CACHE_KEY = 'copilot_models_cache';
+
+/** localStorage key for the Models tab layout (cards / table) and visible table columns */
+export const MODEL_VIEW_KEY = 'copilot_model_view';
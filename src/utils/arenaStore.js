@@ -0,0 +1,38 @@
+/**
+ * Persistence for model arena runs (IndexedDB `arenaRuns` store).
+ * A run is a single record: the prompt and settings plus one result per model.
+ */
+import { runTransaction } from './db.js';
+
+/**
+ * Save (insert or replace) an arena run.
+ * @param {{id: string, prompt: string, createdAt: number, results: Array}} run
+ * @returns {Promise<void>}
+ */
+export async function saveArenaRun(run) {
+  await runTransaction('arenaRuns', 'readwrite', (tx) => {
+    tx.objectStore('arenaRuns').put(run);
+  });
+}
+
+/**
+ * Load all arena runs, newest first.
+ * @returns {Promise<Array>}
+ */
+export async function listArenaRuns() {
+  const runs = await runTransaction('arenaRuns', 'readonly', (tx) =>
+    tx.objectStore('arenaRuns').getAll(),
+  );
+  return runs.sort((a, b) => b.createdAt - a.createdAt);
+}
+
+/**
+ * Delete an arena run.
+ * @param {string} id
+ * @returns {Promise<void>}
+ */
+export async function deleteArenaRun(id) {
+  await runTransaction('arenaRuns', 'readwrite', (tx) => {
+    tx.objectStore('arenaRuns').delete(id);
+  });
+}
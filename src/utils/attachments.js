@@ -0,0 +1,55 @@
+/**
+ * Image attachment helpers for vision-capable chat models.
+ * Attachments are kept as data URLs so they persist with the conversation in IndexedDB
+ * and can be sent inline as OpenAI-style `image_url` content parts.
+ */
+
+/** Largest image accepted from paste / drop / file picker */
+export const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+
+/**
+ * Read an image File into an attachment record.
+ * @param {File} file
+ * @returns {Promise<{id: string, name: string, type: string, size: number, dataUrl: string}>}
+ */
+export function readImageFile(file) {
+  if (!file.type.startsWith('image/')) {
+    return Promise.reject(new Error(`${file.name || 'File'} is not an image`));
+  }
+  if (file.size > MAX_IMAGE_BYTES) {
+    return Promise.reject(
+      new Error(`${file.name || 'Image'} is larger than ${MAX_IMAGE_BYTES / 1024 / 1024} MB`),
+    );
+  }
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve({
+      id: `att_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`,
+      name: file.name || 'pasted-image',
+      type: file.type,
+      size: file.size,
+      dataUrl: reader.result,
+    });
+    reader.onerror = () => reject(reader.error || new Error(`Failed to read ${file.name}`));
+    reader.readAsDataURL(file);
+  });
+}
+
+/**
+ * Build the API `content` for a stored message.
+ * Messages with image attachments become an array of text + image_url parts; when the
+ * target model cannot see images the attachments are dropped and plain text is sent.
+ * @param {{content: string, attachments?: Array}} msg
+ * @param {boolean} includeImages - whether the target model supports vision
+ * @returns {string|Array}
+ */
+export function toApiContent(msg, includeImages) {
+  const images = includeImages
+    ? (msg.attachments || []).filter((a) => a.type?.startsWith('image/'))
+    : [];
+  if (!images.length) return msg.content;
+  return [
+    ...(msg.content ? [{ type: 'text', text: msg.content }] : []),
+    ...images.map((a) => ({ type: 'image_url', image_url: { url: a.dataUrl } })),
+  ];
+}
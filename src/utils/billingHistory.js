@@ -0,0 +1,135 @@
+/**
+ * Month-by-month premium request billing history.
+ *
+ * Each month is fetched once from the billing API and cached in localStorage per GitHub
+ * user. A month is treated as final (never refetched) once it was fetched after a short
+ * grace period past its end, because billing keeps trickling in for a day or two.
+ */
+import { getBillingPremiumRequestUsage } from '../api/github.js';
+import { BILLING_HISTORY_KEY } from '../constants.js';
+
+export const HISTORY_MONTHS = 12;
+const FINAL_AFTER_MS = 3 * 24 * 60 * 60 * 1000;
+// Months that are still open are reused for an hour unless a refresh is forced
+const OPEN_MONTH_TTL_MS = 60 * 60 * 1000;
+
+/** Metrics charted from usageItems */
+export const BILLING_METRICS = {
+  requests: { label: '高级请求', field: 'grossQuantity' },
+  gross: { label: '总金额', field: 'grossAmount', currency: true },
+  net: { label: '净金额', field: 'netAmount', currency: true },
+};
+
+function readCache() {
+  try {
+    return JSON.parse(localStorage.getItem(BILLING_HISTORY_KEY) || '{}');
+  } catch (e) {
+    console.warn('[CopilotApp] Could not read billing history cache:', e);
+    return {};
+  }
+}
+
+function writeCache(cache) {
+  try {
+    localStorage.setItem(BILLING_HISTORY_KEY, JSON.stringify(cache));
+  } catch (e) {
+    console.warn('[CopilotApp] Could not save billing history cache:', e);
+  }
+}
+
+/** Remove cached history for one user (e.g. when their billing token is cleared) */
+export function clearBillingHistoryCache(username) {
+  const cache = readCache();
+  delete cache[username];
+  writeCache(cache);
+}
+
+/** "YYYY-MM" key of a month */
+function monthKey(year, month) {
+  return `${year}-${String(month).padStart(2, '0')}`;
+}
+
+/**
+ * The last `count` UTC months up to and including the current one, oldest first.
+ * @returns {Array<{year: number, month: number, key: string}>}
+ */
+export function getRecentMonths(count = HISTORY_MONTHS, now = new Date()) {
+  const months = [];
+  for (let i = count - 1; i >= 0; i--) {
+    const d = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - i, 1));
+    const year = d.getUTCFullYear();
+    const month = d.getUTCMonth() + 1;
+    months.push({ year, month, key: monthKey(year, month) });
+  }
+  return months;
+}
+
+function isFinal(entry, year, month) {
+  return entry.fetchedAt >= Date.UTC(year, month, 1) + FINAL_AFTER_MS;
+}
+
+/**
+ * Billing usage for the last `months` months, from the cache where possible.
+ * Months that fail to load are returned with an `error` and are not cached.
+ *
+ * @param {string} username
+ * @param {string} token - Fine-grained PAT with Plan(read) permission
+ * @param {object} [options]
+ * @param {number} [options.months=12]
+ * @param {boolean} [options.forceRefresh=false] - refetch months that are not final yet
+ * @returns {Promise<Array<{year: number, month: number, key: string, usageItems: Array, error?: string}>>}
+ */
+export async function loadBillingHistory(username, token, { months = HISTORY_MONTHS, forceRefresh = false } = {}) {
+  const cache = readCache();
+  const userCache = cache[username] || {};
+
+  const results = await Promise.all(getRecentMonths(months).map(async ({ year, month, key }) => {
+    const cached = userCache[key];
+    if (cached && (isFinal(cached, year, month) || (!forceRefresh && Date.now() - cached.fetchedAt < OPEN_MONTH_TTL_MS))) {
+      return { year, month, key, usageItems: cached.usageItems };
+    }
+    try {
+      const data = await getBillingPremiumRequestUsage(username, token, { year, month });
+      const usageItems = data.usageItems || [];
+      userCache[key] = { fetchedAt: Date.now(), usageItems };
+      return { year, month, key, usageItems };
+    } catch (err) {
+      console.warn(`[CopilotApp] Failed to load billing usage for ${key}:`, err);
+      // Fall back to a stale copy rather than a gap in the chart
+      if (cached) return { year, month, key, usageItems: cached.usageItems, stale: true };
+      return { year, month, key, usageItems: [], error: err.message };
+    }
+  }));
+
+  cache[username] = userCache;
+  writeCache(cache);
+  return results;
+}
+
+/**
+ * Per-month totals of one metric, overall and per model.
+ * @param {Array} history - result of loadBillingHistory
+ * @param {keyof BILLING_METRICS} metric
+ * @returns {{months: Array<{key: string, total: number, byModel: Object<string, number>}>,
+ *   models: Array<{model: string, total: number}>}} models sorted by total, descending
+ */
+export function summarizeBillingHistory(history, metric) {
+  const { field } = BILLING_METRICS[metric];
+  const modelTotals = new Map();
+  const months = history.map(({ key, usageItems }) => {
+    const byModel = {};
+    let total = 0;
+    for (const item of usageItems) {
+      const value = item[field] || 0;
+      const model = item.model || 'unknown';
+      byModel[model] = (byModel[model] || 0) + value;
+      modelTotals.set(model, (modelTotals.get(model) || 0) + value);
+      total += value;
+    }
+    return { key, total, byModel };
+  });
+  const models = [...modelTotals.entries()]
+    .map(([model, total]) => ({ model, total }))
+    .sort((a, b) => b.total - a.total);
+  return { months, models };
+}
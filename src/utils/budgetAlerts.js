@@ -0,0 +1,178 @@
+/**
+ * Quota and overage budget alerts.
+ *
+ * The user picks percentage thresholds (applied to both the monthly premium quota and
+ * the optional dollar budget for overage) and may opt in to browser notifications.
+ * Alerts are identified by what crossed which threshold (e.g. `quota-90`), so a
+ * dismissed banner comes back only when a higher threshold is crossed or a new month
+ * starts.
+ */
+import { ALERT_SETTINGS_KEY, ALERT_STATE_KEY } from '../constants.js';
+
+export const DEFAULT_ALERT_SETTINGS = { budgetUsd: null, thresholds: [75, 90, 100], notify: false };
+
+const LEVEL_RANK = { ok: 0, warn: 1, critical: 2 };
+
+export function loadAlertSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(ALERT_SETTINGS_KEY) || 'null');
+    return saved ? { ...DEFAULT_ALERT_SETTINGS, ...saved } : DEFAULT_ALERT_SETTINGS;
+  } catch (e) {
+    console.warn('[CopilotApp] Could not read alert settings from localStorage:', e);
+    return DEFAULT_ALERT_SETTINGS;
+  }
+}
+
+export function saveAlertSettings(settings) {
+  try {
+    localStorage.setItem(ALERT_SETTINGS_KEY, JSON.stringify(settings));
+  } catch (e) {
+    console.warn('[CopilotApp] Could not save alert settings to localStorage:', e);
+  }
+}
+
+/** "75, 90 100" → [75, 90, 100]: sorted, de-duplicated, limited to 1–1000 */
+export function parseThresholds(text) {
+  const values = String(text)
+    .split(/[\s,，]+/)
+    .map(Number)
+    .filter((n) => Number.isFinite(n) && n > 0 && n <= 1000);
+  return [...new Set(values)].sort((a, b) => a - b);
+}
+
+/** Quota period the alert state belongs to (the quota resets on the 1st, UTC) */
+function currentPeriod(now = new Date()) {
+  return `${now.getUTCFullYear()}-${String(now.getUTCMonth() + 1).padStart(2, '0')}`;
+}
+
+/**
+ * Alerts already dismissed or notified this month. State from an earlier month is
+ * discarded.
+ * @returns {{period: string, dismissed: string[], notified: string[]}}
+ */
+export function loadAlertState() {
+  try {
+    return currentAlertState(JSON.parse(localStorage.getItem(ALERT_STATE_KEY) || 'null'));
+  } catch (e) {
+    console.warn('[CopilotApp] Could not read alert state from localStorage:', e);
+    return currentAlertState(null);
+  }
+}
+
+/**
+ * `state` if it belongs to the current month, otherwise a fresh state. Check state held
+ * in memory with this before use, since the month can roll over while the app is open.
+ * @param {object|null} state
+ * @returns {{period: string, dismissed: string[], notified: string[]}}
+ */
+export function currentAlertState(state) {
+  const period = currentPeriod();
+  return state?.period === period ? { dismissed: [], notified: [], ...state } : { period, dismissed: [], notified: [] };
+}
+
+export function saveAlertState(state) {
+  try {
+    localStorage.setItem(ALERT_STATE_KEY, JSON.stringify(state));
+  } catch (e) {
+    console.warn('[CopilotApp] Could not save alert state to localStorage:', e);
+  }
+}
+
+/** Highest threshold `pct` has reached, or null */
+function crossedThreshold(pct, thresholds) {
+  const crossed = thresholds.filter((t) => pct >= t);
+  return crossed.length ? crossed[crossed.length - 1] : null;
+}
+
+/** Reaching the top threshold (or 100%) is critical; lower thresholds are warnings */
+function thresholdLevel(pct, threshold, thresholds) {
+  return pct >= 100 || threshold === thresholds[thresholds.length - 1] ? 'critical' : 'warn';
+}
+
+/**
+ * Alerts for the current quota and overage spend.
+ * @param {object} input
+ * @param {number|null} input.quotaUsed
+ * @param {number|null} input.quotaTotal
+ * @param {number|null} input.billingAmount - this month's billed overage (sum of `netAmount`), null if unknown
+ * @param {object|null} input.forecast - result of forecastQuota
+ * @param {object} input.settings - alert settings
+ * @returns {{level: 'ok'|'warn'|'critical', alerts: Array<{id: string, level: string, title: string, message: string}>}}
+ */
+export function evaluateAlerts({ quotaUsed, quotaTotal, billingAmount, forecast, settings }) {
+  const { thresholds, budgetUsd } = settings;
+  const alerts = [];
+
+  const quotaPct = quotaUsed != null && quotaTotal ? (quotaUsed / quotaTotal) * 100 : null;
+  if (quotaPct != null) {
+    const threshold = crossedThreshold(quotaPct, thresholds);
+    if (threshold != null) {
+      alerts.push({
+        id: `quota-${threshold}`,
+        level: thresholdLevel(quotaPct, threshold, thresholds),
+        title: `高级请求已用 ${Math.round(quotaPct)}%`,
+        message: `本月已使用 ${quotaUsed} / ${quotaTotal} 次，达到 ${threshold}% 提醒阈值`,
+      });
+    } else if (forecast?.beforeReset) {
+      alerts.push({
+        id: 'forecast',
+        level: 'warn',
+        title: '额度预计提前用尽',
+        message: `按当前速度（每天约 ${forecast.dailyRate.toFixed(1)} 次），额度将在 `
+          + `${forecast.exhaustsAt.toLocaleDateString('zh-CN')} 左右用尽，早于 ${forecast.resetAt.toLocaleDateString('zh-CN', { timeZone: 'UTC' })} 的重置`,
+      });
+    }
+  }
+
+  if (budgetUsd > 0 && billingAmount != null) {
+    const budgetPct = (billingAmount / budgetUsd) * 100;
+    const threshold = crossedThreshold(budgetPct, thresholds);
+    if (threshold != null) {
+      alerts.push({
+        id: `budget-${threshold}`,
+        level: thresholdLevel(budgetPct, threshold, thresholds),
+        title: `超额预算已用 ${Math.round(budgetPct)}%`,
+        message: `本月计费 $${billingAmount.toFixed(2)} / 预算 $${budgetUsd.toFixed(2)}，达到 ${threshold}% 提醒阈值`,
+      });
+    }
+  }
+
+  const level = alerts.reduce((max, a) => (LEVEL_RANK[a.level] > LEVEL_RANK[max] ? a.level : max), 'ok');
+  return { level, alerts };
+}
+
+/** Whether the browser can show notifications at all */
+export function notificationsSupported() {
+  return typeof window !== 'undefined' && 'Notification' in window;
+}
+
+/**
+ * Ask for notification permission.
+ * @returns {Promise<boolean>} true when granted
+ */
+export async function requestNotificationPermission() {
+  if (!notificationsSupported()) return false;
+  if (Notification.permission === 'granted') return true;
+  if (Notification.permission === 'denied') return false;
+  return (await Notification.requestPermission()) === 'granted';
+}
+
+/**
+ * Show a browser notification for each alert not yet notified this month, and remember
+ * them so reloading the page doesn't notify again.
+ * @param {Array} alerts - from evaluateAlerts
+ */
+export function notifyNewAlerts(alerts) {
+  if (!notificationsSupported() || Notification.permission !== 'granted') return;
+  const state = loadAlertState();
+  const fresh = alerts.filter((a) => !state.notified.includes(a.id));
+  if (!fresh.length) return;
+  for (const alert of fresh) {
+    try {
+      new Notification(alert.title, { body: alert.message, tag: `copilot-${alert.id}` });
+    } catch (e) {
+      console.warn('[CopilotApp] Could not show notification:', e);
+    }
+  }
+  saveAlertState({ ...state, notified: [...state.notified, ...fresh.map((a) => a.id)] });
+}
@@ -0,0 +1,177 @@
+/**
+ * Model catalog history (IndexedDB `modelSnapshots` store).
+ *
+ * Every load or sync of the model list is compared with the latest snapshot. The first
+ * snapshot is a baseline; after that a new snapshot is stored only when something
+ * changed, together with the diff that produced it, so the stored snapshots double as
+ * the "what changed" feed.
+ */
+import { runTransaction } from './db.js';
+import { loadAlertSettings, notificationsSupported } from './budgetAlerts.js';
+import { getModelDisplayName } from './models.js';
+
+// Oldest snapshots beyond this are pruned
+const MAX_SNAPSHOTS = 100;
+
+/** Changes newer than this are flagged on the model cards */
+export const RECENT_CHANGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+/** The fields of a model that are tracked between syncs */
+function toSnapshotModel(model) {
+  return {
+    id: model.id,
+    name: getModelDisplayName(model),
+    tier: model.tier ?? null,
+    multiplier: model.multiplier ?? null,
+    contextWindow: model.contextWindow ?? null,
+  };
+}
+
+/**
+ * Differences between two catalogs.
+ * @param {Array} prev - snapshot models
+ * @param {Array} next - snapshot models
+ * @returns {Array<{type: 'added'|'removed'|'multiplier'|'tier'|'context', modelId: string,
+ *   name: string, from?: *, to?: *}>}
+ */
+export function diffCatalogs(prev, next) {
+  const before = new Map(prev.map((m) => [m.id, m]));
+  const after = new Map(next.map((m) => [m.id, m]));
+  const changes = [];
+
+  for (const m of next) {
+    const old = before.get(m.id);
+    if (!old) {
+      changes.push({ type: 'added', modelId: m.id, name: m.name, to: m.multiplier });
+      continue;
+    }
+    if (old.multiplier !== m.multiplier) {
+      changes.push({ type: 'multiplier', modelId: m.id, name: m.name, from: old.multiplier, to: m.multiplier });
+    }
+    if (old.tier !== m.tier) {
+      changes.push({ type: 'tier', modelId: m.id, name: m.name, from: old.tier, to: m.tier });
+    }
+    if (old.contextWindow !== m.contextWindow) {
+      changes.push({ type: 'context', modelId: m.id, name: m.name, from: old.contextWindow, to: m.contextWindow });
+    }
+  }
+  for (const m of prev) {
+    if (!after.has(m.id)) changes.push({ type: 'removed', modelId: m.id, name: m.name, from: m.multiplier });
+  }
+  return changes;
+}
+
+/**
+ * Load all snapshots, newest first.
+ * @returns {Promise<Array<{id: string, takenAt: number, models: Array, changes: Array, baseline: boolean}>>}
+ */
+export async function listCatalogSnapshots() {
+  const snapshots = await runTransaction('modelSnapshots', 'readonly', (tx) =>
+    tx.objectStore('modelSnapshots').getAll(),
+  );
+  return snapshots.sort((a, b) => b.takenAt - a.takenAt);
+}
+
+/**
+ * Compare the fetched catalog with the latest snapshot and store a new snapshot when it
+ * differs (or when there is none yet).
+ * @param {Array} models - display models as returned by fetchModels
+ * @returns {Promise<{changes: Array, baseline: boolean}>} the changes since the previous
+ *   snapshot; `baseline` is true when this was the first snapshot
+ */
+export async function recordCatalogSnapshot(models) {
+  const current = models.map(toSnapshotModel);
+  const snapshots = await listCatalogSnapshots();
+  const latest = snapshots[0];
+  const changes = latest ? diffCatalogs(latest.models, current) : [];
+  if (latest && !changes.length) return { changes, baseline: false };
+
+  const takenAt = Date.now();
+  const snapshot = { id: `snap_${takenAt.toString(36)}`, takenAt, models: current, changes, baseline: !latest };
+  const stale = snapshots.slice(MAX_SNAPSHOTS - 1);
+  await runTransaction('modelSnapshots', 'readwrite', (tx) => {
+    const store = tx.objectStore('modelSnapshots');
+    store.put(snapshot);
+    for (const s of stale) store.delete(s.id);
+  });
+  return { changes, baseline: !latest };
+}
+
+/**
+ * Delete all snapshots; the next sync starts a new baseline.
+ * @returns {Promise<void>}
+ */
+export async function clearCatalogHistory() {
+  await runTransaction('modelSnapshots', 'readwrite', (tx) => {
+    tx.objectStore('modelSnapshots').clear();
+  });
+}
+
+/**
+ * Latest change per model and type within `RECENT_CHANGE_MS`, for card badges.
+ * @param {Array} snapshots - newest first
+ * @param {number} [now]
+ * @returns {Map<string, Array>} model id → changes (each with `takenAt`)
+ */
+export function recentChangesByModel(snapshots, now = Date.now()) {
+  const byModel = new Map();
+  for (const s of snapshots) {
+    if (now - s.takenAt > RECENT_CHANGE_MS) break;
+    for (const c of s.changes) {
+      const list = byModel.get(c.modelId) || [];
+      if (!list.some((x) => x.type === c.type)) list.push({ ...c, takenAt: s.takenAt });
+      byModel.set(c.modelId, list);
+    }
+  }
+  return byModel;
+}
+
+const fmtMultiplier = (v) => (v == null ? '—' : `${v}×`);
+const fmtTokens = (v) => (v == null ? '—' : `${Math.round(v / 1000)}k`);
+
+/**
+ * Badge text and style for a change.
+ * @returns {{label: string, className: string, detail: string}}
+ */
+export function describeChange(change) {
+  const { type, from, to } = change;
+  switch (type) {
+    case 'added':
+      return { label: 'NEW', className: 'change-added', detail: `新增模型（${fmtMultiplier(to)}）` };
+    case 'removed':
+      return { label: 'REMOVED', className: 'change-removed', detail: '已从目录移除' };
+    case 'multiplier': {
+      const up = (to ?? 0) > (from ?? 0);
+      return {
+        label: up ? 'PRICE ↑' : 'PRICE ↓',
+        className: up ? 'change-up' : 'change-down',
+        detail: `倍率 ${fmtMultiplier(from)} → ${fmtMultiplier(to)}`,
+      };
+    }
+    case 'tier':
+      return { label: 'TIER', className: 'change-tier', detail: `级别 ${from ?? '—'} → ${to ?? '—'}` };
+    case 'context': {
+      const up = (to ?? 0) > (from ?? 0);
+      return { label: up ? 'CTX ↑' : 'CTX ↓', className: 'change-tier', detail: `上下文 ${fmtTokens(from)} → ${fmtTokens(to)}` };
+    }
+    default:
+      return { label: type, className: 'change-tier', detail: '' };
+  }
+}
+
+/**
+ * One browser notification summarizing catalog changes, when the user opted in to
+ * alert notifications (Settings → alerts) and granted permission.
+ * @param {Array} changes
+ */
+export function notifyCatalogChanges(changes) {
+  if (!changes.length || !loadAlertSettings().notify) return;
+  if (!notificationsSupported() || Notification.permission !== 'granted') return;
+  const lines = changes.slice(0, 5).map((c) => `${describeChange(c).label} ${c.name}`);
+  if (changes.length > 5) lines.push(`…另有 ${changes.length - 5} 项`);
+  try {
+    new Notification(`Copilot 模型目录有 ${changes.length} 项变化`, { body: lines.join('\n'), tag: 'copilot-catalog' });
+  } catch (e) {
+    console.warn('[CopilotApp] Could not show notification:', e);
+  }
+}
@@ -0,0 +1,114 @@
+/**
+ * Tests for catalog snapshots: diffs between syncs, the first snapshot as a baseline and
+ * the recent-change badges.
+ */
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { diffCatalogs, recentChangesByModel, recordCatalogSnapshot, RECENT_CHANGE_MS } from './catalogHistory.js';
+
+// In-memory stand-in for the IndexedDB `modelSnapshots` store
+const store = new Map();
+vi.mock('./db.js', () => ({
+  runTransaction: async (storeName, mode, callback) => callback({
+    objectStore: () => ({
+      getAll: () => [...store.values()],
+      put: (value) => store.set(value.id, value),
+      delete: (id) => store.delete(id),
+      clear: () => store.clear(),
+    }),
+  }),
+}));
+
+const snap = (id, overrides = {}) => ({ id, name: id, tier: 'premium', multiplier: 1, contextWindow: 128_000, ...overrides });
+const model = (id, overrides = {}) => ({ id, name: id, tier: 'premium', multiplier: 1, contextWindow: 128_000, ...overrides });
+
+beforeEach(() => {
+  store.clear();
+  vi.useRealTimers();
+});
+
+describe('diffCatalogs', () => {
+  it('reports added and removed models', () => {
+    const changes = diffCatalogs([snap('gpt-4o')], [snap('gpt-4.1', { multiplier: 0 })]);
+    expect(changes).toEqual([
+      { type: 'added', modelId: 'gpt-4.1', name: 'gpt-4.1', to: 0 },
+      { type: 'removed', modelId: 'gpt-4o', name: 'gpt-4o', from: 1 },
+    ]);
+  });
+
+  it('reports multiplier, tier and context window changes separately', () => {
+    const changes = diffCatalogs(
+      [snap('claude-opus-4.6', { multiplier: 3, tier: 'premium', contextWindow: 200_000 })],
+      [snap('claude-opus-4.6', { multiplier: 10, tier: 'standard', contextWindow: 1_000_000 })],
+    );
+    expect(changes.map((c) => [c.type, c.from, c.to])).toEqual([
+      ['multiplier', 3, 10],
+      ['tier', 'premium', 'standard'],
+      ['context', 200_000, 1_000_000],
+    ]);
+  });
+
+  it('treats a multiplier appearing or disappearing as a change', () => {
+    expect(diffCatalogs([snap('a', { multiplier: null })], [snap('a', { multiplier: 1 })])).toHaveLength(1);
+    expect(diffCatalogs([snap('a', { multiplier: 1 })], [snap('a', { multiplier: null })])).toHaveLength(1);
+  });
+
+  it('finds nothing between identical catalogs, whatever their order', () => {
+    expect(diffCatalogs([snap('a'), snap('b')], [snap('b'), snap('a')])).toEqual([]);
+  });
+});
+
+describe('recordCatalogSnapshot', () => {
+  it('stores the first snapshot as a baseline without changes', async () => {
+    const result = await recordCatalogSnapshot([model('gpt-4.1'), model('claude-sonnet-4.5')]);
+    expect(result).toEqual({ changes: [], baseline: true });
+    const [stored] = store.values();
+    expect(stored).toMatchObject({ baseline: true, changes: [] });
+    expect(stored.models.map((m) => m.id)).toEqual(['gpt-4.1', 'claude-sonnet-4.5']);
+  });
+
+  it('stores nothing when the catalog did not change', async () => {
+    await recordCatalogSnapshot([model('gpt-4.1')]);
+    expect(await recordCatalogSnapshot([model('gpt-4.1')])).toEqual({ changes: [], baseline: false });
+    expect(store.size).toBe(1);
+  });
+
+  it('stores a snapshot with its changes when the catalog changed', async () => {
+    vi.useFakeTimers();
+    vi.setSystemTime(1_000_000);
+    await recordCatalogSnapshot([model('gpt-4.1')]);
+    vi.setSystemTime(2_000_000);
+    const result = await recordCatalogSnapshot([model('gpt-4.1', { multiplier: 2 })]);
+    expect(result.baseline).toBe(false);
+    expect(result.changes).toEqual([{ type: 'multiplier', modelId: 'gpt-4.1', name: 'gpt-4.1', from: 1, to: 2 }]);
+    expect([...store.values()].map((s) => s.baseline)).toEqual([true, false]);
+  });
+});
+
+describe('recentChangesByModel', () => {
+  const now = 100 * RECENT_CHANGE_MS;
+  const change = (type, modelId, extra = {}) => ({ type, modelId, name: modelId, ...extra });
+
+  it('keeps the newest change of each type per model', () => {
+    const snapshots = [
+      { takenAt: now - 1000, changes: [change('multiplier', 'a', { from: 2, to: 3 })] },
+      { takenAt: now - 2000, changes: [change('multiplier', 'a', { from: 1, to: 2 }), change('tier', 'a')] },
+    ];
+    const recent = recentChangesByModel(snapshots, now);
+    expect(recent.get('a').map((c) => [c.type, c.to, c.takenAt])).toEqual([
+      ['multiplier', 3, now - 1000],
+      ['tier', undefined, now - 2000],
+    ]);
+  });
+
+  it('ignores changes older than RECENT_CHANGE_MS', () => {
+    const snapshots = [
+      { takenAt: now - 1000, changes: [change('added', 'new')] },
+      { takenAt: now - RECENT_CHANGE_MS - 1, changes: [change('added', 'old')] },
+    ];
+    expect([...recentChangesByModel(snapshots, now).keys()]).toEqual(['new']);
+  });
+
+  it('has nothing to show for a baseline', () => {
+    expect(recentChangesByModel([{ takenAt: now, changes: [], baseline: true }], now).size).toBe(0);
+  });
+});
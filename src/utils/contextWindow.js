@@ -0,0 +1,173 @@
+/**
+ * Local token estimates and context-window fitting for chat requests.
+ *
+ * There is no tokenizer for every Copilot model in the browser, so counts are a
+ * heuristic: ~4 characters per token for Latin text, one token per CJK character, a
+ * fixed cost per image and a small per-message overhead. That is close enough to decide
+ * when history has to be trimmed; the API's `usage` stays the source of truth.
+ */
+import { sendChatMessage, sendResponsesStream } from '../api/copilot.js';
+import { usesResponsesApi } from '../api/responses.js';
+
+export const CONTEXT_STRATEGIES = {
+  trim: { label: 'Drop oldest messages' },
+  summarize: { label: 'Summarize older messages' },
+  off: { label: 'Send full history' },
+};
+export const DEFAULT_CONTEXT_STRATEGY = 'trim';
+
+const MESSAGE_OVERHEAD_TOKENS = 4;
+const IMAGE_TOKENS = 765;
+// Summarizing trims below the budget so the cut point (and cached summary) moves rarely
+const SUMMARY_TARGET_RATIO = 0.75;
+const SUMMARY_MAX_TOKENS = 1024;
+
+// Hiragana / Katakana, CJK ideographs and Hangul: roughly one token per character
+const CJK_PATTERN = /[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uac00-\ud7af\uf900-\ufaff]/g;
+
+/** Estimated tokens of a plain string */
+export function estimateTextTokens(text) {
+  if (!text) return 0;
+  const cjk = text.match(CJK_PATTERN)?.length || 0;
+  return cjk + Math.ceil((text.length - cjk) / 4);
+}
+
+/** Estimated tokens of one API message (string or multi-part content, tool calls) */
+export function estimateMessageTokens(msg) {
+  let tokens = MESSAGE_OVERHEAD_TOKENS;
+  if (typeof msg.content === 'string') {
+    tokens += estimateTextTokens(msg.content);
+  } else if (Array.isArray(msg.content)) {
+    for (const part of msg.content) {
+      tokens += part.type === 'image_url' ? IMAGE_TOKENS : estimateTextTokens(part.text);
+    }
+  }
+  for (const tc of msg.tool_calls || []) {
+    tokens += estimateTextTokens(tc.function?.name) + estimateTextTokens(tc.function?.arguments);
+  }
+  return tokens;
+}
+
+/**
+ * Estimated prompt tokens of a request: messages plus tool definitions.
+ * @param {Array} messages - API messages
+ * @param {Array} [tools] - Chat Completions tool definitions
+ * @returns {number}
+ */
+export function estimateRequestTokens(messages, tools = []) {
+  const toolTokens = tools.length ? estimateTextTokens(JSON.stringify(tools)) : 0;
+  return messages.reduce((sum, m) => sum + estimateMessageTokens(m), 3) + toolTokens;
+}
+
+/**
+ * Prompt tokens a request may use: the context window minus the output reserved by
+ * `maxTokens`, capped by the model's prompt limit when the API reports one.
+ * @param {object} model - model from fetchModels
+ * @param {number} maxTokens
+ * @returns {number|null} null when the model's context window is unknown
+ */
+export function getPromptBudget(model, maxTokens) {
+  if (!model?.contextWindow) return null;
+  const budget = model.contextWindow - maxTokens;
+  const promptLimit = model.maxPromptTokens;
+  return Math.max(0, promptLimit ? Math.min(budget, promptLimit) : budget);
+}
+
+/**
+ * Index of the first history message to keep so the request fits the budget. Always
+ * keeps the last `keepLast` messages (the current turn) and starts the kept history
+ * at a user message so no reply is sent without its prompt.
+ *
+ * @param {Array} history - API messages, excluding system messages
+ * @param {number} fixedTokens - system prompt, tool definitions, summary, …
+ * @param {number} budget
+ * @param {number} [keepLast=1]
+ * @returns {number} 0 when everything fits
+ */
+function findHistoryCut(history, fixedTokens, budget, keepLast = 1) {
+  const costs = history.map(estimateMessageTokens);
+  let total = fixedTokens + costs.reduce((a, b) => a + b, 0);
+  const limit = Math.max(0, history.length - keepLast);
+  let cut = 0;
+  while (cut < limit && (total > budget || (cut > 0 && history[cut].role !== 'user'))) {
+    total -= costs[cut];
+    cut += 1;
+  }
+  return cut;
+}
+
+/**
+ * Drop the oldest history from `messages` (leading system messages are kept) until the
+ * request fits `target`.
+ * @param {Array} messages - API messages
+ * @param {Array} tools - tool definitions sent with the request
+ * @param {number} target - prompt token budget
+ * @param {number} [keepLast=1] - trailing messages that are never dropped
+ * @returns {{messages: Array, dropped: Array}}
+ */
+export function trimToBudget(messages, tools, target, keepLast = 1) {
+  let head = messages.findIndex((m) => m.role !== 'system');
+  if (head === -1) head = messages.length;
+  const history = messages.slice(head);
+  const cut = findHistoryCut(history, estimateRequestTokens(messages.slice(0, head), tools), target, keepLast);
+  if (!cut) return { messages, dropped: [] };
+  return { messages: [...messages.slice(0, head), ...history.slice(cut)], dropped: history.slice(0, cut) };
+}
+
+/** Target prompt size when a strategy has to cut history */
+export function getTrimTarget(strategy, budget) {
+  return strategy === 'summarize' ? Math.floor(budget * SUMMARY_TARGET_RATIO) : budget;
+}
+
+/** System message carrying the summary of dropped history */
+export function summaryMessage(summary) {
+  return { role: 'system', content: `Summary of the earlier part of this conversation:\n${summary}` };
+}
+
+/**
+ * Ask the model for a compact summary of messages that no longer fit. Models only served
+ * through the Responses API are asked there.
+ * @param {string} copilotToken
+ * @param {object} model - model info (id, supportedEndpoints)
+ * @param {Array} dropped - API messages being removed from the request
+ * @param {AbortSignal} signal
+ * @returns {Promise<{summary: string, usage: object}>}
+ */
+export async function summarizeHistory(copilotToken, model, dropped, signal) {
+  const transcript = dropped
+    .map((m) => {
+      const text = typeof m.content === 'string'
+        ? m.content
+        : (m.content || []).map((p) => (p.type === 'text' ? p.text : '[image]')).join('\n');
+      return `${m.role.toUpperCase()}: ${text}`;
+    })
+    .join('\n\n');
+  const messages = [
+    {
+      role: 'system',
+      content: 'Summarize the conversation below for use as context in a later turn. Keep facts, decisions, '
+        + 'code identifiers, open questions and user preferences. Be concise; do not add commentary.',
+    },
+    { role: 'user', content: transcript },
+  ];
+  if (usesResponsesApi(model)) {
+    let content = '';
+    const { usage } = await sendResponsesStream(copilotToken, model.id, messages, (chunk) => {
+      content += chunk;
+    }, signal, { maxTokens: SUMMARY_MAX_TOKENS, modelInfo: model });
+    return { summary: content.trim(), usage };
+  }
+  const { content, usage } = await sendChatMessage(copilotToken, model.id, messages, {
+    temperature: 0.2,
+    maxTokens: SUMMARY_MAX_TOKENS,
+    signal,
+  });
+  return { summary: content.trim(), usage };
+}
+
+/** Compact token count, e.g. 950 → "950", 12_345 → "12.3k", 1_000_000 → "1M" */
+export function formatTokenCount(tokens) {
+  if (tokens >= 1_000_000) return `${+(tokens / 1_000_000).toFixed(1)}M`;
+  if (tokens >= 1000) return `${+(tokens / 1000).toFixed(1)}k`;
+  return String(tokens);
+}
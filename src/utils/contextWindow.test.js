@@ -0,0 +1,64 @@
+/**
+ * Tests for summarizing dropped history: the request goes to the endpoint the model is
+ * served through (see usesResponsesApi).
+ */
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { sendChatMessage, sendResponsesStream } from '../api/copilot.js';
+import { summarizeHistory } from './contextWindow.js';
+
+vi.mock('../api/copilot.js', () => ({
+  sendChatMessage: vi.fn(),
+  sendResponsesStream: vi.fn(),
+}));
+
+const DROPPED = [
+  { role: 'user', content: 'Use tabs, not spaces' },
+  { role: 'assistant', content: [{ type: 'text', text: 'Noted.' }] },
+];
+const USAGE = { prompt_tokens: 40, completion_tokens: 8, total_tokens: 48 };
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  sendChatMessage.mockResolvedValue({ content: ' The user prefers tabs. ', usage: USAGE });
+  sendResponsesStream.mockImplementation(async (token, model, messages, onChunk) => {
+    onChunk(' The user ');
+    onChunk('prefers tabs. ');
+    return { usage: USAGE };
+  });
+});
+
+describe('summarizeHistory', () => {
+  it('uses chat completions for models served there', async () => {
+    const model = { id: 'gpt-4.1', supportedEndpoints: ['/chat/completions', '/responses'] };
+    const signal = new AbortController().signal;
+    const result = await summarizeHistory('token', model, DROPPED, signal);
+
+    expect(result).toEqual({ summary: 'The user prefers tabs.', usage: USAGE });
+    expect(sendResponsesStream).not.toHaveBeenCalled();
+    const [, modelId, messages, options] = sendChatMessage.mock.calls[0];
+    expect(modelId).toBe('gpt-4.1');
+    expect(messages[1].content).toBe('USER: Use tabs, not spaces\n\nASSISTANT: Noted.');
+    expect(options).toMatchObject({ signal });
+  });
+
+  it('uses the Responses API for responses-only models and joins the streamed text', async () => {
+    const model = { id: 'gpt-5.1-codex', reasoning: true, supportedEndpoints: ['/responses'] };
+    const signal = new AbortController().signal;
+    const result = await summarizeHistory('token', model, DROPPED, signal);
+
+    expect(result).toEqual({ summary: 'The user prefers tabs.', usage: USAGE });
+    expect(sendChatMessage).not.toHaveBeenCalled();
+    const [, modelId, messages, , passedSignal, options] = sendResponsesStream.mock.calls[0];
+    expect(modelId).toBe('gpt-5.1-codex');
+    expect(messages[1].content).toContain('USER: Use tabs, not spaces');
+    expect(passedSignal).toBe(signal);
+    expect(options.modelInfo).toBe(model);
+    expect(options).not.toHaveProperty('temperature');
+  });
+
+  it('uses chat completions when the model advertises no endpoints', async () => {
+    await summarizeHistory('token', { id: 'claude-sonnet-4' }, DROPPED);
+    expect(sendChatMessage).toHaveBeenCalledOnce();
+    expect(sendResponsesStream).not.toHaveBeenCalled();
+  });
+});
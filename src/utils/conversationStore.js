@@ -0,0 +1,204 @@
+/**
+ * Conversation persistence backed by IndexedDB.
+ *
+ * Conversations are stored as metadata records (no message bodies) so the sidebar can
+ * render without loading every message. Messages live in their own store, one record
+ * per message, and are loaded lazily per conversation via loadMessages().
+ */
+import { runTransaction } from './db.js';
+import { CONVERSATIONS_KEY } from '../constants.js';
+
+// Message objects (by identity) already written to IndexedDB → the seq they were written with.
+// Lets syncConversations() skip unchanged messages without deep comparison.
+const _persistedSeq = new WeakMap();
+
+/** Generate a unique message id */
+export function createMessageId() {
+  return `msg_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+}
+
+function toConversationRecord(conv) {
+  const { messages, ...meta } = conv;
+  return {
+    ...meta,
+    messageCount: messages ? messages.length : (meta.messageCount ?? 0),
+    updatedAt: Date.now(),
+  };
+}
+
+/** Queue puts for new or moved messages; returns the [msg, seq] pairs written. */
+function putMessages(store, convId, messages) {
+  const written = [];
+  messages.forEach((msg, seq) => {
+    if (_persistedSeq.get(msg) === seq) return;
+    store.put({ ...msg, convId, seq });
+    written.push([msg, seq]);
+  });
+  return written;
+}
+
+function deleteConversationMessages(store, convId) {
+  const req = store.index('convId').getAllKeys(IDBKeyRange.only(convId));
+  req.onsuccess = () => req.result.forEach((key) => store.delete(key));
+}
+
+/**
+ * One-time migration of the legacy `copilot_conversations` localStorage blob.
+ * The blob is only removed after the IndexedDB transaction commits.
+ * @returns {Promise<number>} number of conversations migrated
+ */
+export async function migrateLegacyConversations() {
+  let legacy;
+  try {
+    legacy = JSON.parse(localStorage.getItem(CONVERSATIONS_KEY) || 'null');
+  } catch (err) {
+    console.warn('[CopilotApp] Could not parse legacy conversations, skipping migration:', err);
+    return 0;
+  }
+  if (!legacy || typeof legacy !== 'object') return 0;
+
+  const entries = Object.entries(legacy).filter(([, conv]) => conv && typeof conv === 'object');
+  await runTransaction(['conversations', 'messages'], 'readwrite', (tx) => {
+    const convStore = tx.objectStore('conversations');
+    const msgStore = tx.objectStore('messages');
+    for (const [key, conv] of entries) {
+      const id = conv.id || key;
+      const messages = (Array.isArray(conv.messages) ? conv.messages : [])
+        .map((m) => ({ ...m, id: m.id || createMessageId(), pending: false }));
+      convStore.put(toConversationRecord({
+        ...conv,
+        id,
+        createdAt: typeof conv.createdAt === 'number' ? conv.createdAt : 0,
+        messages,
+      }));
+      messages.forEach((msg, seq) => msgStore.put({ ...msg, convId: id, seq }));
+    }
+  });
+  localStorage.removeItem(CONVERSATIONS_KEY);
+  console.log(`[CopilotApp] Migrated ${entries.length} conversation(s) from localStorage to IndexedDB`);
+  return entries.length;
+}
+
+/**
+ * Load conversation metadata (without message bodies).
+ * @returns {Promise<object>} map of conversation id → conversation record
+ */
+export async function listConversations() {
+  const records = await runTransaction('conversations', 'readonly', (tx) =>
+    tx.objectStore('conversations').getAll(),
+  );
+  return Object.fromEntries(records.map((r) => [r.id, r]));
+}
+
+/**
+ * Load the messages of one conversation in display order.
+ * Messages that were still streaming when the page closed are marked as finished.
+ * @param {string} convId
+ * @returns {Promise<Array>}
+ */
+export async function loadMessages(convId) {
+  const records = await runTransaction('messages', 'readonly', (tx) =>
+    tx.objectStore('messages').index('convId').getAll(IDBKeyRange.only(convId)),
+  );
+  return records
+    .sort((a, b) => a.seq - b.seq)
+    .map((record) => {
+      const { convId: _convId, seq, ...msg } = record;
+      const loaded = msg.pending ? { ...msg, pending: false } : msg;
+      if (!msg.pending) _persistedSeq.set(loaded, seq);
+      return loaded;
+    });
+}
+
+/**
+ * Load every stored message, grouped by conversation (used to build the search index).
+ * @returns {Promise<object>} map of conversation id → messages in display order
+ */
+export async function loadAllMessages() {
+  const records = await runTransaction('messages', 'readonly', (tx) =>
+    tx.objectStore('messages').getAll(),
+  );
+  const byConv = {};
+  for (const record of records.sort((a, b) => a.seq - b.seq)) {
+    const { convId, seq: _seq, ...msg } = record;
+    (byConv[convId] ||= []).push(msg);
+  }
+  return byConv;
+}
+
+/**
+ * Write the difference between two conversation maps to IndexedDB in one transaction.
+ * Conversations whose object identity changed are rewritten, messages are only written
+ * when new or moved, and conversations/messages missing from `next` are deleted.
+ * Conversations whose messages have not been loaded yet keep their stored messages.
+ *
+ * @param {object|null} prev - the map that was last synced (null on first sync)
+ * @param {object} next - the current conversation map
+ * @returns {Promise<void>}
+ */
+export async function syncConversations(prev, next) {
+  const before = prev || {};
+  const changed = Object.values(next).filter((conv) => before[conv.id] !== conv);
+  const removed = Object.keys(before).filter((id) => !(id in next));
+  if (!changed.length && !removed.length) return;
+
+  const written = [];
+  await runTransaction(['conversations', 'messages'], 'readwrite', (tx) => {
+    const convStore = tx.objectStore('conversations');
+    const msgStore = tx.objectStore('messages');
+
+    for (const conv of changed) {
+      convStore.put(toConversationRecord(conv));
+      if (!conv.messages) continue;
+      written.push(...putMessages(msgStore, conv.id, conv.messages));
+      const keep = new Set(conv.messages.map((m) => m.id));
+      if (before[conv.id]?.messages) {
+        for (const old of before[conv.id].messages) {
+          if (!keep.has(old.id)) msgStore.delete(old.id);
+        }
+      } else {
+        // The previous message list was never loaded (e.g. replaced by an import):
+        // drop whatever is stored for this conversation that is not in the new list
+        const req = msgStore.index('convId').getAllKeys(IDBKeyRange.only(conv.id));
+        req.onsuccess = () => req.result.forEach((key) => !keep.has(key) && msgStore.delete(key));
+      }
+    }
+
+    for (const id of removed) {
+      convStore.delete(id);
+      deleteConversationMessages(msgStore, id);
+    }
+  });
+  // Only remember messages as persisted once the transaction has committed
+  written.forEach(([msg, seq]) => _persistedSeq.set(msg, seq));
+}
+
+/** Delete every stored conversation and message (and the legacy localStorage blob). */
+export async function clearConversations() {
+  localStorage.removeItem(CONVERSATIONS_KEY);
+  await runTransaction(['conversations', 'messages'], 'readwrite', (tx) => {
+    tx.objectStore('conversations').clear();
+    tx.objectStore('messages').clear();
+  });
+}
+
+/**
+ * Report how much is stored.
+ * @returns {Promise<{conversations: number, messages: number, usage: number|null, quota: number|null}>}
+ *   usage / quota are origin-wide byte estimates from the Storage API, null when unsupported.
+ */
+export async function getStorageUsage() {
+  const counts = await runTransaction(['conversations', 'messages'], 'readonly', (tx) => ({
+    conversations: tx.objectStore('conversations').count(),
+    messages: tx.objectStore('messages').count(),
+  }));
+  const estimate = navigator.storage?.estimate
+    ? await navigator.storage.estimate().catch(() => ({}))
+    : {};
+  return {
+    conversations: counts.conversations.result,
+    messages: counts.messages.result,
+    usage: estimate.usage ?? null,
+    quota: estimate.quota ?? null,
+  };
+}
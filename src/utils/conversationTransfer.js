@@ -0,0 +1,266 @@
+/**
+ * Conversation export (Markdown transcript, full-fidelity JSON, OpenAI chat JSONL)
+ * and the matching import for JSON / JSONL files.
+ */
+import { createMessageId } from './conversationStore.js';
+import { getActiveBranch, normalizeTree } from './messageTree.js';
+import { toApiContent } from './attachments.js';
+
+export const EXPORT_FORMATS = {
+  markdown: { label: 'Markdown', extension: 'md', mime: 'text/markdown' },
+  json: { label: 'JSON (full)', extension: 'json', mime: 'application/json' },
+  jsonl: { label: 'OpenAI JSONL', extension: 'jsonl', mime: 'application/jsonl' },
+};
+
+const JSON_FORMAT_ID = 'copilot-app-conversations';
+const JSON_FORMAT_VERSION = 1;
+
+function slugify(text) {
+  return (text || 'conversation')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 40) || 'conversation';
+}
+
+function formatDate(ms) {
+  return typeof ms === 'number' && ms > 0 ? new Date(ms).toISOString() : '—';
+}
+
+function conversationToMarkdown(conv) {
+  const lines = [`# ${conv.title || 'New chat'}`, ''];
+  if (conv.model) lines.push(`- **Model:** ${conv.model}`);
+  lines.push(`- **Created:** ${formatDate(conv.createdAt)}`);
+  if (conv.systemPrompt) lines.push(`- **System prompt:** ${conv.systemPrompt}`);
+  lines.push('');
+
+  for (const msg of getActiveBranch(conv.messages, conv.currentId)) {
+    if (msg.role === 'system') continue;
+    const heading = msg.role === 'user' ? '🧑 You' : `🤖 ${msg.model || 'Assistant'}`;
+    lines.push('---', '', `### ${heading}`, '');
+    for (const att of msg.attachments || []) lines.push(`_[image: ${att.name}]_`, '');
+    for (const tc of msg.toolCalls || []) {
+      lines.push(`> 🔧 \`${tc.name}(${tc.arguments})\``, '');
+    }
+    lines.push(msg.content || '', '');
+    const meta = [];
+    if (msg.requestedModel) meta.push(`fallback from ${msg.requestedModel}`);
+    if (msg.temperature != null) meta.push(`temperature ${msg.temperature}`);
+    for (const [name, value] of Object.entries(msg.requestParams || {})) meta.push(`${name} ${JSON.stringify(value)}`);
+    if (msg.usage?.total_tokens != null) meta.push(`${msg.usage.total_tokens} tokens`);
+    if (msg.premiumRequests != null) meta.push(`${msg.premiumRequests} premium requests`);
+    if (meta.length) lines.push(`<sub>${meta.join(' · ')}</sub>`, '');
+  }
+  return lines.join('\n');
+}
+
+/** OpenAI chat fine-tuning record for a conversation's active branch */
+function conversationToOpenAIRecord(conv) {
+  const messages = [];
+  if (conv.systemPrompt) messages.push({ role: 'system', content: conv.systemPrompt });
+  for (const msg of getActiveBranch(conv.messages, conv.currentId)) {
+    if (msg.role === 'system' || msg.error) continue;
+    if (msg.role === 'assistant' && msg.toolCalls?.length) {
+      messages.push({
+        role: 'assistant',
+        content: null,
+        tool_calls: msg.toolCalls.map((tc) => ({
+          id: tc.id,
+          type: 'function',
+          function: { name: tc.name, arguments: tc.arguments },
+        })),
+      });
+      for (const tc of msg.toolCalls) {
+        messages.push({ role: 'tool', tool_call_id: tc.id, content: tc.result ?? '' });
+      }
+    }
+    messages.push({ role: msg.role, content: toApiContent(msg, true) });
+  }
+  return { messages };
+}
+
+/**
+ * Serialize conversations (with their messages loaded) in the given format.
+ * Markdown and JSONL contain the active branch only; JSON keeps every branch.
+ * @param {Array} conversations
+ * @param {'markdown'|'json'|'jsonl'} format
+ * @returns {string}
+ */
+export function exportConversations(conversations, format) {
+  switch (format) {
+    case 'markdown':
+      return conversations.map(conversationToMarkdown).join('\n\n');
+    case 'jsonl':
+      return conversations.map((c) => JSON.stringify(conversationToOpenAIRecord(c))).join('\n') + '\n';
+    case 'json':
+      return JSON.stringify({
+        format: JSON_FORMAT_ID,
+        version: JSON_FORMAT_VERSION,
+        exportedAt: new Date().toISOString(),
+        conversations,
+      }, null, 2);
+    default:
+      throw new Error(`Unknown export format: ${format}`);
+  }
+}
+
+/**
+ * Suggest a download file name for an export.
+ * @param {Array} conversations
+ * @param {string} format - key of EXPORT_FORMATS
+ */
+export function exportFileName(conversations, format) {
+  const { extension } = EXPORT_FORMATS[format];
+  if (conversations.length === 1) return `${slugify(conversations[0].title)}.${extension}`;
+  return `copilot-conversations-${new Date().toISOString().slice(0, 10)}.${extension}`;
+}
+
+/** Trigger a browser download of `text` */
+export function downloadFile(fileName, text, mime) {
+  const url = URL.createObjectURL(new Blob([text], { type: mime }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+function textFromContent(content) {
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return '';
+  return content.filter((p) => p?.type === 'text').map((p) => p.text).join('\n');
+}
+
+function attachmentsFromContent(content) {
+  if (!Array.isArray(content)) return [];
+  return content
+    .filter((p) => p?.type === 'image_url' && p.image_url?.url?.startsWith('data:'))
+    .map((p, i) => ({
+      id: `att_import_${i}_${Math.random().toString(36).slice(2, 8)}`,
+      name: `image-${i + 1}`,
+      type: /^data:([^;,]+)/.exec(p.image_url.url)?.[1] || 'image/png',
+      dataUrl: p.image_url.url,
+    }));
+}
+
+/** Rebuild a conversation from one OpenAI chat JSONL record */
+function conversationFromOpenAIRecord(record, index) {
+  if (!Array.isArray(record?.messages)) {
+    throw new Error(`Line ${index + 1}: expected an object with a "messages" array`);
+  }
+  const messages = [];
+  let systemPrompt = '';
+  let pendingToolCalls = [];
+  for (const m of record.messages) {
+    if (m.role === 'system') {
+      systemPrompt = textFromContent(m.content);
+    } else if (m.role === 'assistant' && m.tool_calls?.length && !m.content) {
+      pendingToolCalls = m.tool_calls.map((tc) => ({
+        id: tc.id,
+        name: tc.function?.name || '',
+        arguments: tc.function?.arguments || '',
+      }));
+    } else if (m.role === 'tool') {
+      const tc = pendingToolCalls.find((t) => t.id === m.tool_call_id);
+      if (tc) tc.result = textFromContent(m.content);
+    } else if (m.role === 'user' || m.role === 'assistant') {
+      const attachments = attachmentsFromContent(m.content);
+      messages.push({
+        id: createMessageId(),
+        role: m.role,
+        content: textFromContent(m.content),
+        ...(attachments.length ? { attachments } : {}),
+        ...(m.role === 'assistant' && pendingToolCalls.length ? { toolCalls: pendingToolCalls } : {}),
+      });
+      if (m.role === 'assistant') pendingToolCalls = [];
+    }
+  }
+  const firstUser = messages.find((m) => m.role === 'user');
+  return {
+    id: `conv_import_${Date.now()}_${index}`,
+    title: firstUser?.content.slice(0, 40) || 'Imported chat',
+    createdAt: Date.now(),
+    ...(systemPrompt ? { systemPrompt } : {}),
+    messages: normalizeTree(messages),
+  };
+}
+
+function validateConversation(conv, index) {
+  if (!conv || typeof conv !== 'object' || typeof conv.id !== 'string' || !conv.id) {
+    throw new Error(`Conversation ${index + 1}: missing "id"`);
+  }
+  if (!Array.isArray(conv.messages)) {
+    throw new Error(`Conversation ${index + 1}: missing "messages" array`);
+  }
+  conv.messages.forEach((m, i) => {
+    if (!m || typeof m.role !== 'string' || (typeof m.content !== 'string' && m.content != null)) {
+      throw new Error(`Conversation ${index + 1}, message ${i + 1}: expected "role" and text "content"`);
+    }
+  });
+}
+
+/**
+ * Parse an exported JSON file (this app's format, or a bare array of conversations)
+ * or an OpenAI chat JSONL file into conversations ready to add to the sidebar.
+ * @param {string} text - file contents
+ * @returns {Array} conversations with messages
+ */
+export function parseConversationImport(text) {
+  const trimmed = text.trim();
+  if (!trimmed) throw new Error('The file is empty');
+
+  let parsed;
+  try {
+    parsed = JSON.parse(trimmed);
+  } catch {
+    // Not a single JSON document → treat as JSONL (one record per line)
+    return trimmed
+      .split('\n')
+      .filter((line) => line.trim())
+      .map((line, i) => {
+        let record;
+        try { record = JSON.parse(line); } catch {
+          throw new Error(`Line ${i + 1} is not valid JSON`);
+        }
+        return conversationFromOpenAIRecord(record, i);
+      });
+  }
+
+  // A JSONL file with a single line also parses as one JSON object
+  if (Array.isArray(parsed?.messages)) return [conversationFromOpenAIRecord(parsed, 0)];
+
+  const list = Array.isArray(parsed) ? parsed : parsed?.conversations;
+  if (!Array.isArray(list)) {
+    throw new Error('Unrecognized file: expected a conversations export or OpenAI chat JSONL');
+  }
+  if (parsed?.format === JSON_FORMAT_ID && parsed.version > JSON_FORMAT_VERSION) {
+    throw new Error(`Export version ${parsed.version} is newer than this app supports`);
+  }
+  list.forEach(validateConversation);
+  return list.map((conv) => ({
+    ...conv,
+    createdAt: typeof conv.createdAt === 'number' ? conv.createdAt : Date.now(),
+    messages: normalizeTree(conv.messages.map((m) => ({ ...m, id: m.id || createMessageId(), pending: false }))),
+  }));
+}
+
+/**
+ * Copy a conversation with fresh message ids (message ids are global keys in
+ * IndexedDB, so imported messages must never reuse ids already on disk).
+ * @param {object} conv
+ * @param {string} [newId] - new conversation id (defaults to the original)
+ * @returns {object}
+ */
+export function withFreshIds(conv, newId = conv.id) {
+  const idMap = new Map(conv.messages.map((m) => [m.id, createMessageId()]));
+  return {
+    ...conv,
+    id: newId,
+    currentId: idMap.get(conv.currentId) ?? null,
+    messages: conv.messages.map((m) => ({
+      ...m,
+      id: idMap.get(m.id),
+      parentId: m.parentId != null ? (idMap.get(m.parentId) ?? null) : null,
+    })),
+  };
+}
@@ -0,0 +1,94 @@
+/**
+ * Thin promise wrapper around the app's IndexedDB database.
+ * Object stores are created in `upgradeDatabase`; bump DB_VERSION and add a new
+ * `oldVersion < N` block when a feature needs another store.
+ */
+
+const DB_NAME = 'copilot_app';
+const DB_VERSION = 4;
+
+let _dbPromise = null;
+
+function upgradeDatabase(db, oldVersion) {
+  if (oldVersion < 1) {
+    // One record per conversation (metadata only) and one record per message
+    db.createObjectStore('conversations', { keyPath: 'id' });
+    const messages = db.createObjectStore('messages', { keyPath: 'id' });
+    messages.createIndex('convId', 'convId');
+  }
+  if (oldVersion < 2) {
+    // Model arena runs: one record per prompt with one result per model
+    db.createObjectStore('arenaRuns', { keyPath: 'id' });
+  }
+  if (oldVersion < 3) {
+    // Usage ledger: one record per completion request the app sends
+    const ledger = db.createObjectStore('usageLedger', { keyPath: 'id' });
+    ledger.createIndex('timestamp', 'timestamp');
+  }
+  if (oldVersion < 4) {
+    // Model catalog snapshots: one record per sync that changed the catalog
+    db.createObjectStore('modelSnapshots', { keyPath: 'id' });
+  }
+}
+
+/**
+ * Open (and upgrade if needed) the app database. The connection is shared.
+ * @returns {Promise<IDBDatabase>}
+ */
+export function openDatabase() {
+  if (_dbPromise) return _dbPromise;
+  if (typeof indexedDB === 'undefined') {
+    return Promise.reject(new Error('IndexedDB is not available in this browser'));
+  }
+
+  _dbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = (e) => upgradeDatabase(request.result, e.oldVersion);
+    request.onsuccess = () => {
+      const db = request.result;
+      // Another tab upgraded the schema: drop our connection so the next call reopens it
+      db.onversionchange = () => {
+        db.close();
+        _dbPromise = null;
+      };
+      resolve(db);
+    };
+    request.onerror = () => {
+      _dbPromise = null;
+      reject(request.error);
+    };
+    request.onblocked = () => {
+      console.warn('[CopilotApp] IndexedDB upgrade blocked by another open tab');
+    };
+  });
+
+  return _dbPromise;
+}
+
+/**
+ * Run `callback(tx)` inside a single transaction and resolve once it commits.
+ * IndexedDB transactions auto-commit when no requests are pending, so the callback
+ * must issue its requests synchronously. If the callback returns an IDBRequest the
+ * promise resolves with that request's result, otherwise with the returned value.
+ *
+ * @param {string|string[]} storeNames
+ * @param {'readonly'|'readwrite'} mode
+ * @param {function(IDBTransaction): *} callback
+ * @returns {Promise<*>}
+ */
+export async function runTransaction(storeNames, mode, callback) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeNames, mode);
+    let out;
+    tx.oncomplete = () => resolve(out instanceof IDBRequest ? out.result : out);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('IndexedDB transaction aborted'));
+    try {
+      out = callback(tx);
+    } catch (err) {
+      tx.abort();
+      reject(err);
+    }
+  });
+}
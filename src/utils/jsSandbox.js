@@ -0,0 +1,232 @@
+/**
+ * Sandboxed JavaScript execution for the `run_javascript` chat tool.
+ *
+ * Each run gets a fresh hidden iframe (`sandbox="allow-scripts"`, so an opaque origin
+ * with no access to the page or its storage) that starts a Web Worker built from a
+ * Blob. The iframe's Content-Security-Policy is inherited by the worker and is what
+ * actually cuts the network: `connect-src 'none'` stops fetch / XHR / WebSocket and
+ * `script-src` without any host stops dynamic `import()` and importScripts of remote
+ * code, whatever the model's code builds at runtime. On top of that the worker removes
+ * the network and storage APIs it can reach and replaces the console with a recorder.
+ * The main thread removes the iframe (terminating the worker) when the CPU time limit
+ * is hit, which also stops infinite loops.
+ *
+ * Browser support: a worker whose script is a blob: URL inherits the policy of the
+ * document that created it (CSP Level 3, HTML "initialize a worker's policy container").
+ * Current Chromium-based browsers, Firefox and Safari apply it; older engines ran such
+ * workers with no policy at all. So the sandbox doesn't rely on it blindly: before any
+ * code runs, the worker checks (probeNetwork) that fetch, XMLHttpRequest, WebSocket and
+ * importScripts are refused, and reports an error instead of running the code when one
+ * of them gets through.
+ */
+
+export const SANDBOX_TIMEOUT_MS = 5000;
+const MAX_LOG_CHARS = 20_000;
+
+/**
+ * Which network APIs of `scope` the policy fails to block. Probes use data: URLs, which
+ * never touch the network, so a failure can only come from the policy. Runs inside the
+ * worker (stringified with sandboxMain); the calls start synchronously so they use the
+ * real APIs before sandboxMain removes them.
+ * @param {object} scope - the worker global
+ * @returns {Promise<string[]>} names of the APIs that still work
+ */
+export async function probeNetwork(scope) {
+  const reachable = [];
+  if (scope.XMLHttpRequest) {
+    try {
+      const xhr = new scope.XMLHttpRequest();
+      xhr.open('GET', 'data:,', false);
+      xhr.send();
+      reachable.push('XMLHttpRequest');
+    } catch { /* blocked */ }
+  }
+  if (scope.WebSocket) {
+    // The policy check happens in the constructor; without one it would go on to connect
+    try {
+      new scope.WebSocket('wss://sandbox-probe.invalid/').close();
+      reachable.push('WebSocket');
+    } catch { /* blocked */ }
+  }
+  if (scope.importScripts) {
+    try {
+      scope.importScripts('data:text/javascript,');
+      reachable.push('importScripts');
+    } catch { /* blocked */ }
+  }
+  if (scope.fetch) {
+    try {
+      await scope.fetch('data:,');
+      reachable.push('fetch');
+    } catch { /* blocked */ }
+  }
+  return reachable;
+}
+
+// Runs inside the worker. Kept as a plain function so it can be stringified into the Blob.
+function sandboxMain(probe) {
+  const networkCheck = probe(self);
+  // postMessage too: the code must not be able to fake a result; our own copy is bound first
+  const BLOCKED = [
+    'fetch', 'XMLHttpRequest', 'WebSocket', 'WebTransport', 'EventSource', 'importScripts',
+    'indexedDB', 'caches', 'Worker', 'SharedWorker', 'BroadcastChannel', 'Request', 'Response',
+    'navigator', 'location', 'open', 'postMessage',
+  ];
+  const post = self.postMessage.bind(self);
+  for (const name of BLOCKED) {
+    // The APIs live on the global object and on the WorkerGlobalScope prototypes
+    for (let obj = self; obj; obj = Object.getPrototypeOf(obj)) {
+      try { delete obj[name]; } catch { /* non-configurable */ }
+    }
+    try {
+      Object.defineProperty(self, name, { value: undefined, writable: false, configurable: false });
+    } catch { /* already locked */ }
+  }
+
+  const format = (value) => {
+    if (typeof value === 'string') return value;
+    if (value instanceof Error) return `${value.name}: ${value.message}`;
+    if (typeof value === 'function') return `[Function ${value.name || 'anonymous'}]`;
+    if (typeof value === 'bigint') return `${value}n`;
+    if (value === undefined) return 'undefined';
+    try { return JSON.stringify(value, null, 2) ?? String(value); } catch { return String(value); }
+  };
+  // Console lines are posted as they happen so output survives a timeout
+  const record = (level) => (...args) => post({ type: 'log', level, text: args.map(format).join(' ') });
+  const sandboxConsole = {
+    log: record('log'), info: record('info'), debug: record('debug'),
+    warn: record('warn'), error: record('error'), table: record('log'), dir: record('log'),
+  };
+  Object.defineProperty(self, 'console', { value: sandboxConsole, writable: false, configurable: false });
+
+  self.onmessage = async (e) => {
+    const reachable = await networkCheck;
+    if (reachable.length) {
+      post({ type: 'done', error: `Not run: this browser doesn't block ${reachable.join(', ')} in the sandbox` });
+      return;
+    }
+    try {
+      // Async wrapper: the code may use top-level await and `return` a value
+      const run = new Function(`"use strict"; return (async () => {\n${e.data.code}\n})();`);
+      const value = await run();
+      post({ type: 'done', result: value === undefined ? null : format(value) });
+    } catch (err) {
+      post({ type: 'done', error: err instanceof Error ? `${err.name}: ${err.message}` : format(err) });
+    }
+  };
+}
+
+const WORKER_SOURCE = `(${sandboxMain.toString()})(${probeNetwork.toString()});`;
+
+// 'unsafe-eval' is needed to run the code through `new Function`; nothing else may load
+const FRAME_CSP = "default-src 'none'; script-src 'unsafe-inline' 'unsafe-eval'; worker-src blob:; connect-src 'none'";
+
+// Runs inside the sandboxed iframe: starts the worker and relays messages both ways
+function frameMain(workerSource) {
+  const host = parent;
+  window.onmessage = (e) => {
+    if (e.source !== host) return;
+    const worker = new Worker(URL.createObjectURL(new Blob([workerSource], { type: 'text/javascript' })));
+    worker.onmessage = (m) => host.postMessage(m.data, '*');
+    worker.onerror = (err) => {
+      // Syntax errors in the code surface here
+      err.preventDefault();
+      host.postMessage({ type: 'done', error: err.message || 'Worker error' }, '*');
+    };
+    worker.postMessage(e.data);
+  };
+  host.postMessage({ type: 'ready' }, '*');
+}
+
+const FRAME_SOURCE = `<!doctype html><meta http-equiv="Content-Security-Policy" content="${FRAME_CSP}">`
+  + `<script>(${frameMain.toString()})(${JSON.stringify(WORKER_SOURCE).replace(/</g, '\\u003c')});</script>`;
+
+/**
+ * Run code in a fresh locked-down worker.
+ * @param {string} code - body of an async function
+ * @param {object} [options]
+ * @param {number} [options.timeoutMs]
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<{logs: Array<{level: string, text: string}>, result: string|null, error: string|null, timedOut: boolean, durationMs: number}>}
+ */
+export function runSandboxedJavaScript(code, { timeoutMs = SANDBOX_TIMEOUT_MS, signal } = {}) {
+  if (typeof Worker === 'undefined' || typeof document === 'undefined') {
+    return Promise.reject(new Error('Web Workers are not available in this browser'));
+  }
+  return new Promise((resolve, reject) => {
+    const frame = document.createElement('iframe');
+    frame.setAttribute('sandbox', 'allow-scripts');
+    frame.style.display = 'none';
+    frame.srcdoc = FRAME_SOURCE;
+    const started = performance.now();
+    const logs = [];
+    let logChars = 0;
+    let timer;
+
+    const finish = () => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+      window.removeEventListener('message', onMessage);
+      // Removing the iframe terminates its worker
+      frame.remove();
+    };
+    const onAbort = () => {
+      finish();
+      reject(new DOMException('Aborted', 'AbortError'));
+    };
+
+    const onMessage = (e) => {
+      // The iframe has an opaque origin, so its messages are recognised by their source
+      if (e.source !== frame.contentWindow || !e.data) return;
+      if (e.data.type === 'ready') {
+        frame.contentWindow.postMessage({ code }, '*');
+        return;
+      }
+      if (e.data.type === 'log') {
+        // Keep memory bounded when the code logs in a tight loop
+        if (logChars < MAX_LOG_CHARS) logs.push({ level: e.data.level, text: e.data.text });
+        logChars += e.data.text.length;
+        return;
+      }
+      finish();
+      resolve({
+        logs,
+        result: e.data.result ?? null,
+        error: e.data.error ?? null,
+        timedOut: false,
+        durationMs: Math.round(performance.now() - started),
+      });
+    };
+    timer = setTimeout(() => {
+      finish();
+      resolve({
+        logs,
+        result: null,
+        error: `Execution exceeded the ${timeoutMs / 1000}s CPU time limit and was stopped`,
+        timedOut: true,
+        durationMs: timeoutMs,
+      });
+    }, timeoutMs);
+    signal?.addEventListener('abort', onAbort);
+
+    window.addEventListener('message', onMessage);
+    document.body.appendChild(frame);
+  });
+}
+
+/**
+ * Tool result text for the model: console output, return value and error.
+ * @param {{logs: Array, result: string|null, error: string|null}} run
+ * @returns {string}
+ */
+export function formatSandboxResult(run) {
+  let output = run.logs
+    .map((l) => (l.level === 'log' || l.level === 'info' || l.level === 'debug' ? l.text : `[${l.level}] ${l.text}`))
+    .join('\n');
+  if (output.length > MAX_LOG_CHARS) output = `${output.slice(0, MAX_LOG_CHARS)}\n… (output truncated)`;
+  const parts = [];
+  if (output) parts.push(`Console output:\n${output}`);
+  if (run.result != null) parts.push(`Return value:\n${run.result}`);
+  if (run.error) parts.push(`Error: ${run.error}`);
+  return parts.join('\n\n') || 'The code ran without output.';
+}
@@ -0,0 +1,87 @@
+/**
+ * Tests for the sandbox's network check. The iframe and its worker need a browser; the
+ * probe that decides whether code may run is checked here against stand-in globals.
+ */
+import { describe, expect, it } from 'vitest';
+import { probeNetwork } from './jsSandbox.js';
+
+const refused = () => {
+  throw new DOMException('Refused by Content-Security-Policy', 'SecurityError');
+};
+
+/** Worker global as it looks under the sandbox policy: every probe is refused */
+function blockedScope() {
+  return {
+    fetch: () => Promise.reject(new TypeError('Failed to fetch')),
+    XMLHttpRequest: class {
+      open() {}
+      send() { refused(); }
+    },
+    WebSocket: class {
+      constructor() { refused(); }
+    },
+    importScripts: refused,
+  };
+}
+
+/** Worker global without a policy: data: URLs load and the socket constructor returns */
+function openScope() {
+  return {
+    fetch: (url) => fetch(url),
+    XMLHttpRequest: class {
+      open() {}
+      send() {}
+    },
+    WebSocket: class {
+      close() {}
+    },
+    importScripts: () => {},
+  };
+}
+
+describe('probeNetwork', () => {
+  it('reports nothing when fetch, XMLHttpRequest, WebSocket and importScripts all fail', async () => {
+    expect(await probeNetwork(blockedScope())).toEqual([]);
+  });
+
+  it('names every API that gets through', async () => {
+    expect((await probeNetwork(openScope())).sort()).toEqual(['WebSocket', 'XMLHttpRequest', 'fetch', 'importScripts']);
+  });
+
+  it('names a single API the policy misses', async () => {
+    const scope = { ...blockedScope(), fetch: openScope().fetch };
+    expect(await probeNetwork(scope)).toEqual(['fetch']);
+  });
+
+  it('probes with data: URLs only, so it never reaches the network', async () => {
+    const urls = [];
+    const track = (url) => { urls.push(url); refused(); };
+    await probeNetwork({
+      fetch: async (url) => track(url),
+      XMLHttpRequest: class {
+        open(method, url) { this.url = url; }
+        send() { track(this.url); }
+      },
+      importScripts: track,
+    });
+    expect(urls).toHaveLength(3);
+    expect(urls.every((url) => url.startsWith('data:'))).toBe(true);
+  });
+
+  it('starts every probe before its first await, while the real APIs are still in place', async () => {
+    const scope = openScope();
+    const calls = [];
+    for (const name of ['fetch', 'importScripts']) {
+      const original = scope[name];
+      scope[name] = (...args) => { calls.push(name); return original(...args); };
+    }
+    const pending = probeNetwork(scope);
+    // sandboxMain deletes the globals right after starting the probe
+    expect(calls.sort()).toEqual(['fetch', 'importScripts']);
+    await pending;
+  });
+
+  it('skips APIs the global does not have', async () => {
+    expect(await probeNetwork({})).toEqual([]);
+  });
+});
@@ -0,0 +1,184 @@
+/**
+ * Minimal JSON Schema validator for structured output replies.
+ *
+ * Covers the keywords extraction schemas actually use (the subset OpenAI structured
+ * outputs accept, plus common string / number / array constraints): type, enum, const,
+ * properties, required, additionalProperties, items, prefixItems, min/maxItems,
+ * uniqueItems, min/maxLength, pattern, format (date, date-time, email, uri),
+ * minimum / maximum (and exclusive), multipleOf, min/maxProperties, anyOf / oneOf /
+ * allOf / not, and local `$ref`s (`#/$defs/…`, `#/definitions/…`). Unknown keywords are
+ * ignored rather than rejected.
+ */
+
+/**
+ * @typedef {object} SchemaError
+ * @property {string} path - JSON Pointer to the offending value ("" for the root)
+ * @property {string} message
+ */
+
+const FORMATS = {
+  date: /^\d{4}-\d{2}-\d{2}$/,
+  'date-time': /^\d{4}-\d{2}-\d{2}[Tt ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?([Zz]|[+-]\d{2}:?\d{2})?$/,
+  email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+  uri: /^[a-zA-Z][a-zA-Z\d+.-]*:\S+$/,
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value; // 'object' | 'string' | 'number' | 'boolean'
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'integer') return actual === 'number' && Number.isInteger(value);
+  return actual === type;
+}
+
+function deepEqual(a, b) {
+  if (a === b) return true;
+  if (typeOf(a) !== typeOf(b) || typeof a !== 'object' || a === null) return false;
+  if (Array.isArray(a)) return a.length === b.length && a.every((v, i) => deepEqual(v, b[i]));
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every((k) => deepEqual(a[k], b[k]));
+}
+
+function escapePointer(key) {
+  return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/** Resolve a local `$ref` against the root schema */
+function resolveRef(ref, root) {
+  if (!ref.startsWith('#')) throw new Error(`Only local $refs are supported (got "${ref}")`);
+  return ref
+    .slice(1)
+    .split('/')
+    .filter(Boolean)
+    .map((p) => decodeURIComponent(p).replace(/~1/g, '/').replace(/~0/g, '~'))
+    .reduce((node, key) => {
+      if (node == null || !(key in node)) throw new Error(`Unresolvable $ref "${ref}"`);
+      return node[key];
+    }, root);
+}
+
+function validateNode(value, schema, path, root, errors) {
+  if (schema === true || schema == null) return;
+  if (schema === false) {
+    errors.push({ path, message: 'no value is allowed here' });
+    return;
+  }
+  if (schema.$ref) {
+    validateNode(value, resolveRef(schema.$ref, root), path, root, errors);
+    return;
+  }
+
+  const push = (message) => errors.push({ path, message });
+
+  if (schema.type != null) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((t) => matchesType(value, t))) {
+      push(`expected ${types.join(' or ')}, got ${typeOf(value)}`);
+      return;
+    }
+  }
+  if (schema.enum && !schema.enum.some((v) => deepEqual(v, value))) {
+    push(`must be one of ${schema.enum.map((v) => JSON.stringify(v)).join(', ')}`);
+  }
+  if ('const' in schema && !deepEqual(schema.const, value)) {
+    push(`must equal ${JSON.stringify(schema.const)}`);
+  }
+
+  const type = typeOf(value);
+  if (type === 'string') {
+    const length = [...value].length;
+    if (schema.minLength != null && length < schema.minLength) push(`must be at least ${schema.minLength} characters`);
+    if (schema.maxLength != null && length > schema.maxLength) push(`must be at most ${schema.maxLength} characters`);
+    if (schema.pattern != null && !new RegExp(schema.pattern, 'u').test(value)) push(`must match /${schema.pattern}/`);
+    if (FORMATS[schema.format] && !FORMATS[schema.format].test(value)) push(`must be a valid ${schema.format}`);
+  } else if (type === 'number') {
+    if (schema.minimum != null && value < schema.minimum) push(`must be ≥ ${schema.minimum}`);
+    if (schema.maximum != null && value > schema.maximum) push(`must be ≤ ${schema.maximum}`);
+    if (schema.exclusiveMinimum != null && value <= schema.exclusiveMinimum) push(`must be > ${schema.exclusiveMinimum}`);
+    if (schema.exclusiveMaximum != null && value >= schema.exclusiveMaximum) push(`must be < ${schema.exclusiveMaximum}`);
+    if (schema.multipleOf && Math.abs(value / schema.multipleOf - Math.round(value / schema.multipleOf)) > 1e-9) {
+      push(`must be a multiple of ${schema.multipleOf}`);
+    }
+  } else if (type === 'array') {
+    if (schema.minItems != null && value.length < schema.minItems) push(`must have at least ${schema.minItems} items`);
+    if (schema.maxItems != null && value.length > schema.maxItems) push(`must have at most ${schema.maxItems} items`);
+    if (schema.uniqueItems && value.some((v, i) => value.findIndex((w) => deepEqual(v, w)) !== i)) {
+      push('items must be unique');
+    }
+    const prefix = schema.prefixItems || [];
+    value.forEach((item, i) => {
+      const itemSchema = i < prefix.length ? prefix[i] : schema.items;
+      if (itemSchema != null) validateNode(item, itemSchema, `${path}/${i}`, root, errors);
+    });
+  } else if (type === 'object') {
+    const keys = Object.keys(value);
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push({ path: `${path}/${escapePointer(key)}`, message: 'is required' });
+    }
+    if (schema.minProperties != null && keys.length < schema.minProperties) push(`must have at least ${schema.minProperties} properties`);
+    if (schema.maxProperties != null && keys.length > schema.maxProperties) push(`must have at most ${schema.maxProperties} properties`);
+    const properties = schema.properties || {};
+    for (const key of keys) {
+      const childPath = `${path}/${escapePointer(key)}`;
+      if (key in properties) {
+        validateNode(value[key], properties[key], childPath, root, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: childPath, message: 'is not allowed (additionalProperties is false)' });
+      } else if (typeof schema.additionalProperties === 'object') {
+        validateNode(value[key], schema.additionalProperties, childPath, root, errors);
+      }
+    }
+  }
+
+  if (schema.allOf) schema.allOf.forEach((s) => validateNode(value, s, path, root, errors));
+  if (schema.anyOf && !schema.anyOf.some((s) => validate(value, s, root).length === 0)) {
+    push('does not match any of the allowed schemas (anyOf)');
+  }
+  if (schema.oneOf) {
+    const matches = schema.oneOf.filter((s) => validate(value, s, root).length === 0).length;
+    if (matches !== 1) push(`must match exactly one schema in oneOf (matched ${matches})`);
+  }
+  if (schema.not && validate(value, schema.not, root).length === 0) push('must not match the "not" schema');
+}
+
+function validate(value, schema, root) {
+  const errors = [];
+  validateNode(value, schema, '', root, errors);
+  return errors;
+}
+
+/**
+ * Validate a value against a schema.
+ * @param {*} value
+ * @param {object|boolean} schema
+ * @returns {SchemaError[]} empty when the value is valid
+ */
+export function validateJsonSchema(value, schema) {
+  try {
+    return validate(value, schema, schema);
+  } catch (err) {
+    // Bad $ref or pattern: a schema problem, reported at the root
+    return [{ path: '', message: `schema error: ${err.message}` }];
+  }
+}
+
+/**
+ * Parse schema text typed by the user.
+ * @param {string} text
+ * @returns {{schema: object|null, error: string|null}}
+ */
+export function parseJsonSchema(text) {
+  if (!text.trim()) return { schema: null, error: 'Enter a JSON Schema' };
+  let schema;
+  try {
+    schema = JSON.parse(text);
+  } catch (err) {
+    return { schema: null, error: `Invalid JSON: ${err.message}` };
+  }
+  if (typeOf(schema) !== 'object') return { schema: null, error: 'The schema must be a JSON object' };
+  return { schema, error: null };
+}
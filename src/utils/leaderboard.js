@@ -0,0 +1,78 @@
+/**
+ * Elo-style model leaderboard built from blind A/B votes on arena runs.
+ * Ratings are recomputed from scratch (oldest vote first) whenever they are shown,
+ * so there is no separate ratings table to keep in sync with the stored runs.
+ */
+
+export const PROMPT_CATEGORIES = [
+  { id: 'general', label: 'General' },
+  { id: 'coding', label: 'Coding' },
+  { id: 'writing', label: 'Writing' },
+  { id: 'reasoning', label: 'Reasoning' },
+  { id: 'math', label: 'Math' },
+  { id: 'knowledge', label: 'Knowledge' },
+  { id: 'translation', label: 'Translation' },
+];
+
+/** Blind vote outcomes; `score` is A's result (1 win, 0.5 draw, 0 loss) */
+export const VOTE_OUTCOMES = {
+  a: { label: '👈 A is better', score: 1 },
+  b: { label: '👉 B is better', score: 0 },
+  tie: { label: '🤝 Tie', score: 0.5 },
+  bad: { label: '👎 Both bad', score: 0.5 },
+};
+
+const BASE_RATING = 1000;
+const K_FACTOR = 32;
+
+/**
+ * A blind run can be rated only when both replies finished: an error or a stopped reply
+ * would count as an ordinary loss.
+ * @param {object} run
+ * @returns {boolean}
+ */
+export function isRateableRun(run) {
+  return Boolean(run?.results?.length) && run.results.every((r) => !r.pending && !r.error);
+}
+
+/**
+ * Compute per-model ratings from voted blind runs.
+ * @param {Array} runs - arena runs; only rateable `blind` runs with a `vote` count
+ * @param {string} [category] - PROMPT_CATEGORIES id, or '' / 'all' for every category
+ * @returns {Array<{model, rating, games, wins, losses, ties, bothBad}>} best first
+ */
+export function computeLeaderboard(runs, category = '') {
+  const stats = new Map();
+  const entry = (model) => {
+    if (!stats.has(model)) {
+      stats.set(model, { model, rating: BASE_RATING, games: 0, wins: 0, losses: 0, ties: 0, bothBad: 0 });
+    }
+    return stats.get(model);
+  };
+
+  const voted = runs
+    .filter((r) => r.blind && r.vote && r.results?.length === 2 && isRateableRun(r))
+    .filter((r) => !category || category === 'all' || r.category === category)
+    .sort((x, y) => (x.vote.votedAt ?? x.createdAt) - (y.vote.votedAt ?? y.createdAt));
+
+  for (const run of voted) {
+    const outcome = VOTE_OUTCOMES[run.vote.winner];
+    if (!outcome) continue;
+    const a = entry(run.results[0].model);
+    const b = entry(run.results[1].model);
+    const expectedA = 1 / (1 + 10 ** ((b.rating - a.rating) / 400));
+    const delta = K_FACTOR * (outcome.score - expectedA);
+    a.rating += delta;
+    b.rating -= delta;
+    a.games += 1;
+    b.games += 1;
+    if (run.vote.winner === 'a') { a.wins += 1; b.losses += 1; }
+    if (run.vote.winner === 'b') { b.wins += 1; a.losses += 1; }
+    if (run.vote.winner === 'tie') { a.ties += 1; b.ties += 1; }
+    if (run.vote.winner === 'bad') { a.bothBad += 1; b.bothBad += 1; }
+  }
+
+  return [...stats.values()]
+    .map((s) => ({ ...s, rating: Math.round(s.rating) }))
+    .sort((x, y) => y.rating - x.rating || y.games - x.games);
+}
@@ -0,0 +1,49 @@
+/**
+ * Tests for the Elo leaderboard: only finished, voted blind runs are rated.
+ */
+import { describe, expect, it } from 'vitest';
+import { computeLeaderboard, isRateableRun } from './leaderboard.js';
+
+const reply = (model, extra = {}) => ({ model, content: 'reply', pending: false, error: null, ...extra });
+
+function blindRun(winner, results, createdAt = 1) {
+  return { id: `run_${createdAt}`, blind: true, category: 'coding', createdAt, results, vote: { winner, votedAt: createdAt } };
+}
+
+describe('isRateableRun', () => {
+  it('requires every reply to have finished without an error', () => {
+    expect(isRateableRun({ results: [reply('a'), reply('b')] })).toBe(true);
+    expect(isRateableRun({ results: [reply('a'), reply('b', { pending: true })] })).toBe(false);
+    expect(isRateableRun({ results: [reply('a'), reply('b', { error: 'Stopped' })] })).toBe(false);
+    expect(isRateableRun({ results: [reply('a'), reply('b', { error: '429 Too Many Requests' })] })).toBe(false);
+    expect(isRateableRun({ results: [] })).toBe(false);
+    expect(isRateableRun(null)).toBe(false);
+  });
+});
+
+describe('computeLeaderboard', () => {
+  it('rates the winner of a voted blind run above the loser', () => {
+    const [first, second] = computeLeaderboard([blindRun('a', [reply('gpt-4.1'), reply('claude-sonnet-4')])]);
+    expect(first).toMatchObject({ model: 'gpt-4.1', rating: 1016, games: 1, wins: 1 });
+    expect(second).toMatchObject({ model: 'claude-sonnet-4', rating: 984, games: 1, losses: 1 });
+  });
+
+  it('leaves out runs where a reply failed or was stopped', () => {
+    const runs = [
+      blindRun('a', [reply('gpt-4.1'), reply('claude-sonnet-4', { error: 'Stopped' })], 1),
+      blindRun('b', [reply('gpt-4.1', { error: 'Server error' }), reply('claude-sonnet-4')], 2),
+    ];
+    expect(computeLeaderboard(runs)).toEqual([]);
+  });
+
+  it('ignores unvoted, non-blind and other-category runs', () => {
+    const results = [reply('gpt-4.1'), reply('claude-sonnet-4')];
+    const runs = [
+      { ...blindRun('a', results), vote: null },
+      { ...blindRun('a', results), blind: false },
+      { ...blindRun('a', results), category: 'math' },
+    ];
+    expect(computeLeaderboard(runs, 'coding')).toEqual([]);
+    expect(computeLeaderboard(runs, 'all')).toHaveLength(2);
+  });
+});
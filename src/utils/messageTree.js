@@ -0,0 +1,66 @@
+/**
+ * Helpers for branching conversations.
+ *
+ * A conversation's `messages` array holds every node of the tree in creation order.
+ * Each node points at its parent via `parentId` (null for the first turn); nodes that
+ * share a parent are sibling versions (edits / regenerations). `conversation.currentId`
+ * is the leaf of the branch currently shown and sent to the model.
+ */
+
+/**
+ * Give nodes from linear (pre-branching) conversations a parentId so the array
+ * forms a single chain. Nodes that already have one are returned unchanged.
+ * @param {Array} messages
+ * @returns {Array}
+ */
+export function normalizeTree(messages) {
+  if (messages.every((m) => m.parentId !== undefined)) return messages;
+  return messages.map((m, i) =>
+    m.parentId !== undefined ? m : { ...m, parentId: i > 0 ? messages[i - 1].id : null },
+  );
+}
+
+/**
+ * Return the nodes on the path from the root to `currentId`, in order.
+ * Falls back to the most recently created node when currentId is unknown.
+ * @param {Array} messages - all nodes of the conversation
+ * @param {string|null|undefined} currentId
+ * @returns {Array}
+ */
+export function getActiveBranch(messages, currentId) {
+  if (!messages?.length) return [];
+  const byId = new Map(messages.map((m) => [m.id, m]));
+  let node = byId.get(currentId) || messages[messages.length - 1];
+  const branch = [];
+  while (node) {
+    branch.push(node);
+    node = node.parentId != null ? byId.get(node.parentId) : null;
+  }
+  return branch.reverse();
+}
+
+/**
+ * Return all versions of a node (nodes sharing its parent), in creation order.
+ * @param {Array} messages
+ * @param {object} node
+ * @returns {Array}
+ */
+export function getSiblings(messages, node) {
+  return messages.filter((m) => (m.parentId ?? null) === (node.parentId ?? null));
+}
+
+/**
+ * Follow the most recently created child from `nodeId` down to a leaf.
+ * Used when switching to a sibling version so the rest of that branch is shown.
+ * @param {Array} messages
+ * @param {string} nodeId
+ * @returns {string} leaf node id
+ */
+export function getLatestLeaf(messages, nodeId) {
+  let leafId = nodeId;
+  for (;;) {
+    const children = messages.filter((m) => m.parentId === leafId);
+    if (!children.length) return leafId;
+    leafId = children[children.length - 1].id;
+  }
+}
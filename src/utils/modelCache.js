@@ -0,0 +1,52 @@
+/**
+ * Persistent model list cache (stale-while-revalidate).
+ *
+ * The enriched model list (fetchModels plus the annual-plan doc multipliers) is saved in
+ * localStorage per GitHub user, so the Models tab renders immediately on the next page
+ * load or PWA launch and refreshes in the background. When the refresh fails (offline,
+ * API errors) the cached list stays on screen, marked as stale.
+ */
+import { MODELS_CACHE_KEY } from '../constants.js';
+
+function readCache() {
+  try {
+    return JSON.parse(localStorage.getItem(MODELS_CACHE_KEY) || '{}');
+  } catch (e) {
+    console.warn('[CopilotApp] Could not read model cache:', e);
+    return {};
+  }
+}
+
+function writeCache(cache) {
+  try {
+    localStorage.setItem(MODELS_CACHE_KEY, JSON.stringify(cache));
+  } catch (e) {
+    console.warn('[CopilotApp] Could not save model cache:', e);
+  }
+}
+
+/**
+ * Cached model list of a user.
+ * @param {string|undefined} username
+ * @returns {{models: Array, savedAt: number}|null}
+ */
+export function readModelCache(username) {
+  if (!username) return null;
+  const entry = readCache()[username];
+  return Array.isArray(entry?.models) && entry.models.length ? entry : null;
+}
+
+/**
+ * Save a user's model list.
+ * @param {string|undefined} username
+ * @param {Array} models
+ */
+export function writeModelCache(username, models) {
+  if (!username) return;
+  // `_raw` duplicates the API fields that are already spread into each model
+  const slim = models.map((model) => {
+    const { _raw, ...rest } = model;
+    return rest;
+  });
+  writeCache({ ...readCache(), [username]: { models: slim, savedAt: Date.now() } });
+}
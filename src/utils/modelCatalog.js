@@ -0,0 +1,159 @@
+/**
+ * Model catalog: fallback tier, multiplier and display name per model id, used by
+ * fetchModels when the live models API doesn't supply them.
+ *
+ * The bundled catalog (src/data/modelCatalog.json) can be replaced by one loaded from a
+ * URL (re-fetched once a day) or a local file, and individual models can be overridden
+ * in Settings. Catalogs are versioned and validated against CATALOG_SCHEMA before use;
+ * an invalid one is rejected and the previous catalog stays active.
+ *
+ * Precedence is unchanged from the hard-coded table this replaces: the API's
+ * billing.multiplier beats the catalog multiplier, and for tier
+ * billing.is_premium > policy.is_premium > catalog tier > policy.is_free_for_copilot_pro.
+ * Catalog display names replace the API name.
+ */
+import bundledCatalog from '../data/modelCatalog.json';
+import { MODEL_CATALOG_KEY } from '../constants.js';
+import { validateJsonSchema } from './jsonSchema.js';
+
+export const CATALOG_SCHEMA_VERSION = 1;
+
+// A URL catalog older than this is re-fetched on the next model load
+const REMOTE_CATALOG_TTL = 24 * 60 * 60 * 1000;
+
+const ENTRY_SCHEMA = {
+  type: 'object',
+  properties: {
+    tier: { enum: ['premium', 'standard'] },
+    multiplier: { type: 'number', minimum: 0 },
+    freeMultiplier: { type: 'number', minimum: 0 },
+    name: { type: 'string', minLength: 1 },
+  },
+  additionalProperties: false,
+};
+
+export const CATALOG_SCHEMA = {
+  type: 'object',
+  required: ['schemaVersion', 'version', 'models'],
+  properties: {
+    $comment: { type: 'string' },
+    schemaVersion: { const: CATALOG_SCHEMA_VERSION },
+    version: { type: 'string', minLength: 1 },
+    models: { type: 'object', additionalProperties: ENTRY_SCHEMA },
+  },
+  additionalProperties: false,
+};
+
+export const BUNDLED_CATALOG = bundledCatalog;
+
+/**
+ * @typedef {object} CatalogSettings
+ * @property {'bundled'|'url'|'file'} source
+ * @property {string} url - catalog URL (source 'url')
+ * @property {object|null} custom - last valid catalog loaded from the URL or file
+ * @property {number|null} loadedAt - when `custom` was loaded
+ * @property {Object<string, object>} overrides - model id → catalog entry fields
+ */
+export const DEFAULT_CATALOG_SETTINGS = { source: 'bundled', url: '', custom: null, loadedAt: null, overrides: {} };
+
+export function loadCatalogSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(MODEL_CATALOG_KEY) || 'null');
+    return saved ? { ...DEFAULT_CATALOG_SETTINGS, ...saved } : DEFAULT_CATALOG_SETTINGS;
+  } catch (e) {
+    console.warn('[CopilotApp] Could not read model catalog settings from localStorage:', e);
+    return DEFAULT_CATALOG_SETTINGS;
+  }
+}
+
+export function saveCatalogSettings(settings) {
+  try {
+    localStorage.setItem(MODEL_CATALOG_KEY, JSON.stringify(settings));
+  } catch (e) {
+    console.warn('[CopilotApp] Could not save model catalog settings to localStorage:', e);
+  }
+}
+
+/**
+ * Validate a catalog.
+ * @param {*} data
+ * @returns {string[]} readable errors ("/models/gpt-4o/tier must be one of …"), empty when valid
+ */
+export function validateCatalog(data) {
+  return validateJsonSchema(data, CATALOG_SCHEMA).map((e) => `${e.path || '/'} ${e.message}`);
+}
+
+/**
+ * Validate a single model entry (a per-model override).
+ * @param {object} entry
+ * @returns {string[]}
+ */
+export function validateCatalogEntry(entry) {
+  return validateJsonSchema(entry, ENTRY_SCHEMA).map((e) => `${e.path ? `${e.path.slice(1)} ` : ''}${e.message}`);
+}
+
+/**
+ * Parse and validate catalog JSON text.
+ * @param {string} text
+ * @returns {{catalog: object|null, errors: string[]}}
+ */
+export function parseCatalogText(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    return { catalog: null, errors: [`Invalid JSON: ${err.message}`] };
+  }
+  const errors = validateCatalog(data);
+  return errors.length ? { catalog: null, errors } : { catalog: data, errors };
+}
+
+/**
+ * Download and validate a catalog.
+ * @param {string} url
+ * @returns {Promise<object>}
+ */
+export async function fetchCatalog(url) {
+  const response = await fetch(url, { cache: 'no-cache' });
+  if (!response.ok) {
+    throw new Error(`Failed to fetch model catalog: ${response.status} ${response.statusText}`);
+  }
+  const { catalog, errors } = parseCatalogText(await response.text());
+  if (!catalog) {
+    throw new Error(`Invalid model catalog: ${errors.slice(0, 3).join('; ')}${errors.length > 3 ? ' …' : ''}`);
+  }
+  return catalog;
+}
+
+/**
+ * Re-fetch the URL catalog when it is older than a day (or always with `force`).
+ * The previous catalog stays active when the download fails.
+ * @param {object} [options]
+ * @param {boolean} [options.force]
+ * @returns {Promise<CatalogSettings>} the updated settings
+ */
+export async function refreshRemoteCatalog({ force = false } = {}) {
+  const settings = loadCatalogSettings();
+  if (settings.source !== 'url' || !settings.url) return settings;
+  if (!force && settings.loadedAt && Date.now() - settings.loadedAt < REMOTE_CATALOG_TTL) return settings;
+
+  const custom = await fetchCatalog(settings.url);
+  const next = { ...settings, custom, loadedAt: Date.now() };
+  saveCatalogSettings(next);
+  return next;
+}
+
+/**
+ * The catalog in effect: the custom catalog for URL / file sources (bundled until one
+ * has loaded) with the per-model overrides applied.
+ * @param {CatalogSettings} [settings]
+ * @returns {{version: string, source: string, models: Object<string, object>}}
+ */
+export function resolveCatalog(settings = loadCatalogSettings()) {
+  const base = settings.source !== 'bundled' && settings.custom?.models ? settings.custom : BUNDLED_CATALOG;
+  const models = { ...base.models };
+  for (const [id, override] of Object.entries(settings.overrides || {})) {
+    models[id] = { ...models[id], ...override };
+  }
+  return { version: base.version, source: base === BUNDLED_CATALOG ? 'bundled' : settings.source, models };
+}
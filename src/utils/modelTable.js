@@ -0,0 +1,112 @@
+/**
+ * Table mode of the Models tab: column definitions, sorting, CSV export and the saved
+ * layout (cards or table, visible columns).
+ */
+import { MODEL_VIEW_KEY } from '../constants.js';
+import { CAPABILITY_BADGES, formatTokenLimit, getModelDisplayName } from './models.js';
+
+const fmtMultiplier = (v) => (v == null ? '—' : `${v}×`);
+const fmtTokens = (v) => (v ? formatTokenLimit(v) : '—');
+
+/**
+ * Table columns. `value` is what sorting and CSV use (null sorts last), `format` what
+ * the table shows. Columns with `fixed` can't be hidden.
+ */
+export const MODEL_COLUMNS = [
+  { key: 'model', label: 'Model', fixed: true, value: (m) => getModelDisplayName(m), format: (m) => getModelDisplayName(m) },
+  { key: 'id', label: 'ID', value: (m) => m.id, format: (m) => m.id },
+  { key: 'provider', label: 'Provider', value: (m) => m.provider || null, format: (m) => m.provider || '—' },
+  { key: 'tier', label: 'Tier', value: (m) => m.tier || null, format: (m) => (m.tier === 'premium' ? 'Premium' : 'Standard') },
+  { key: 'multiplier', label: 'Rate', numeric: true, value: (m) => m.multiplier ?? null, format: (m) => fmtMultiplier(m.multiplier) },
+  {
+    key: 'annualPlanMultiplier',
+    label: 'Annual',
+    title: 'Annual Pro / Pro+ multiplier from the GitHub docs',
+    numeric: true,
+    value: (m) => m.annualPlanMultiplier ?? null,
+    format: (m) => fmtMultiplier(m.annualPlanMultiplier),
+  },
+  { key: 'freeMultiplier', label: 'Free', title: 'Copilot Free multiplier', numeric: true, value: (m) => m.freeMultiplier ?? null, format: (m) => fmtMultiplier(m.freeMultiplier) },
+  { key: 'contextWindow', label: 'Context', numeric: true, value: (m) => m.contextWindow || null, format: (m) => fmtTokens(m.contextWindow) },
+  { key: 'maxPromptTokens', label: 'Prompt', title: 'Max prompt tokens', numeric: true, value: (m) => m.maxPromptTokens || null, format: (m) => fmtTokens(m.maxPromptTokens) },
+  { key: 'maxOutputTokens', label: 'Output', title: 'Max output tokens', numeric: true, value: (m) => m.maxOutputTokens || null, format: (m) => fmtTokens(m.maxOutputTokens) },
+  { key: 'requestsPerMonth', label: 'Quota', title: 'Monthly request quota', numeric: true, value: (m) => m.requestsPerMonth ?? null, format: (m) => (m.requestsPerMonth != null ? `${m.requestsPerMonth}/mo` : '—') },
+  {
+    key: 'capabilities',
+    label: 'Capabilities',
+    numeric: true,
+    // Sorted by how many capabilities a model has
+    value: (m) => CAPABILITY_BADGES.filter((b) => b.has(m)).length,
+    format: (m) => CAPABILITY_BADGES.filter((b) => b.has(m)).map((b) => b.icon).join(' ') || '—',
+    csv: (m) => CAPABILITY_BADGES.filter((b) => b.has(m)).map((b) => b.label).join('; '),
+  },
+];
+
+export const DEFAULT_MODEL_VIEW = {
+  view: 'cards',
+  columns: ['model', 'provider', 'tier', 'multiplier', 'annualPlanMultiplier', 'freeMultiplier', 'contextWindow', 'maxOutputTokens', 'capabilities'],
+};
+
+export function loadModelView() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(MODEL_VIEW_KEY) || 'null');
+    return saved ? { ...DEFAULT_MODEL_VIEW, ...saved } : DEFAULT_MODEL_VIEW;
+  } catch (e) {
+    console.warn('[CopilotApp] Could not read model view settings from localStorage:', e);
+    return DEFAULT_MODEL_VIEW;
+  }
+}
+
+export function saveModelView(view) {
+  try {
+    localStorage.setItem(MODEL_VIEW_KEY, JSON.stringify(view));
+  } catch (e) {
+    console.warn('[CopilotApp] Could not save model view settings to localStorage:', e);
+  }
+}
+
+/** Visible column definitions, in table order */
+export function getVisibleColumns(keys) {
+  return MODEL_COLUMNS.filter((c) => c.fixed || keys.includes(c.key));
+}
+
+/**
+ * Sort models by a column; missing values go last in either direction.
+ * @param {Array} models
+ * @param {string} key - column key
+ * @param {'asc'|'desc'} dir
+ * @returns {Array} a new array
+ */
+export function sortByColumn(models, key, dir) {
+  const column = MODEL_COLUMNS.find((c) => c.key === key);
+  if (!column) return models;
+  const sign = dir === 'desc' ? -1 : 1;
+  return [...models].sort((a, b) => {
+    const va = column.value(a);
+    const vb = column.value(b);
+    if (va == null || vb == null) return (va == null) - (vb == null);
+    const cmp = typeof va === 'number' && typeof vb === 'number' ? va - vb : String(va).localeCompare(String(vb));
+    return cmp * sign || getModelDisplayName(a).localeCompare(getModelDisplayName(b));
+  });
+}
+
+function csvCell(value) {
+  const text = value == null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV of the given models and columns (raw values, not display formatting). The model
+ * id is always included.
+ * @param {Array} models
+ * @param {Array} columns - column definitions
+ * @returns {string}
+ */
+export function modelsToCsv(models, columns) {
+  const cols = columns.some((c) => c.key === 'id') ? columns : [columns[0], MODEL_COLUMNS.find((c) => c.key === 'id'), ...columns.slice(1)];
+  const rows = [
+    cols.map((c) => csvCell(c.label)).join(','),
+    ...models.map((m) => cols.map((c) => csvCell((c.csv || c.value)(m))).join(',')),
+  ];
+  return `${rows.join('\r\n')}\r\n`;
+}
@@ -0,0 +1,69 @@
+/**
+ * Tests for the Models table: sorting with missing values and the CSV export.
+ */
+import { describe, expect, it } from 'vitest';
+import { getVisibleColumns, modelsToCsv, sortByColumn } from './modelTable.js';
+
+const MODELS = [
+  { id: 'gpt-4.1', name: 'GPT-4.1', provider: 'OpenAI', tier: 'standard', multiplier: 0, contextWindow: 128_000 },
+  { id: 'claude-opus-4.6', name: 'Claude Opus 4.6', provider: 'Anthropic', tier: 'premium', multiplier: 3, contextWindow: 200_000 },
+  { id: 'mystery', name: 'mystery', provider: null, tier: null, multiplier: null, contextWindow: null },
+  { id: 'claude-sonnet-4.5', name: 'Claude Sonnet 4.5', provider: 'Anthropic', tier: 'premium', multiplier: 1, contextWindow: 200_000 },
+];
+
+const ids = (models) => models.map((m) => m.id);
+
+describe('sortByColumn', () => {
+  it('sorts numbers ascending and descending with missing values last both ways', () => {
+    expect(ids(sortByColumn(MODELS, 'multiplier', 'asc'))).toEqual(['gpt-4.1', 'claude-sonnet-4.5', 'claude-opus-4.6', 'mystery']);
+    expect(ids(sortByColumn(MODELS, 'multiplier', 'desc'))).toEqual(['claude-opus-4.6', 'claude-sonnet-4.5', 'gpt-4.1', 'mystery']);
+  });
+
+  it('sorts text columns with missing values last and breaks ties by name', () => {
+    expect(ids(sortByColumn(MODELS, 'provider', 'asc'))).toEqual(['claude-opus-4.6', 'claude-sonnet-4.5', 'gpt-4.1', 'mystery']);
+    // Ties keep the name order even when the direction flips
+    expect(ids(sortByColumn(MODELS, 'provider', 'desc'))).toEqual(['gpt-4.1', 'claude-opus-4.6', 'claude-sonnet-4.5', 'mystery']);
+    expect(ids(sortByColumn(MODELS, 'contextWindow', 'desc'))).toEqual(['claude-opus-4.6', 'claude-sonnet-4.5', 'gpt-4.1', 'mystery']);
+  });
+
+  it('returns a new array and leaves the input alone', () => {
+    const before = ids(MODELS);
+    expect(sortByColumn(MODELS, 'multiplier', 'asc')).not.toBe(MODELS);
+    expect(ids(MODELS)).toEqual(before);
+  });
+
+  it('leaves the order unchanged for an unknown column', () => {
+    expect(ids(sortByColumn(MODELS, 'nope', 'asc'))).toEqual(ids(MODELS));
+  });
+});
+
+describe('modelsToCsv', () => {
+  it('always includes the id column, right after the model name', () => {
+    const csv = modelsToCsv(MODELS.slice(0, 1), getVisibleColumns(['multiplier']));
+    expect(csv).toBe('Model,ID,Rate\r\nGPT-4.1,gpt-4.1,0\r\n');
+  });
+
+  it('does not repeat the id column when it is visible', () => {
+    const [header] = modelsToCsv(MODELS.slice(0, 1), getVisibleColumns(['id', 'tier'])).split('\r\n');
+    expect(header).toBe('Model,ID,Tier');
+  });
+
+  it('writes raw values, with missing ones as empty cells', () => {
+    const csv = modelsToCsv([MODELS[2]], getVisibleColumns(['provider', 'multiplier', 'contextWindow']));
+    expect(csv.split('\r\n')[1]).toBe('mystery,mystery,,,');
+    expect(modelsToCsv([MODELS[1]], getVisibleColumns(['contextWindow'])).split('\r\n')[1]).toBe('Claude Opus 4.6,claude-opus-4.6,200000');
+  });
+
+  it('quotes cells with commas, quotes or line breaks', () => {
+    const model = { id: 'odd', name: 'Model "X", preview\nbuild', provider: 'Acme' };
+    expect(modelsToCsv([model], getVisibleColumns(['provider']))).toBe(
+      'Model,ID,Provider\r\n"Model ""X"", preview\nbuild",odd,Acme\r\n',
+    );
+  });
+
+  it('lists capabilities by name', () => {
+    const model = { id: 'gpt-4.1', name: 'GPT-4.1', toolCalls: true, vision: true };
+    const row = modelsToCsv([model], getVisibleColumns(['capabilities'])).split('\r\n')[1];
+    expect(row).toBe('GPT-4.1,gpt-4.1,Tools; Vision');
+  });
+});
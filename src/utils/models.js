@@ -25,6 +25,53 @@ export function getModelDisplayName(model) {
   return model.name && model.name !== model.id ? model.name : model.id;
 }
 
+/** True when the model's capabilities advertise image input support */
+export function supportsVision(model) {
+  return Boolean(model?.vision);
+}
+
+/** True when the model can call the agentic tools */
+export function supportsTools(model) {
+  return Boolean(model?.toolCalls);
+}
+
+/**
+ * Whether the model takes a sampling parameter (`temperature`, `top_p`): an explicit
+ * `supports.<name>` flag wins, otherwise any known model that isn't a reasoning model.
+ * @param {object|undefined} model
+ * @param {string} name - API field name
+ * @returns {boolean}
+ */
+export function supportsSamplingParam(model, name) {
+  const flag = model?.capabilities?.supports?.[name];
+  if (typeof flag === 'boolean') return flag;
+  return Boolean(model) && !model.reasoning;
+}
+
+/** 128000 → "128k", 1048576 → "1.0M" */
+export function formatTokenLimit(tokens) {
+  return tokens >= 1000000 ? `${(tokens / 1000000).toFixed(1)}M` : `${Math.round(tokens / 1000)}k`;
+}
+
+/** `maxTokens` capped at the model's maximum output, when it reports one */
+export function clampMaxTokens(model, maxTokens) {
+  return model?.maxOutputTokens ? Math.min(maxTokens, model.maxOutputTokens) : maxTokens;
+}
+
+/**
+ * Capability badges for ModelList (filterable); `has` reads the typed fields set by
+ * fetchModels.
+ */
+export const CAPABILITY_BADGES = [
+  { key: 'toolCalls', icon: '🛠', label: 'Tools', title: 'Function / tool calling', has: (m) => m.toolCalls },
+  { key: 'parallelToolCalls', icon: '⇉', label: 'Parallel tools', title: 'Several tool calls per turn', has: (m) => m.parallelToolCalls },
+  { key: 'vision', icon: '👁', label: 'Vision', title: 'Image input', has: (m) => m.vision },
+  { key: 'structuredOutputs', icon: '🧩', label: 'JSON Schema', title: 'Structured outputs (response_format)', has: (m) => m.structuredOutputs },
+  { key: 'reasoning', icon: '🧠', label: 'Reasoning', title: 'Reasoning / thinking model', has: (m) => m.reasoning },
+  { key: 'streaming', icon: '📡', label: 'Streaming', title: 'Streamed responses', has: (m) => m.streaming },
+  { key: 'responses', icon: '↯', label: '/responses', title: 'Served through the Responses API', has: (m) => m.supportedEndpoints?.includes('/responses') },
+];
+
 /** Group models by provider into sorted buckets, ordered by PROVIDER_ORDER */
 export function groupedModels(models) {
   const groups = {};
@@ -0,0 +1,63 @@
+/**
+ * Premium-request accounting for chat replies.
+ *
+ * Every Chat Completions call is billed as one request times the model's multiplier, so
+ * a reply that goes through three tool-loop iterations costs 3 × multiplier. Replies
+ * record `requestCount`, `multiplier` and `premiumRequests` at the time they were sent.
+ * Failed requests (including ones retried or handed to a fallback model) are not billed.
+ */
+
+/** Models at or above this multiplier ask for confirmation before sending */
+export const HIGH_MULTIPLIER_THRESHOLD = 10;
+
+/**
+ * Current paid-plan multiplier of a model, or null when unknown.
+ * @param {Array} models - models from fetchModels
+ * @param {string} modelId
+ * @returns {number|null}
+ */
+export function getModelMultiplier(models, modelId) {
+  const multiplier = models.find((m) => m.id === modelId)?.multiplier;
+  return typeof multiplier === 'number' ? multiplier : null;
+}
+
+/**
+ * Cost fields stored on an assistant message.
+ * @param {Array<number|null>} multipliers - one entry per billed request; they differ when
+ *   the reply fell back to another model
+ * @returns {{requestCount: number, multiplier: number|null, premiumRequests: number|null}}
+ *   `multiplier` is null when requests went to models with different multipliers
+ */
+export function premiumRequestFields(multipliers) {
+  const known = multipliers.every((m) => m != null);
+  return {
+    requestCount: multipliers.length,
+    multiplier: multipliers.every((m) => m === multipliers[0]) ? (multipliers[0] ?? null) : null,
+    premiumRequests: known ? multipliers.reduce((sum, m) => sum + m, 0) : null,
+  };
+}
+
+/**
+ * Premium requests consumed by a conversation: every reply node, including
+ * regenerated versions on other branches (they were billed too).
+ * @param {Array} messages - all nodes of the conversation
+ * @returns {{total: number, replies: number, unknown: number}} `unknown` counts replies
+ *   sent to a model whose multiplier was not known
+ */
+export function conversationPremiumRequests(messages = []) {
+  let total = 0;
+  let replies = 0;
+  let unknown = 0;
+  for (const msg of messages) {
+    if (!msg.requestCount) continue;
+    replies += 1;
+    if (msg.premiumRequests == null) unknown += 1;
+    else total += msg.premiumRequests;
+  }
+  return { total, replies, unknown };
+}
+
+/** Display form of a premium-request amount: whole numbers as-is, fractions to 2 places */
+export function formatPremiumRequests(value) {
+  return Number.isInteger(value) ? String(value) : value.toFixed(2).replace(/\.?0+$/, '');
+}
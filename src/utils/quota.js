@@ -0,0 +1,157 @@
+/**
+ * Premium request quota: plan detection from the Copilot token / subscription data and
+ * a month-end forecast at the current burn rate. Shared by the usage dashboard and the
+ * nav quota button.
+ */
+import { extractPremiumQuota, hasUnlimitedQuotas } from '../api/copilot.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Default plan quota (Copilot Pro = 300 requests/month). Used when subscription data is unavailable. */
+export const DEFAULT_PLAN_QUOTA = 300;
+
+const SKU_NAMES = {
+  copilot_for_individuals: 'Pro',
+  copilot_v2: 'Pro',
+  copilot_pro_plus: 'Pro+',
+  plus_yearly_subscriber_quota: 'Pro+',
+  plus_monthly_subscriber_quota: 'Pro+',
+  pro_plus: 'Pro+',
+  copilot_business: 'Business',
+  business: 'Business',
+  copilot_enterprise: 'Enterprise',
+  enterprise: 'Enterprise',
+};
+
+/** Monthly premium request quota by SKU. When the SKU is not listed here, falls back to
+ *  the API-returned premiumQuota.quota, then to DEFAULT_PLAN_QUOTA via planQuota. */
+const PLAN_QUOTAS = {
+  copilot_for_individuals: 300,
+  copilot_v2: 300,
+  copilot_pro_plus: 1500,
+  plus_yearly_subscriber_quota: 1500,
+  plus_monthly_subscriber_quota: 1500,
+  pro_plus: 1500,
+  copilot_business: 300,
+  business: 300,
+  copilot_enterprise: 1000,
+  enterprise: 1000,
+};
+
+function normalizeSkuValue(value) {
+  return typeof value === 'string' && value.trim() ? value.trim().toLowerCase() : null;
+}
+
+function getFirstRawSkuValue(skuValues) {
+  return skuValues.find((value) => typeof value === 'string' && value.trim())?.trim() || null;
+}
+
+/** Return the first recognized SKU alias from the provided values, or null when none match. */
+function getFirstKnownSku(skuValues) {
+  return skuValues
+    .map(normalizeSkuValue)
+    .find((value) => value && Object.prototype.hasOwnProperty.call(PLAN_QUOTAS, value)) || null;
+}
+
+/**
+ * 00:00 UTC on the 1st of next month, when the monthly quota resets (the quota and the
+ * billing usage API both count calendar months in UTC).
+ */
+export function getNextResetDate(now = new Date()) {
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+}
+
+/** Return a localised string for the 1st day of next month (the UTC date of the reset). */
+export function getNextMonthFirst() {
+  return getNextResetDate().toLocaleDateString('zh-CN', { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' });
+}
+
+/**
+ * Plan and premium quota of the signed-in user.
+ * @param {object|null} copilotTokenData - Copilot token response
+ * @param {object|null} copilotSubscription - subscription endpoint response
+ * @returns {{premiumQuota: object|null, isUnlimited: boolean, sku: string|null, subscriptionType: string|null,
+ *   planName: string, quotaTotal: number|null, quotaUsed: number|null, overage: number, overageUsd: number,
+ *   pct: number|null}}
+ */
+export function resolveQuota(copilotTokenData, copilotSubscription) {
+  // Pass all possible data sources to extractPremiumQuota for comprehensive checking
+  const premiumQuota = extractPremiumQuota(
+    copilotTokenData?.limited_user_quotas,
+    copilotTokenData,
+    copilotSubscription,
+  );
+
+  // True when the API signals that this feature has no usage cap for the current plan
+  const isUnlimited = !premiumQuota && hasUnlimitedQuotas(copilotTokenData?.unlimited_user_quotas);
+
+  const tokenSkuValues = [
+    copilotTokenData?.sku,
+    copilotTokenData?.plan?.sku,
+    copilotTokenData?.subscription_type,
+  ];
+  const subscriptionSkuValues = [
+    copilotSubscription?.sku,
+    copilotSubscription?.plan?.sku,
+    copilotSubscription?.subscription_type,
+  ];
+  const tokenSku = getFirstKnownSku(tokenSkuValues);
+  const subscriptionSku = getFirstKnownSku(subscriptionSkuValues);
+
+  // Prefer the subscription endpoint when it returns a recognized SKU because it is more
+  // accurate for plan aliases like plus_yearly_subscriber_quota. Fall back to token fields,
+  // then to any raw unrecognized value for debugging.
+  const sku = subscriptionSku
+    || tokenSku
+    || getFirstRawSkuValue([...tokenSkuValues, ...subscriptionSkuValues])
+    || null;
+
+  const subscriptionType = [
+    copilotTokenData?.subscription_type,
+    copilotSubscription?.subscription_type,
+  ].map(normalizeSkuValue).find(Boolean) || null;
+
+  const planName = SKU_NAMES[sku]
+    ? `GitHub Copilot ${SKU_NAMES[sku]}`
+    : 'GitHub Copilot';
+
+  // Use PLAN_QUOTAS as the authoritative quota for known subscription plans,
+  // falling back to the raw API-returned value. This ensures Pro+ users (1500
+  // requests/month) always see the correct total, even if the token response
+  // still carries the older 300-request value.
+  const quotaTotal = PLAN_QUOTAS[sku] ?? premiumQuota?.quota ?? null;
+  const quotaUsed = premiumQuota?.used ?? null;
+  const overage = premiumQuota?.overage ?? 0;
+  const overageUsd = premiumQuota?.overage_usd ?? 0;
+  const pct = (quotaTotal !== null && quotaTotal > 0 && quotaUsed !== null) ? Math.min(100, (quotaUsed / quotaTotal) * 100) : null;
+
+  return {
+    premiumQuota, isUnlimited, sku, subscriptionType, planName, quotaTotal, quotaUsed, overage, overageUsd, pct,
+  };
+}
+
+/**
+ * Project when the monthly quota runs out, assuming usage continues at this month's
+ * average daily rate.
+ * @param {number|null} quotaUsed
+ * @param {number|null} quotaTotal
+ * @param {Date} [now]
+ * @returns {{dailyRate: number, projectedUsed: number, exhaustsAt: Date|null, beforeReset: boolean,
+ *   resetAt: Date}|null} null without quota data; `exhaustsAt` is null when nothing was used yet,
+ *   and `now` when the quota is already used up
+ */
+export function forecastQuota(quotaUsed, quotaTotal, now = new Date()) {
+  if (quotaUsed == null || !quotaTotal) return null;
+  const periodStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+  const resetAt = getNextResetDate(now);
+  // At least an hour of history so the first minutes of a month don't extrapolate wildly
+  const elapsedDays = Math.max((now - periodStart) / DAY_MS, 1 / 24);
+  const dailyRate = quotaUsed / elapsedDays;
+  const projectedUsed = dailyRate * ((resetAt - periodStart) / DAY_MS);
+
+  let exhaustsAt = null;
+  if (quotaUsed >= quotaTotal) exhaustsAt = now;
+  else if (dailyRate > 0) exhaustsAt = new Date(now.getTime() + ((quotaTotal - quotaUsed) / dailyRate) * DAY_MS);
+
+  return { dailyRate, projectedUsed, exhaustsAt, beforeReset: exhaustsAt != null && exhaustsAt < resetAt, resetAt };
+}
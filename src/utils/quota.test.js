@@ -0,0 +1,64 @@
+/**
+ * Tests for the quota period: the quota resets at 00:00 UTC on the 1st, whatever the
+ * user's time zone.
+ */
+import process from 'node:process';
+import { afterAll, afterEach, beforeAll, describe, expect, it, vi } from 'vitest';
+import { forecastQuota, getNextResetDate } from './quota.js';
+import { currentAlertState } from './budgetAlerts.js';
+
+const originalTz = process.env.TZ;
+
+beforeAll(() => {
+  // West of UTC: local and UTC months differ for the last hours of each month
+  process.env.TZ = 'America/Los_Angeles';
+});
+
+afterAll(() => {
+  process.env.TZ = originalTz;
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe('getNextResetDate', () => {
+  it('is midnight UTC on the 1st of the next UTC month', () => {
+    expect(getNextResetDate(new Date('2026-10-15T12:00:00Z')).toISOString()).toBe('2026-11-01T00:00:00.000Z');
+    // Still Oct 31 in Los Angeles, but November in UTC
+    expect(getNextResetDate(new Date('2026-11-01T03:00:00Z')).toISOString()).toBe('2026-12-01T00:00:00.000Z');
+    expect(getNextResetDate(new Date('2026-12-31T23:59:59Z')).toISOString()).toBe('2027-01-01T00:00:00.000Z');
+  });
+});
+
+describe('forecastQuota', () => {
+  it('measures the burn rate from the start of the UTC month', () => {
+    // Ten days into October (UTC)
+    const forecast = forecastQuota(100, 300, new Date('2026-10-11T00:00:00Z'));
+    expect(forecast.dailyRate).toBeCloseTo(10);
+    expect(forecast.projectedUsed).toBeCloseTo(310);
+    expect(forecast.resetAt.toISOString()).toBe('2026-11-01T00:00:00.000Z');
+    expect(forecast.exhaustsAt.toISOString()).toBe('2026-10-31T00:00:00.000Z');
+    expect(forecast.beforeReset).toBe(true);
+  });
+
+  it('starts a new period at the UTC month boundary', () => {
+    // 03:00 UTC on Nov 1 (Oct 31 locally): three hours into November's quota
+    const forecast = forecastQuota(3, 300, new Date('2026-11-01T03:00:00Z'));
+    expect(forecast.dailyRate).toBeCloseTo(24);
+    expect(forecast.resetAt.toISOString()).toBe('2026-12-01T00:00:00.000Z');
+  });
+});
+
+describe('currentAlertState', () => {
+  it('keeps state from the current UTC month and resets it when the UTC month changes', () => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2026-10-31T23:00:00Z'));
+    const october = currentAlertState({ period: '2026-10', dismissed: ['quota-90'], notified: ['quota-90'] });
+    expect(october.dismissed).toEqual(['quota-90']);
+
+    // Still Oct 31 in Los Angeles
+    vi.setSystemTime(new Date('2026-11-01T01:00:00Z'));
+    expect(currentAlertState(october)).toEqual({ period: '2026-11', dismissed: [], notified: [] });
+  });
+});
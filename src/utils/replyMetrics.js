@@ -0,0 +1,81 @@
+/**
+ * Speed metrics for replies: time to first token, total latency and output tokens per
+ * second. Stored on assistant messages (`metrics`) and, per request, in the usage ledger
+ * so ModelList can aggregate real-world speed per model.
+ */
+
+// Shorter generation windows give meaningless (huge) token rates
+const MIN_GENERATION_MS = 50;
+
+/** "850 ms", "2.4 s" or "—" */
+export function formatMs(ms) {
+  if (ms == null) return '—';
+  return ms < 1000 ? `${Math.round(ms)} ms` : `${(ms / 1000).toFixed(1)} s`;
+}
+
+/** Output tokens per second of one request, or null when it can't be measured */
+export function tokensPerSecond(outputTokens, ttftMs, durationMs) {
+  if (outputTokens == null || ttftMs == null || durationMs == null) return null;
+  const generationMs = durationMs - ttftMs;
+  return generationMs >= MIN_GENERATION_MS ? outputTokens / (generationMs / 1000) : null;
+}
+
+/**
+ * Metrics of a whole reply, which may span several requests (tool-loop iterations).
+ * @param {Array<{ttftMs: number|null, durationMs: number, outputTokens: number, estimated: boolean}>} requests
+ * @param {number} latencyMs - wall time from send to the end of the reply, tools included
+ * @returns {{ttftMs: number|null, latencyMs: number, outputTokens: number, tokensPerSec: number|null,
+ *   estimated: boolean}|null} `ttftMs` is the first request's; token rates only count generation time
+ */
+export function computeReplyMetrics(requests, latencyMs) {
+  if (!requests.length) return null;
+  let outputTokens = 0;
+  let generationMs = 0;
+  for (const r of requests) {
+    outputTokens += r.outputTokens;
+    if (r.ttftMs != null) generationMs += r.durationMs - r.ttftMs;
+  }
+  return {
+    ttftMs: requests[0].ttftMs != null ? Math.round(requests[0].ttftMs) : null,
+    latencyMs: Math.round(latencyMs),
+    outputTokens,
+    tokensPerSec: generationMs >= MIN_GENERATION_MS ? Math.round((outputTokens / (generationMs / 1000)) * 10) / 10 : null,
+    estimated: requests.some((r) => r.estimated),
+  };
+}
+
+function median(values) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Per-model speed from usage ledger entries that carry timing.
+ * @param {Array} entries - usage ledger entries
+ * @returns {Map<string, {samples: number, ttftMs: number|null, tokensPerSec: number|null, durationMs: number|null}>}
+ *   medians per model id
+ */
+export function summarizeModelPerformance(entries) {
+  const byModel = new Map();
+  for (const e of entries) {
+    if (e.durationMs == null) continue;
+    if (!byModel.has(e.model)) byModel.set(e.model, { ttft: [], tps: [], duration: [] });
+    const bucket = byModel.get(e.model);
+    bucket.duration.push(e.durationMs);
+    if (e.ttftMs != null) bucket.ttft.push(e.ttftMs);
+    const tps = tokensPerSecond(e.completionTokens, e.ttftMs, e.durationMs);
+    if (tps != null) bucket.tps.push(tps);
+  }
+  const result = new Map();
+  for (const [model, b] of byModel) {
+    result.set(model, {
+      samples: b.duration.length,
+      ttftMs: median(b.ttft),
+      tokensPerSec: median(b.tps),
+      durationMs: median(b.duration),
+    });
+  }
+  return result;
+}
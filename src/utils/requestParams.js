@@ -0,0 +1,115 @@
+/**
+ * Sampling and request parameters of a chat conversation.
+ *
+ * Values are stored on the conversation (`params`) so a regenerated reply is sent with
+ * the same settings as the original. Only parameters the selected model supports are
+ * offered and sent: the Copilot models API advertises `reasoning_effort` levels and
+ * `parallel_tool_calls` in `capabilities.supports`, but not the classic sampling
+ * parameters. For those an explicit `supports.<name>` flag wins; otherwise a parameter
+ * is only offered to non-reasoning models of the vendors whose Copilot endpoint is known
+ * to accept it (KNOWN_SUPPORT), and never when the model is served through the Responses
+ * API, which has no equivalent for stop, seed, the penalties or `n`.
+ */
+import { RESPONSES_UNSUPPORTED_FIELDS, usesResponsesApi } from '../api/responses.js';
+
+export const DEFAULT_REQUEST_PARAMS = {
+  temperature: 0.7,
+  maxTokens: 4096,
+  topP: null,
+  stop: [],
+  seed: null,
+  presencePenalty: null,
+  frequencyPenalty: null,
+  n: 1,
+  reasoningEffort: null,
+  parallelToolCalls: null,
+};
+
+export const MAX_STOP_SEQUENCES = 4;
+export const MAX_CHOICES = 4;
+
+// Vendors whose Copilot chat endpoint accepts a parameter the models API doesn't advertise
+const KNOWN_SUPPORT = {
+  top_p: ['OpenAI', 'Anthropic', 'Google'],
+  stop: ['OpenAI', 'Anthropic', 'Google'],
+  seed: ['OpenAI'],
+  presence_penalty: ['OpenAI'],
+  frequency_penalty: ['OpenAI'],
+  n: ['OpenAI'],
+};
+
+/** Request parameters of a conversation, with defaults for anything it doesn't set */
+export function getRequestParams(conv) {
+  return { ...DEFAULT_REQUEST_PARAMS, ...conv?.params };
+}
+
+/** Reasoning effort levels the model accepts, e.g. ["low", "medium", "high"] */
+export function getReasoningEffortLevels(model) {
+  return model?.reasoningEfforts || [];
+}
+
+/**
+ * Which optional parameters the model supports.
+ * @param {object|undefined} model - display model from fetchModels
+ * @returns {{topP: boolean, stop: boolean, seed: boolean, presencePenalty: boolean, frequencyPenalty: boolean,
+ *   n: boolean, reasoningEffort: string[], parallelToolCalls: boolean}}
+ */
+export function getParamSupport(model) {
+  const supports = model?.capabilities?.supports || {};
+  const viaResponses = usesResponsesApi(model);
+  const param = (name) => {
+    if (viaResponses && RESPONSES_UNSUPPORTED_FIELDS.includes(name)) return false;
+    if (typeof supports[name] === 'boolean') return supports[name];
+    return Boolean(model) && !model.reasoning && (KNOWN_SUPPORT[name] || []).includes(model.provider);
+  };
+  return {
+    topP: param('top_p'),
+    stop: param('stop'),
+    seed: param('seed'),
+    presencePenalty: param('presence_penalty'),
+    frequencyPenalty: param('frequency_penalty'),
+    n: param('n'),
+    reasoningEffort: getReasoningEffortLevels(model),
+    parallelToolCalls: Boolean(model?.parallelToolCalls),
+  };
+}
+
+/**
+ * Chat completions body fields for the optional parameters that are set and that the
+ * model supports (temperature and max tokens are sent separately).
+ * @param {object} params - from getRequestParams
+ * @param {object|undefined} model
+ * @param {{hasTools?: boolean}} [context]
+ * @returns {object} e.g. `{ top_p: 0.9, seed: 42 }`
+ */
+export function buildRequestFields(params, model, { hasTools = false } = {}) {
+  const support = getParamSupport(model);
+  const fields = {};
+  if (support.topP && params.topP != null) fields.top_p = params.topP;
+  if (support.stop && params.stop?.length) fields.stop = params.stop.slice(0, MAX_STOP_SEQUENCES);
+  if (support.seed && params.seed != null) fields.seed = params.seed;
+  if (support.presencePenalty && params.presencePenalty != null) fields.presence_penalty = params.presencePenalty;
+  if (support.frequencyPenalty && params.frequencyPenalty != null) fields.frequency_penalty = params.frequencyPenalty;
+  if (support.n && params.n > 1) fields.n = Math.min(params.n, MAX_CHOICES);
+  if (params.reasoningEffort && support.reasoningEffort.includes(params.reasoningEffort)) {
+    fields.reasoning_effort = params.reasoningEffort;
+  }
+  if (hasTools && support.parallelToolCalls && params.parallelToolCalls != null) {
+    fields.parallel_tool_calls = params.parallelToolCalls;
+  }
+  return fields;
+}
+
+/** Comma-separated stop sequences, where a literal `\n` stands for a newline; at most MAX_STOP_SEQUENCES */
+export function parseStopSequences(text) {
+  return String(text)
+    .split(',')
+    .map((s) => s.trim().replace(/\\n/g, '\n'))
+    .filter(Boolean)
+    .slice(0, MAX_STOP_SEQUENCES);
+}
+
+/** Inverse of parseStopSequences for the settings input */
+export function formatStopSequences(stop = []) {
+  return stop.map((s) => s.replace(/\n/g, '\\n')).join(', ');
+}
@@ -0,0 +1,69 @@
+/**
+ * Tests for which request parameters are offered and sent per model.
+ */
+import { describe, expect, it } from 'vitest';
+import { buildRequestFields, getParamSupport, getRequestParams } from './requestParams.js';
+
+const model = (overrides = {}) => ({
+  id: 'gpt-4.1',
+  provider: 'OpenAI',
+  reasoning: false,
+  supportedEndpoints: ['/chat/completions'],
+  capabilities: { supports: {} },
+  ...overrides,
+});
+
+const OPTIONAL = ['topP', 'stop', 'seed', 'presencePenalty', 'frequencyPenalty', 'n'];
+const offered = (support) => OPTIONAL.filter((key) => support[key]);
+
+describe('getParamSupport', () => {
+  it('offers nothing when there is no model', () => {
+    expect(offered(getParamSupport(undefined))).toEqual([]);
+  });
+
+  it('offers every sampling parameter to non-reasoning OpenAI models', () => {
+    expect(offered(getParamSupport(model()))).toEqual(OPTIONAL);
+  });
+
+  it('limits Anthropic and Google models to top P and stop', () => {
+    expect(offered(getParamSupport(model({ id: 'claude-sonnet-4', provider: 'Anthropic' })))).toEqual(['topP', 'stop']);
+    expect(offered(getParamSupport(model({ id: 'gemini-2.5-pro', provider: 'Google' })))).toEqual(['topP', 'stop']);
+  });
+
+  it('hides parameters whose support is unknown', () => {
+    expect(offered(getParamSupport(model({ id: 'grok-code-fast-1', provider: 'xAI' })))).toEqual([]);
+    expect(offered(getParamSupport(model({ provider: 'Unknown' })))).toEqual([]);
+  });
+
+  it('offers no sampling parameters to reasoning models', () => {
+    expect(offered(getParamSupport(model({ reasoning: true })))).toEqual([]);
+  });
+
+  it('follows explicit supports flags over the vendor defaults', () => {
+    const flagged = model({ provider: 'xAI', capabilities: { supports: { stop: true, top_p: true, seed: false } } });
+    expect(offered(getParamSupport(flagged))).toEqual(['topP', 'stop']);
+    const noStop = model({ capabilities: { supports: { stop: false } } });
+    expect(getParamSupport(noStop).stop).toBe(false);
+  });
+
+  it('hides the parameters the Responses API drops for models served only there', () => {
+    const responsesOnly = model({ supportedEndpoints: ['/responses'], capabilities: { supports: { stop: true } } });
+    expect(offered(getParamSupport(responsesOnly))).toEqual(['topP']);
+    // Served through both: chat completions is used, so nothing is hidden
+    expect(offered(getParamSupport(model({ supportedEndpoints: ['/chat/completions', '/responses'] })))).toEqual(OPTIONAL);
+  });
+});
+
+describe('buildRequestFields', () => {
+  const params = getRequestParams({ params: { topP: 0.9, stop: ['END'], seed: 7, n: 3, presencePenalty: 0.5 } });
+
+  it('sends only the parameters the model supports', () => {
+    expect(buildRequestFields(params, model())).toEqual({ top_p: 0.9, stop: ['END'], seed: 7, n: 3, presence_penalty: 0.5 });
+    expect(buildRequestFields(params, model({ provider: 'Anthropic' }))).toEqual({ top_p: 0.9, stop: ['END'] });
+    expect(buildRequestFields(params, model({ provider: 'xAI' }))).toEqual({});
+  });
+
+  it('sends nothing the Responses API would drop', () => {
+    expect(buildRequestFields(params, model({ supportedEndpoints: ['/responses'] }))).toEqual({ top_p: 0.9 });
+  });
+});
@@ -0,0 +1,56 @@
+/**
+ * User-configurable retry policy and model fallback chain for chat requests.
+ *
+ * Retries happen in the API layer (api/retry.js). When a model keeps failing, Chat moves
+ * the reply to the next model of the fallback chain, e.g. opus → sonnet → gpt-4.1.
+ */
+import { DEFAULT_RETRY_POLICY } from '../api/retry.js';
+import { REQUEST_POLICY_KEY } from '../constants.js';
+
+export const MAX_RETRIES_LIMIT = 5;
+
+export const DEFAULT_REQUEST_POLICY = {
+  ...DEFAULT_RETRY_POLICY,
+  fallbackEnabled: false,
+  fallbackChain: [],
+};
+
+export function loadRequestPolicy() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(REQUEST_POLICY_KEY) || 'null');
+    return saved ? { ...DEFAULT_REQUEST_POLICY, ...saved } : DEFAULT_REQUEST_POLICY;
+  } catch (e) {
+    console.warn('[CopilotApp] Could not read request policy from localStorage:', e);
+    return DEFAULT_REQUEST_POLICY;
+  }
+}
+
+export function saveRequestPolicy(policy) {
+  try {
+    localStorage.setItem(REQUEST_POLICY_KEY, JSON.stringify(policy));
+  } catch (e) {
+    console.warn('[CopilotApp] Could not save request policy to localStorage:', e);
+  }
+}
+
+/**
+ * Next model to try after `failedModel`: the chain entries after it (or the whole chain
+ * when it is not part of the chain), skipping models already tried for this reply.
+ * @param {object} policy
+ * @param {string} failedModel
+ * @param {string[]} tried - models already used for this reply
+ * @param {Array} [models] - available models; chain entries that no longer exist are skipped
+ * @returns {string|null}
+ */
+export function getFallbackModel(policy, failedModel, tried, models = []) {
+  if (!policy.fallbackEnabled) return null;
+  const chain = policy.fallbackChain;
+  const index = chain.indexOf(failedModel);
+  const candidates = index === -1 ? chain : chain.slice(index + 1);
+  return candidates.find((id) => !tried.includes(id) && (!models.length || models.some((m) => m.id === id))) || null;
+}
+
+/** Authentication failures affect every model, so they never trigger a fallback */
+export function canFallBack(err) {
+  return err?.name !== 'AbortError' && err?.status !== 401;
+}
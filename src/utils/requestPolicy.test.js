@@ -0,0 +1,46 @@
+/**
+ * Tests for the model fallback chain.
+ */
+import { describe, expect, it } from 'vitest';
+import { canFallBack, getFallbackModel } from './requestPolicy.js';
+
+const policy = { fallbackEnabled: true, fallbackChain: ['claude-opus-4.6', 'claude-sonnet-4.5', 'gpt-4.1'] };
+const available = ['claude-opus-4.6', 'claude-sonnet-4.5', 'gpt-4.1', 'gpt-5-mini'].map((id) => ({ id }));
+
+describe('getFallbackModel', () => {
+  it('moves to the next model of the chain', () => {
+    expect(getFallbackModel(policy, 'claude-opus-4.6', ['claude-opus-4.6'], available)).toBe('claude-sonnet-4.5');
+    expect(getFallbackModel(policy, 'claude-sonnet-4.5', ['claude-opus-4.6', 'claude-sonnet-4.5'], available)).toBe('gpt-4.1');
+  });
+
+  it('returns null at the end of the chain or when fallback is off', () => {
+    expect(getFallbackModel(policy, 'gpt-4.1', ['gpt-4.1'], available)).toBeNull();
+    expect(getFallbackModel({ ...policy, fallbackEnabled: false }, 'claude-opus-4.6', [], available)).toBeNull();
+  });
+
+  it('starts from the beginning of the chain for a model outside it', () => {
+    expect(getFallbackModel(policy, 'gpt-5-mini', ['gpt-5-mini'], available)).toBe('claude-opus-4.6');
+  });
+
+  it('skips models already tried for this reply', () => {
+    const tried = ['gpt-5-mini', 'claude-opus-4.6', 'claude-sonnet-4.5'];
+    expect(getFallbackModel(policy, 'claude-sonnet-4.5', tried, available)).toBe('gpt-4.1');
+    expect(getFallbackModel(policy, 'gpt-5-mini', tried, available)).toBe('gpt-4.1');
+  });
+
+  it('skips chain entries that are no longer available', () => {
+    const withoutSonnet = available.filter((m) => m.id !== 'claude-sonnet-4.5');
+    expect(getFallbackModel(policy, 'claude-opus-4.6', ['claude-opus-4.6'], withoutSonnet)).toBe('gpt-4.1');
+    // Before the model list has loaded, every chain entry counts as available
+    expect(getFallbackModel(policy, 'claude-opus-4.6', ['claude-opus-4.6'])).toBe('claude-sonnet-4.5');
+  });
+});
+
+describe('canFallBack', () => {
+  it('falls back on anything but an abort or an authentication failure', () => {
+    expect(canFallBack(Object.assign(new Error('rate limited'), { status: 429 }))).toBe(true);
+    expect(canFallBack(new TypeError('Failed to fetch'))).toBe(true);
+    expect(canFallBack(Object.assign(new Error('Bad credentials'), { status: 401 }))).toBe(false);
+    expect(canFallBack(new DOMException('Aborted', 'AbortError'))).toBe(false);
+  });
+});
@@ -0,0 +1,163 @@
+/**
+ * Full-text search over every stored conversation message.
+ *
+ * The index is module-level (like the model cache in api/copilot.js): one document per
+ * message holding its lower-cased text. It is seeded once from IndexedDB and then kept
+ * current by syncSearchIndex(), which only re-indexes messages whose object identity
+ * changed since the previous conversation map. Matching is substring-based so CJK text
+ * (no word boundaries) is searchable too.
+ */
+import { loadAllMessages } from './conversationStore.js';
+
+const SNIPPET_RADIUS = 60;
+
+const _docs = new Map();        // message id → search document
+const _convDocs = new Map();    // conversation id → Set of message ids
+let _conversations = null;      // conversation map the index was last synced with
+let _storedPromise = null;      // in-flight / completed load of stored messages
+
+function toDoc(convId, msg) {
+  const content = typeof msg.content === 'string' ? msg.content : '';
+  return {
+    id: msg.id,
+    convId,
+    role: msg.role,
+    model: msg.model || null,
+    createdAt: typeof msg.createdAt === 'number' ? msg.createdAt : null,
+    content,
+    text: content.toLowerCase(),
+    source: msg,
+  };
+}
+
+function addDoc(convId, msg) {
+  if (!msg?.id || msg.role === 'system') return;
+  _docs.set(msg.id, toDoc(convId, msg));
+  if (!_convDocs.has(convId)) _convDocs.set(convId, new Set());
+  _convDocs.get(convId).add(msg.id);
+}
+
+function removeConversationDocs(convId, keep = null) {
+  const ids = _convDocs.get(convId);
+  if (!ids) return;
+  for (const id of ids) {
+    if (keep?.has(id)) continue;
+    _docs.delete(id);
+    ids.delete(id);
+  }
+  if (!ids.size) _convDocs.delete(convId);
+}
+
+/**
+ * Index the messages already in IndexedDB. Safe to call repeatedly; loads once.
+ * Conversations whose messages are loaded in memory are skipped because the
+ * in-memory copy is newer than what has been persisted.
+ * @returns {Promise<void>}
+ */
+export function loadStoredMessagesIntoIndex() {
+  if (!_storedPromise) {
+    _storedPromise = loadAllMessages()
+      .then((byConv) => {
+        for (const [convId, messages] of Object.entries(byConv)) {
+          if (_conversations?.[convId]?.messages) continue;
+          messages.forEach((msg) => addDoc(convId, msg));
+        }
+      })
+      .catch((err) => {
+        _storedPromise = null;
+        throw err;
+      });
+  }
+  return _storedPromise;
+}
+
+/**
+ * Bring the index in line with the current conversation map (incremental).
+ * @param {object} conversations - Chat's conversation map
+ */
+export function syncSearchIndex(conversations) {
+  if (conversations === _conversations) return;
+  const prev = _conversations || {};
+
+  for (const conv of Object.values(conversations)) {
+    // Unloaded conversations keep the documents indexed from IndexedDB
+    if (prev[conv.id] === conv || !conv.messages) continue;
+    const keep = new Set();
+    for (const msg of conv.messages) {
+      keep.add(msg.id);
+      if (_docs.get(msg.id)?.source !== msg) addDoc(conv.id, msg);
+    }
+    removeConversationDocs(conv.id, keep);
+  }
+  for (const id of Object.keys(prev)) {
+    if (!(id in conversations)) removeConversationDocs(id);
+  }
+
+  _conversations = conversations;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Cut a snippet around the first match and split it into plain / highlighted parts.
+ * @returns {Array<{text: string, match: boolean}>}
+ */
+function buildSnippet(content, text, terms) {
+  const first = Math.min(...terms.map((t) => text.indexOf(t)).filter((i) => i >= 0));
+  const start = Math.max(0, first - SNIPPET_RADIUS);
+  const end = Math.min(content.length, first + SNIPPET_RADIUS * 2);
+  const excerpt = `${start > 0 ? '…' : ''}${content.slice(start, end)}${end < content.length ? '…' : ''}`
+    .replace(/\s+/g, ' ');
+  const pattern = new RegExp(`(${terms.map(escapeRegExp).join('|')})`, 'gi');
+  return excerpt
+    .split(pattern)
+    .filter(Boolean)
+    .map((part) => ({ text: part, match: terms.includes(part.toLowerCase()) }));
+}
+
+/**
+ * Search indexed messages. Every whitespace-separated term must appear in the message.
+ *
+ * @param {string} query
+ * @param {object} [filters]
+ * @param {'user'|'assistant'|''} [filters.role]
+ * @param {string} [filters.model] - model id (assistant model, or the conversation model for user turns)
+ * @param {number|null} [filters.from] - inclusive start timestamp (ms)
+ * @param {number|null} [filters.to] - exclusive end timestamp (ms)
+ * @param {number} [limit=100]
+ * @returns {Array<{convId, messageId, title, role, model, createdAt, snippet}>} newest first
+ */
+export function searchMessages(query, filters = {}, limit = 100) {
+  const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+  if (!terms.length) return [];
+  const conversations = _conversations || {};
+  const results = [];
+
+  for (const doc of _docs.values()) {
+    const conv = conversations[doc.convId];
+    if (!conv) continue; // deleted since it was indexed
+    if (filters.role && doc.role !== filters.role) continue;
+    const model = doc.model || conv.model || null;
+    if (filters.model && model !== filters.model) continue;
+    const createdAt = doc.createdAt ?? conv.createdAt ?? null;
+    if (filters.from != null && (createdAt == null || createdAt < filters.from)) continue;
+    if (filters.to != null && (createdAt == null || createdAt >= filters.to)) continue;
+    if (!terms.every((t) => doc.text.includes(t))) continue;
+
+    results.push({
+      convId: doc.convId,
+      messageId: doc.id,
+      title: conv.title || 'New chat',
+      role: doc.role,
+      model,
+      createdAt,
+      snippet: buildSnippet(doc.content, doc.text, terms),
+    });
+  }
+
+  return results
+    .sort((a, b) => (b.createdAt ?? 0) - (a.createdAt ?? 0))
+    .slice(0, limit);
+}
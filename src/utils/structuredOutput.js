@@ -0,0 +1,112 @@
+/**
+ * Structured output mode: the reply must be JSON matching a user-supplied JSON Schema.
+ *
+ * Models advertising `capabilities.supports.structured_outputs` get the schema as
+ * `response_format: { type: 'json_schema' }`. Models with tool calling but no structured
+ * outputs are forced to call a single tool whose parameters are the schema, and the
+ * tool call's arguments become the reply. Either way the reply is validated locally,
+ * since neither route guarantees conformance for every schema.
+ */
+import { validateJsonSchema } from './jsonSchema.js';
+
+export const EXAMPLE_SCHEMA = `{
+  "title": "contact",
+  "type": "object",
+  "properties": {
+    "name": { "type": "string" },
+    "email": { "type": "string", "format": "email" },
+    "tags": { "type": "array", "items": { "type": "string" } }
+  },
+  "required": ["name"],
+  "additionalProperties": false
+}`;
+
+export const DEFAULT_STRUCTURED_OUTPUT = { enabled: false, schemaText: EXAMPLE_SCHEMA };
+
+// Stored errors are capped so a wildly wrong reply doesn't bloat the message
+const MAX_STORED_ERRORS = 20;
+
+/** Structured output settings of a conversation, with defaults */
+export function getStructuredOutput(conv) {
+  return { ...DEFAULT_STRUCTURED_OUTPUT, ...conv?.structuredOutput };
+}
+
+/**
+ * How structured output can be requested from a model.
+ * @returns {'response_format'|'tool'|null} null when the model supports neither route
+ */
+export function getStructuredOutputMode(model) {
+  if (model?.structuredOutputs) return 'response_format';
+  if (model?.toolCalls) return 'tool';
+  return null;
+}
+
+/** API-safe name for the schema: its title, or "response" */
+function schemaName(schema) {
+  const name = String(schema.title || '').replace(/[^a-zA-Z0-9_-]+/g, '_').slice(0, 64);
+  return name || 'response';
+}
+
+/**
+ * Request options that ask for schema-conforming output.
+ * @param {object} schema
+ * @param {'response_format'|'tool'} mode
+ * @returns {object} options for sendChatMessageStream
+ */
+export function buildStructuredRequest(schema, mode) {
+  const name = schemaName(schema);
+  if (mode === 'response_format') {
+    return { response_format: { type: 'json_schema', json_schema: { name, schema } } };
+  }
+  return {
+    tools: [{
+      type: 'function',
+      function: {
+        name,
+        description: schema.description || 'Respond with data matching this schema.',
+        parameters: schema,
+      },
+    }],
+    toolChoice: { type: 'function', function: { name } },
+  };
+}
+
+/** Some models still wrap the JSON in a code fence */
+function unfence(text) {
+  return text.trim().replace(/^```(?:json)?\s*\n([\s\S]*)\n```$/, '$1');
+}
+
+/**
+ * Parse and validate a reply against the schema.
+ * @param {string} text - reply content (JSON)
+ * @param {object} schema
+ * @returns {{valid: boolean, errors: Array<{path: string, message: string}>, parseError?: string}}
+ */
+export function checkStructuredReply(text, schema) {
+  let value;
+  try {
+    value = JSON.parse(unfence(text));
+  } catch (err) {
+    return { valid: false, errors: [], parseError: err.message };
+  }
+  const errors = validateJsonSchema(value, schema);
+  return { valid: errors.length === 0, errors: errors.slice(0, MAX_STORED_ERRORS) };
+}
+
+/** Parsed JSON of a structured reply, or undefined when it isn't JSON */
+export function parseStructuredReply(text) {
+  try {
+    return JSON.parse(unfence(text));
+  } catch {
+    return undefined;
+  }
+}
+
+/** Pretty-print JSON text (tool call arguments arrive compact); other text is returned as is */
+export function formatJson(text) {
+  try {
+    return JSON.stringify(JSON.parse(text), null, 2);
+  } catch {
+    return text;
+  }
+}
@@ -0,0 +1,174 @@
+/**
+ * Tool registry for the chat's agentic tool-call loop.
+ *
+ * Each tool declares its OpenAI function schema, a display label, an executor and an
+ * enablement condition. Chat sends the definitions of the tools that are available and
+ * enabled for the conversation, then dispatches every returned call by function name.
+ * To add a tool, append an entry to TOOLS.
+ */
+import { braveSearch } from '../api/brave.js';
+import { BRAVE_KEY } from '../constants.js';
+import { formatSandboxResult, runSandboxedJavaScript, SANDBOX_TIMEOUT_MS } from './jsSandbox.js';
+
+const DEFAULT_TIMEOUT_MS = 30_000;
+
+/**
+ * @typedef {object} ChatTool
+ * @property {string} name - function name the model calls
+ * @property {string} label - shown in the tool settings panel
+ * @property {string} icon
+ * @property {string} description - sent to the model
+ * @property {object} parameters - JSON schema of the arguments
+ * @property {number} [timeoutMs] - per-call limit (defaults to DEFAULT_TIMEOUT_MS)
+ * @property {function(): boolean} isAvailable - e.g. required API key is configured
+ * @property {string} [unavailableHint] - why the tool cannot be enabled
+ * @property {function(object): string} status - progress line shown in the reply
+ * @property {function(object, {signal: AbortSignal}): Promise<string>} execute
+ */
+
+/** @type {ChatTool[]} */
+export const TOOLS = [
+  {
+    name: 'brave_search',
+    label: 'Web search (Brave)',
+    icon: '🔍',
+    description: 'Search the web using Brave Search to find current information, news, or facts.',
+    parameters: {
+      type: 'object',
+      properties: {
+        query: {
+          type: 'string',
+          description: 'The search query to look up on the web.',
+        },
+      },
+      required: ['query'],
+    },
+    timeoutMs: 15_000,
+    isAvailable: () => Boolean(localStorage.getItem(BRAVE_KEY)),
+    unavailableHint: 'Add a Brave Search API key in Settings',
+    status: (args) => `Searching: "${String(args.query ?? '').trim()}"`,
+    execute: async (args, { signal }) => {
+      const query = typeof args.query === 'string' ? args.query.trim() : '';
+      if (!query) return 'Search skipped: empty query.';
+      return braveSearch(localStorage.getItem(BRAVE_KEY) || '', query, 5, signal);
+    },
+  },
+  {
+    name: 'run_javascript',
+    label: 'Run JavaScript (sandboxed)',
+    icon: '🟨',
+    description:
+      'Execute JavaScript in an isolated sandbox for calculations, data wrangling or checking code. '
+      + 'The code runs as the body of an async function: use console.log() for output and `return` a value. '
+      + `No network, DOM or storage access; execution stops after ${SANDBOX_TIMEOUT_MS / 1000} seconds.`,
+    parameters: {
+      type: 'object',
+      properties: {
+        code: {
+          type: 'string',
+          description: 'JavaScript source to execute.',
+        },
+      },
+      required: ['code'],
+    },
+    // The sandbox enforces its own CPU limit; this only guards against a stuck worker
+    timeoutMs: SANDBOX_TIMEOUT_MS + 5000,
+    isAvailable: () => typeof Worker !== 'undefined',
+    unavailableHint: 'Web Workers are not supported in this browser',
+    status: (args) => `Running JavaScript (${String(args.code ?? '').split('\n').length} lines)`,
+    execute: async (args, { signal }) => {
+      if (typeof args.code !== 'string' || !args.code.trim()) return 'Nothing to run: empty code.';
+      return formatSandboxResult(await runSandboxedJavaScript(args.code, { signal }));
+    },
+  },
+];
+
+export function getTool(name) {
+  return TOOLS.find((t) => t.name === name) || null;
+}
+
+/**
+ * Tools to offer the model: available, and not switched off for the conversation.
+ * @param {string[]} [disabledTools] - tool names turned off for the conversation
+ * @returns {ChatTool[]}
+ */
+export function getActiveTools(disabledTools = []) {
+  return TOOLS.filter((t) => t.isAvailable() && !disabledTools.includes(t.name));
+}
+
+/** Chat Completions `tools` entry for a registry tool */
+export function toToolDefinition(tool) {
+  return {
+    type: 'function',
+    function: { name: tool.name, description: tool.description, parameters: tool.parameters },
+  };
+}
+
+/** Parse a tool call's JSON arguments; malformed JSON yields null */
+export function parseToolArguments(tc) {
+  try {
+    const args = JSON.parse(tc.function.arguments || '{}');
+    return args && typeof args === 'object' ? args : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Execute one tool call and return its result text. Failures (unknown tool, bad
+ * arguments, executor errors, timeouts) become an error result for the model rather
+ * than a thrown error, so one broken call does not end the loop. Only an abort of
+ * `signal` (the user pressed Stop) is rethrown.
+ *
+ * @param {{id: string, function: {name: string, arguments: string}}} tc
+ * @param {string[]} allowedNames - tools offered for this request
+ * @param {AbortSignal} signal
+ * @returns {Promise<{result: string, error: boolean, durationMs: number}>}
+ */
+export async function runToolCall(tc, allowedNames, signal) {
+  if (signal.aborted) throw new DOMException('Aborted', 'AbortError');
+  const started = Date.now();
+  const done = (result, error = false) => ({ result, error, durationMs: Date.now() - started });
+
+  const tool = allowedNames.includes(tc.function.name) ? getTool(tc.function.name) : null;
+  if (!tool) return done(`Error: unknown or disabled tool "${tc.function.name}".`, true);
+
+  const args = parseToolArguments(tc);
+  if (!args) {
+    if (import.meta.env && import.meta.env.DEV) {
+      console.warn('[CopilotApp] Failed to parse tool call arguments:', tc.function.arguments);
+    }
+    return done('Error: tool arguments are not valid JSON.', true);
+  }
+  const missing = (tool.parameters.required || []).filter((key) => args[key] == null);
+  if (missing.length) return done(`Error: missing required argument(s): ${missing.join(', ')}.`, true);
+
+  const timeoutMs = tool.timeoutMs ?? DEFAULT_TIMEOUT_MS;
+  const controller = new AbortController();
+  let timer;
+  let onAbort;
+  try {
+    // Rejects on timeout or Stop; raced as well as signalled, so executors that ignore
+    // the signal are still cut off
+    const interrupted = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        controller.abort();
+        reject(new Error(`timed out after ${timeoutMs / 1000}s`));
+      }, timeoutMs);
+      onAbort = () => {
+        controller.abort();
+        reject(new DOMException('Aborted', 'AbortError'));
+      };
+      signal.addEventListener('abort', onAbort);
+    });
+    const execution = Promise.resolve(tool.execute(args, { signal: controller.signal }));
+    execution.catch(() => {}); // a late failure after the race is over has nobody to report to
+    return done(await Promise.race([execution, interrupted]));
+  } catch (err) {
+    if (signal.aborted) throw new DOMException('Aborted', 'AbortError');
+    return done(`Error: ${tool.name} failed: ${err.message}`, true);
+  } finally {
+    clearTimeout(timer);
+    signal.removeEventListener('abort', onAbort);
+  }
+}
@@ -0,0 +1,152 @@
+/**
+ * Local usage ledger: one IndexedDB record per completion request the app sends
+ * (chat turns, every tool-loop iteration, history summaries, arena columns).
+ *
+ * The ledger is what this app consumed. Reconciling it with the billing API's
+ * `usageItems` (all Copilot clients) shows how much came from elsewhere.
+ */
+import { runTransaction } from './db.js';
+import { getModelDisplayName } from './models.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Append a completion to the ledger. Never throws: a failed write only logs a warning
+ * so bookkeeping can't break a chat.
+ * @param {object} entry
+ * @param {string} entry.model
+ * @param {number|null} entry.multiplier - premium requests per call at send time
+ * @param {object|null} [entry.usage] - token usage reported by the API
+ * @param {{ttftMs: number|null, durationMs: number}|null} [entry.timing] - streamed requests only
+ * @param {string|null} [entry.convId]
+ * @param {'chat'|'summary'|'arena'} entry.source
+ * @returns {Promise<void>}
+ */
+export async function recordCompletion({ model, multiplier, usage = null, timing = null, convId = null, source }) {
+  const record = {
+    id: `use_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`,
+    timestamp: Date.now(),
+    model,
+    multiplier: multiplier ?? null,
+    premiumRequests: multiplier ?? null,
+    promptTokens: usage?.prompt_tokens ?? null,
+    completionTokens: usage?.completion_tokens ?? null,
+    totalTokens: usage?.total_tokens ?? null,
+    ttftMs: timing?.ttftMs != null ? Math.round(timing.ttftMs) : null,
+    durationMs: timing ? Math.round(timing.durationMs) : null,
+    convId,
+    source,
+  };
+  try {
+    await runTransaction('usageLedger', 'readwrite', (tx) => {
+      tx.objectStore('usageLedger').put(record);
+    });
+  } catch (err) {
+    console.warn('[CopilotApp] Failed to record usage ledger entry:', err);
+  }
+}
+
+/**
+ * Ledger entries in [from, to), oldest first.
+ * @param {number} from - timestamp (ms)
+ * @param {number} to - timestamp (ms)
+ * @returns {Promise<Array>}
+ */
+export async function listLedgerEntries(from, to) {
+  return runTransaction('usageLedger', 'readonly', (tx) =>
+    tx.objectStore('usageLedger').index('timestamp').getAll(IDBKeyRange.bound(from, to, false, true)),
+  );
+}
+
+/** Delete every ledger entry */
+export async function clearLedger() {
+  await runTransaction('usageLedger', 'readwrite', (tx) => {
+    tx.objectStore('usageLedger').clear();
+  });
+}
+
+/** Start and end (exclusive) of a UTC calendar month, matching the billing API's periods */
+export function getUtcMonthRange(year, month) {
+  return { from: Date.UTC(year, month - 1, 1), to: Date.UTC(year, month, 1) };
+}
+
+/**
+ * Totals per UTC day and per model.
+ * @param {Array} entries
+ * @param {{from: number, to: number}} range - days in the range with no entries are included as zeros
+ * @returns {{days: Array<{date: string, requests: number, premiumRequests: number, tokens: number}>,
+ *   models: Array<{model: string, requests: number, premiumRequests: number, tokens: number}>,
+ *   totals: {requests: number, premiumRequests: number, tokens: number, unknownMultiplier: number}}}
+ */
+export function summarizeLedger(entries, range) {
+  const empty = () => ({ requests: 0, premiumRequests: 0, tokens: 0 });
+  const days = new Map();
+  for (let t = range.from; t < range.to; t += DAY_MS) {
+    days.set(new Date(t).toISOString().slice(0, 10), empty());
+  }
+  const models = new Map();
+  const totals = { ...empty(), unknownMultiplier: 0 };
+
+  for (const e of entries) {
+    const date = new Date(e.timestamp).toISOString().slice(0, 10);
+    if (!days.has(date)) days.set(date, empty());
+    if (!models.has(e.model)) models.set(e.model, empty());
+    for (const bucket of [days.get(date), models.get(e.model), totals]) {
+      bucket.requests += 1;
+      bucket.premiumRequests += e.premiumRequests ?? 0;
+      bucket.tokens += e.totalTokens ?? 0;
+    }
+    if (e.premiumRequests == null) totals.unknownMultiplier += 1;
+  }
+
+  return {
+    days: [...days.entries()].sort(([a], [b]) => a.localeCompare(b)).map(([date, v]) => ({ date, ...v })),
+    models: [...models.entries()].map(([model, v]) => ({ model, ...v })).sort((a, b) => b.premiumRequests - a.premiumRequests),
+    totals,
+  };
+}
+
+/** Billing reports display names ("Claude Sonnet 4"); the ledger has ids ("claude-sonnet-4") */
+function normalizeModelKey(name) {
+  return String(name || '').trim().toLowerCase().replace(/[\s_]+/g, '-');
+}
+
+/**
+ * Compare the ledger's premium requests per model with the billing API's usage items.
+ * @param {Array} ledgerModels - `models` from summarizeLedger
+ * @param {Array} usageItems - billing API `usageItems`
+ * @param {Array} models - models from fetchModels (maps display names to ids)
+ * @returns {Array<{key, label, local, billed, difference, status}>} status is
+ *   'match', 'other-clients' (billing shows more: other Copilot clients) or
+ *   'over' (the app recorded more than was billed)
+ */
+export function reconcileWithBilling(ledgerModels, usageItems, models = []) {
+  const nameToId = new Map();
+  for (const m of models) {
+    nameToId.set(normalizeModelKey(m.id), m.id);
+    nameToId.set(normalizeModelKey(m.name), m.id);
+    nameToId.set(normalizeModelKey(getModelDisplayName(m)), m.id);
+  }
+  const keyOf = (name) => nameToId.get(normalizeModelKey(name)) || normalizeModelKey(name);
+
+  const rows = new Map();
+  const row = (key, label) => {
+    if (!rows.has(key)) rows.set(key, { key, label, local: 0, billed: 0 });
+    return rows.get(key);
+  };
+  for (const m of ledgerModels) row(keyOf(m.model), m.model).local += m.premiumRequests;
+  for (const item of usageItems) {
+    if (item.unitType && item.unitType !== 'requests') continue;
+    row(keyOf(item.model), item.model || 'unknown').billed += item.grossQuantity || 0;
+  }
+
+  return [...rows.values()]
+    .map((r) => {
+      const difference = r.billed - r.local;
+      // Billing rounds and lags a little behind; small gaps are not flagged
+      const tolerance = Math.max(1, r.billed * 0.05);
+      const status = Math.abs(difference) <= tolerance ? 'match' : difference > 0 ? 'other-clients' : 'over';
+      return { ...r, difference, status };
+    })
+    .sort((a, b) => Math.max(b.billed, b.local) - Math.max(a.billed, a.local));
+}